@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Attachment Configuration - Storage and limits for files attached to notes
+ * @module config/attachments
+ */
+
+import path from "path";
+import { positiveNumber } from "./env.js";
+
+const DEFAULT_MAX_SIZE_MB = 10;
+const DEFAULT_DIRECTORY = "uploads";
+
+// Most files a single note can hold
+export const MAX_ATTACHMENTS_PER_NOTE = 20;
+
+/**
+ * File types that can be attached, by MIME type
+ * SVG and HTML are left out because browsers run scripts inside them.
+ * `signature` is how the file starts, checked so a renamed file is refused.
+ */
+export const ATTACHMENT_TYPES = {
+  "image/png": { signature: [0x89, 0x50, 0x4e, 0x47] },
+  "image/jpeg": { signature: [0xff, 0xd8, 0xff] },
+  "image/gif": { signature: [0x47, 0x49, 0x46, 0x38] },
+  "image/webp": { signature: [0x52, 0x49, 0x46, 0x46] },
+  "application/pdf": { signature: [0x25, 0x50, 0x44, 0x46] },
+  "text/plain": { signature: [] },
+};
+
+/**
+ * Read the attachment settings from the environment
+ * Read lazily so values from .env are picked up after dotenv.config()
+ * 
+ * @returns {{ store: "disk"|"gridfs", directory: string, maxSizeMb: number }}
+ * - store: where files are kept (ATTACHMENT_STORE, default "disk")
+ * - directory: folder for the disk store (ATTACHMENT_DIR, default "uploads" in the working directory)
+ * - maxSizeMb: largest file accepted (ATTACHMENT_MAX_SIZE_MB, default 10)
+ */
+export const getAttachmentConfig = () => {
+  const store = process.env.ATTACHMENT_STORE || "disk";
+
+  if (!["disk", "gridfs"].includes(store)) {
+    throw new Error(`Unknown ATTACHMENT_STORE "${store}", expected disk or gridfs`);
+  }
+
+  return {
+    store,
+    directory: path.resolve(process.env.ATTACHMENT_DIR || DEFAULT_DIRECTORY),
+    maxSizeMb: positiveNumber(process.env.ATTACHMENT_MAX_SIZE_MB, DEFAULT_MAX_SIZE_MB),
+  };
+};
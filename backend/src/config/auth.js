@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Auth Configuration - JWT and refresh token settings
+ * @module config/auth
+ */
+
+/**
+ * Failed sign-ins, counted per username (see utils/loginAttempts)
+ * Spreading guesses across IPs gets past the login rate limit, so each
+ * username also slows down and then locks its own sign-ins:
+ * - freeAttempts: failures allowed before sign-ins are slowed down
+ * - baseDelayMs: wait after the first failure past the free ones, doubled for each further one
+ * - maxDelayMs: longest wait before the lockout
+ * - maxAttempts: failures after which the account is locked for lockMs
+ * - lockMs: lockout length; failures older than this are forgotten
+ */
+export const LOGIN_LOCKOUT = {
+  freeAttempts: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 60 * 1000,
+  maxAttempts: 10,
+  lockMs: 15 * 60 * 1000,
+};
+
+/**
+ * Read the authentication settings from the environment
+ * Read lazily so values from .env are picked up after dotenv.config()
+ * 
+ * @returns {{ jwtSecret: string, accessTokenExpiresIn: string, refreshTokenDays: number }}
+ * - jwtSecret: secret used to sign access tokens (JWT_SECRET)
+ * - accessTokenExpiresIn: access token lifetime (JWT_EXPIRES_IN, default "1h")
+ * - refreshTokenDays: refresh token lifetime in days (REFRESH_TOKEN_DAYS, default 30)
+ */
+export const getAuthConfig = () => {
+  const refreshTokenDays = Number(process.env.REFRESH_TOKEN_DAYS);
+
+  return {
+    jwtSecret: process.env.JWT_SECRET || 'default_secret_key', // Use environment variable in production
+    accessTokenExpiresIn: process.env.JWT_EXPIRES_IN || '1h',
+    refreshTokenDays: refreshTokenDays > 0 ? refreshTokenDays : 30,
+  };
+};
@@ -1,11 +1,12 @@
 import mongoose from "mongoose"
+import logger from "../utils/logger.js";
 
 export const connectDB = async() => {
     try{
         await mongoose.connect(process.env.MONGO_URI);
-        console.log("MONGODB CONNECTED SUCCESSFULLY!");
+        logger.info("mongodb connected");
     }catch (error) {
-        console.error("ERROR CONNECTING TO MONGODB", error);
+        logger.error("error connecting to mongodb", { error });
         process.exit(1);
     }
 };
\ No newline at end of file
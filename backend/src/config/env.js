@@ -0,0 +1,16 @@
+/**
+ * @fileoverview Environment Helpers - Parsing shared by the configuration modules
+ * @module config/env
+ */
+
+/**
+ * Parse a positive number from an environment variable
+ * 
+ * @param {string|undefined} value - Raw environment value
+ * @param {number} fallback - Value used when unset or invalid
+ * @returns {number} Parsed value
+ */
+export const positiveNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Rate Limit Configuration - Store selection and per-route policies
+ * @module config/rateLimit
+ */
+
+/**
+ * Request budgets, each counted separately
+ * - ip: every request, keyed by client IP
+ * - user: authenticated note routes, keyed by user ID
+ * - login / register: credential endpoints, keyed by client IP
+ */
+export const RATE_LIMIT_POLICIES = {
+  ip: { limit: 300, windowMs: 60 * 1000 },
+  user: { limit: 100, windowMs: 60 * 1000 },
+  login: { limit: 10, windowMs: 15 * 60 * 1000 },
+  register: { limit: 5, windowMs: 60 * 60 * 1000 },
+};
+
+/**
+ * Read the rate limit settings from the environment
+ * Read lazily so values from .env are picked up after dotenv.config()
+ * 
+ * @returns {{ store: "memory"|"upstash" }}
+ * - store: RATE_LIMIT_STORE, defaulting to "upstash" when Upstash credentials
+ *   are set and to "memory" otherwise
+ */
+export const getRateLimitConfig = () => {
+  const hasUpstash = Boolean(
+    process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN
+  );
+  const store = process.env.RATE_LIMIT_STORE || (hasUpstash ? "upstash" : "memory");
+
+  if (!["memory", "upstash"].includes(store)) {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${store}", expected memory or upstash`);
+  }
+
+  return { store };
+};
@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Reminder Configuration - Scheduling settings for note reminders
+ * @module config/reminders
+ */
+
+import { positiveNumber } from "./env.js";
+
+const DEFAULT_CHECK_INTERVAL_SECONDS = 30;
+
+/**
+ * Read the reminder settings from the environment
+ * Read lazily so values from .env are picked up after dotenv.config()
+ * 
+ * @returns {{ checkIntervalSeconds: number }}
+ * - checkIntervalSeconds: how often due reminders are looked for (REMINDER_CHECK_INTERVAL_SECONDS, default 30)
+ */
+export const getReminderConfig = () => ({
+  checkIntervalSeconds: positiveNumber(
+    process.env.REMINDER_CHECK_INTERVAL_SECONDS,
+    DEFAULT_CHECK_INTERVAL_SECONDS
+  ),
+});
@@ -0,0 +1,25 @@
+/**
+ * @fileoverview Trash Configuration - Retention settings for soft-deleted notes
+ * @module config/trash
+ */
+
+import { positiveNumber } from "./env.js";
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_PURGE_INTERVAL_MINUTES = 60;
+
+/**
+ * Read the trash settings from the environment
+ * Read lazily so values from .env are picked up after dotenv.config()
+ * 
+ * @returns {{ retentionDays: number, purgeIntervalMinutes: number }}
+ * - retentionDays: days a note stays in the trash (TRASH_RETENTION_DAYS, default 30)
+ * - purgeIntervalMinutes: how often the purge job runs (TRASH_PURGE_INTERVAL_MINUTES, default 60)
+ */
+export const getTrashConfig = () => ({
+  retentionDays: positiveNumber(process.env.TRASH_RETENTION_DAYS, DEFAULT_RETENTION_DAYS),
+  purgeIntervalMinutes: positiveNumber(
+    process.env.TRASH_PURGE_INTERVAL_MINUTES,
+    DEFAULT_PURGE_INTERVAL_MINUTES
+  ),
+});
@@ -1,14 +1,22 @@
 import { Ratelimit } from "@upstash/ratelimit";
 import { Redis } from "@upstash/redis";
 
-import dotenv from "dotenv";
+// One Redis client shared by every limiter, created on first use so the
+// server can start without Upstash credentials when the memory store is used
+let redis = null;
 
-dotenv.config();
+/**
+ * Create an Upstash sliding window limiter
+ * 
+ * @param {number} limit - Requests allowed per window
+ * @param {number} windowMs - Window length in milliseconds
+ * @returns {Ratelimit} Upstash rate limiter
+ */
+export const createUpstashRatelimit = (limit, windowMs) => {
+  redis = redis || Redis.fromEnv();
 
-// create a ratelimiter that allows 100 requests per minute
-const ratelimit = new Ratelimit({
-  redis: Redis.fromEnv(),
-  limiter: Ratelimit.slidingWindow(100, "60 s"),
-});
-
-export default ratelimit;
\ No newline at end of file
+  return new Ratelimit({
+    redis,
+    limiter: Ratelimit.slidingWindow(limit, `${Math.ceil(windowMs / 1000)} s`),
+  });
+};
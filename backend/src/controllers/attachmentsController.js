@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Attachments Controller - Uploads, lists, downloads and deletes files attached to notes
+ * @module controllers/attachmentsController
+ */
+
+import mongoose from "mongoose";
+import Attachment, { MAX_FILENAME_LENGTH } from "../models/Attachment.js";
+import Note from "../models/Note.js";
+import { ATTACHMENT_TYPES, MAX_ATTACHMENTS_PER_NOTE } from "../config/attachments.js";
+import { getAttachmentStore } from "../utils/attachmentStores.js";
+import { BadRequestError, ForbiddenError, NotFoundError } from "../utils/errors.js";
+import { canEditFilter, canViewFilter } from "../utils/noteAccess.js";
+
+// Shown inline by the browser; everything else is downloaded
+const INLINE_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+
+/**
+ * Find a note the user can see, and check they may change it if needed
+ *
+ * @param {Object} req - Express request object (note ID and user)
+ * @param {Object} [options]
+ * @param {boolean} [options.edit=false] - Require edit access
+ * @returns {Promise<Object>} Lean note (ID only)
+ * @throws {NotFoundError} If the note does not exist, is trashed or is not shared with the user
+ * @throws {ForbiddenError} If edit access is required and the user can only view the note
+ */
+async function findAccessibleNote(req, { edit = false } = {}) {
+  const note = await Note.findOne({ _id: req.params.id, deletedAt: null, ...canViewFilter(req.user.id) })
+    .select("_id")
+    .lean();
+
+  if (!note) {
+    throw new NotFoundError("Note not found");
+  }
+  if (edit && !(await Note.exists({ _id: note._id, ...canEditFilter(req.user.id) }))) {
+    throw new ForbiddenError("You only have view access to this note");
+  }
+
+  return note;
+}
+
+/**
+ * Find a note the user may attach another file to
+ *
+ * @param {Object} req - Express request object (note ID and user)
+ * @returns {Promise<Object>} Lean note (ID only)
+ * @throws {NotFoundError} If the note does not exist, is trashed or is not shared with the user
+ * @throws {ForbiddenError} If the user can only view the note
+ * @throws {BadRequestError} If the note already has the most attachments allowed
+ */
+async function findNoteToAttachTo(req) {
+  const note = await findAccessibleNote(req, { edit: true });
+
+  if (await Attachment.countDocuments({ note: note._id }) >= MAX_ATTACHMENTS_PER_NOTE) {
+    throw new BadRequestError(`A note can have at most ${MAX_ATTACHMENTS_PER_NOTE} attachments`);
+  }
+
+  return note;
+}
+
+/**
+ * Check a file may be attached before the upload is read
+ * Runs ahead of attachmentUpload (middleware/upload) so a request that would
+ * be refused anyway is answered without buffering the file.
+ *
+ * @async
+ * @param {Object} req - Express request object (note ID and user)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>}
+ */
+export async function checkAttachmentUpload(req, res, next) {
+  await findNoteToAttachTo(req);
+  next();
+}
+
+/**
+ * Whether a file starts the way files of its type do
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {string} contentType - Declared MIME type
+ * @returns {boolean}
+ */
+const matchesSignature = (buffer, contentType) =>
+  ATTACHMENT_TYPES[contentType].signature.every((byte, index) => buffer[index] === byte);
+
+/**
+ * Attach a file to a note
+ * The owner and editors can attach files. Accepted types and the size limit
+ * are set in config/attachments. Access is first checked by
+ * checkAttachmentUpload, before the file is read.
+ *
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Note ID
+ * @param {Object} req.file - Uploaded file (multipart field "file")
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the new attachment or error message
+ *
+ * @example
+ * POST /api/notes/:id/attachments
+ * Body (multipart/form-data): file=@screenshot.png
+ * Response: { _id: "789", note: "123", filename: "screenshot.png", contentType: "image/png", size: 48213, ... }
+ */
+export async function uploadAttachment(req, res) {
+  if (!req.file) {
+    throw new BadRequestError("No file uploaded");
+  }
+  if (!matchesSignature(req.file.buffer, req.file.mimetype)) {
+    throw new BadRequestError("The file content does not match its type");
+  }
+
+  // Checked again, since access or the attachment count may have changed during the upload
+  const note = await findNoteToAttachTo(req);
+
+  // Store the file first so an attachment never points at a missing file
+  const _id = new mongoose.Types.ObjectId();
+  await getAttachmentStore().save(String(_id), req.file.buffer, req.file.mimetype);
+
+  const attachment = await Attachment.create({
+    _id,
+    note: note._id,
+    user: req.user.id,
+    filename: req.file.originalname.slice(0, MAX_FILENAME_LENGTH),
+    contentType: req.file.mimetype,
+    size: req.file.size
+  });
+
+  res.status(201).json(attachment.toObject());
+}
+
+/**
+ * List the files attached to a note, oldest first
+ *
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Note ID
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the attachments or error message
+ *
+ * @example
+ * GET /api/notes/:id/attachments
+ * Response: [{ _id: "789", filename: "screenshot.png", contentType: "image/png", size: 48213, createdAt: "..." }]
+ */
+export async function getAttachments(req, res) {
+  const note = await findAccessibleNote(req);
+
+  const attachments = await Attachment.find({ note: note._id })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  res.status(200).json(attachments);
+}
+
+/**
+ * Download an attached file
+ * Anyone who can see the note can download its files. Images are sent
+ * inline so they can be previewed, other types as downloads.
+ *
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Note ID
+ * @param {string} req.params.attachmentId - Attachment ID
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {Promise<void>} The file, or an error message
+ *
+ * @example
+ * GET /api/notes/:id/attachments/:attachmentId
+ * Response: the file, with Content-Type: image/png
+ */
+export async function downloadAttachment(req, res, next) {
+  const note = await findAccessibleNote(req);
+  const attachment = await Attachment.findOne({ _id: req.params.attachmentId, note: note._id }).lean();
+
+  if (!attachment) {
+    throw new NotFoundError("Attachment not found");
+  }
+
+  const disposition = INLINE_TYPES.includes(attachment.contentType) ? "inline" : "attachment";
+  const headers = {
+    "Content-Type": attachment.contentType,
+    "Content-Length": attachment.size,
+    "Content-Disposition": `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+    "X-Content-Type-Options": "nosniff",
+    "Cache-Control": "private, max-age=3600"
+  };
+  res.set(headers);
+
+  const stream = getAttachmentStore().createReadStream(String(attachment._id));
+
+  stream.on("error", (error) => {
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    // Nothing was sent yet, so answer with a JSON error instead
+    Object.keys(headers).forEach((name) => res.removeHeader(name));
+    next(error.code === "ENOENT" ? new NotFoundError("Attachment file is missing") : error);
+  });
+
+  stream.pipe(res);
+}
+
+/**
+ * Delete an attached file
+ * The owner and editors can delete attachments.
+ *
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Note ID
+ * @param {string} req.params.attachmentId - Attachment ID
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with success message or error
+ *
+ * @example
+ * DELETE /api/notes/:id/attachments/:attachmentId
+ * Response: { message: "Attachment deleted" }
+ */
+export async function deleteAttachment(req, res) {
+  const note = await findAccessibleNote(req, { edit: true });
+  const attachment = await Attachment.findOneAndDelete({ _id: req.params.attachmentId, note: note._id }).lean();
+
+  if (!attachment) {
+    throw new NotFoundError("Attachment not found");
+  }
+
+  await getAttachmentStore().remove(String(attachment._id));
+
+  res.status(200).json({ message: "Attachment deleted" });
+}
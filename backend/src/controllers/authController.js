@@ -1,11 +1,53 @@
 /**
- * @fileoverview Authentication Controller - Handles user registration and login
+ * @fileoverview Authentication Controller - Handles user registration, login, sessions and account self-service
  * @module controllers/authController
  */
 
 import User from '../models/User.js';
+import LoginEvent from '../models/LoginEvent.js';
+import Note from '../models/Note.js';
+import Notebook from '../models/Notebook.js';
+import Notification from '../models/Notification.js';
+import RefreshToken from '../models/RefreshToken.js';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
+import { LOGIN_LOCKOUT } from '../config/auth.js';
+import {
+    BadRequestError,
+    ConflictError,
+    TooManyRequestsError,
+    UnauthorizedError,
+    ValidationError
+} from '../utils/errors.js';
+import logger from '../utils/logger.js';
+import { claimLoginAttempt, clearLoginAttempts, getDummyPasswordHash } from '../utils/loginAttempts.js';
+import { NOTE_EVENTS, publishNoteEvent } from '../utils/noteEvents.js';
+import {
+    hashToken,
+    issueRefreshToken,
+    revokeTokenFamily,
+    signAccessToken
+} from '../utils/tokens.js';
+
+/**
+ * How long after a rotation the old refresh token is still treated as a race
+ * (e.g. two tabs refreshing at once) rather than as token theft
+ */
+const ROTATION_GRACE_MS = 10 * 1000;
+
+// Sign-ins returned by GET /api/auth/logins
+const LOGIN_HISTORY_LIMIT = 50;
+
+/**
+ * Describe a wait for a message, e.g. "40 seconds" or "15 minutes"
+ * 
+ * @param {number} seconds - Wait in seconds
+ * @returns {string}
+ */
+const formatWait = (seconds) => {
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
 
 /**
  * Register a new user
@@ -15,61 +57,55 @@ import jwt from 'jsonwebtoken';
  * @param {Object} req - Express request object
  * @param {Object} req.body - Request body
  * @param {string} req.body.username - Desired username (min 3 characters)
- * @param {string} req.body.password - Desired password (min 6 characters)
+ * @param {string} req.body.password - Desired password (see the policy in validators/auth)
  * @param {Object} res - Express response object
  * @returns {Promise<void>} JSON response with success message or error
  * 
  * @example
  * POST /api/auth/register
- * Body: { username: "john_doe", password: "password123" }
+ * Body: { username: "john_doe", password: "correct horse 9" }
  * Response: { message: "User registered successfully" }
  */
 export const register = async (req, res) => {
-    try {
-        const { username, password } = req.body;
+    // Fields are checked by validate(registerSchema)
+    const { username, password } = req.body;
 
-        // Validate required fields
-        if (!username || !password) {
-            return res.status(400).json({
-                message: 'Username and password are required'
-            });
-        }
-
-        // Check if username already exists
-        const existingUser = await User.findOne({ username });
-        if (existingUser) {
-            return res.status(400).json({
-                message: 'Username already exists'
-            });
-        }
+    // Check if username already exists
+    const existingUser = await User.findOne({ username });
+    if (existingUser) {
+        throw new ConflictError('Username already exists', {
+            errors: { username: 'Username already exists' }
+        });
+    }
 
-        // Hash password with bcrypt (10 rounds provides good security/performance balance)
-        const salt = await bcrypt.genSalt(10);
-        const hashedPassword = await bcrypt.hash(password, salt);
+    // Hash password with bcrypt (10 rounds provides good security/performance balance)
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
 
-        // Create new user instance
-        const newUser = new User({
-            username,
-            password: hashedPassword
-        });
+    // Create new user instance
+    const newUser = new User({
+        username,
+        password: hashedPassword
+    });
 
-        // Save user to database
-        await newUser.save();
+    // Save user to database
+    await newUser.save();
 
-        res.status(201).json({
-            message: 'User registered successfully'
-        });
-    } catch (error) {
-        console.error('Registration error:', error);
-        res.status(500).json({
-            message: 'Server error'
-        });
-    }
+    res.status(201).json({
+        message: 'User registered successfully'
+    });
 };
 
 /**
  * Authenticate user and generate JWT token
- * Validates credentials and returns authentication token
+ * Validates credentials and returns a short-lived access token plus a
+ * long-lived refresh token for POST /api/auth/refresh
+ * 
+ * Repeated wrong passwords make the username refuse sign-ins for a growing
+ * delay and then lock it (see config/auth LOGIN_LOCKOUT); refused attempts
+ * get a 429 with Retry-After. Unknown usernames are counted and answered
+ * the same way, so responses do not reveal which accounts exist. Every
+ * attempt on an existing account is kept in its sign-in history.
  * 
  * @async
  * @param {Object} req - Express request object
@@ -84,62 +120,334 @@ export const register = async (req, res) => {
  * Body: { username: "john_doe", password: "password123" }
  * Response: { 
  *   token: "eyJhbGc...", 
+ *   refreshToken: "q3Xv9...", 
  *   user: { id: "123", username: "john_doe" } 
  * }
  */
 export const login = async (req, res) => {
-    try {
-        const { username, password } = req.body;
+    // Fields are checked by validate(loginSchema)
+    const { username, password } = req.body;
+
+    // Find user and explicitly select password field
+    // (password has select: false in schema for security)
+    const user = await User.findOne({ username }).select('+password');
 
-        // Validate required fields
-        if (!username || !password) {
-            return res.status(400).json({
-                message: 'Username and password are required'
+    // Claim the attempt before checking the password, so a locked username
+    // cannot be guessed at, not even by parallel requests
+    const { lockedSeconds, failures } = await claimLoginAttempt(username);
+    if (lockedSeconds > 0) {
+        if (user) await LoginEvent.record(user, req, 'locked');
+        throw new TooManyRequestsError(
+            `Too many failed sign-in attempts, try again in ${formatWait(lockedSeconds)}`,
+            lockedSeconds
+        );
+    }
+
+    // Verify password using bcrypt; unknown usernames are compared against a
+    // dummy hash so they take as long as a wrong password
+    const isMatch = await bcrypt.compare(password, user ? user.password : await getDummyPasswordHash());
+    if (!user || !isMatch) {
+        if (user) await LoginEvent.record(user, req, 'password');
+        if (failures === LOGIN_LOCKOUT.maxAttempts) {
+            logger.warn('username locked after failed sign-ins', {
+                requestId: req.id,
+                userId: user ? String(user._id) : undefined,
+                ip: req.ip
             });
         }
+        // Use generic message to prevent username enumeration
+        throw new BadRequestError('Invalid credentials');
+    }
 
-        // Find user and explicitly select password field
-        // (password has select: false in schema for security)
-        const user = await User.findOne({ username }).select('+password');
+    await clearLoginAttempts(username);
+    await LoginEvent.record(user, req);
 
-        if (!user) {
-            // Use generic message to prevent username enumeration
-            return res.status(400).json({
-                message: 'Invalid credentials'
-            });
+    // Generate JWT access token and start a new refresh token family
+    const token = signAccessToken(user);
+    const { token: refreshToken } = await issueRefreshToken(user, req);
+
+    // Return tokens and sanitized user data (no password)
+    res.json({
+        token,
+        refreshToken,
+        user: {
+            id: user._id,
+            username: user.username
         }
+    });
+};
+
+/**
+ * Exchange a refresh token for a new access token
+ * The presented refresh token is rotated: it is revoked and a new one from the
+ * same family is returned. Presenting a token that was already rotated means
+ * it was stolen or replayed, so the whole family is revoked.
+ * 
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.refreshToken - Refresh token from login or the previous refresh
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with new tokens and user data or error
+ * 
+ * @example
+ * POST /api/auth/refresh
+ * Body: { refreshToken: "q3Xv9..." }
+ * Response: { 
+ *   token: "eyJhbGc...", 
+ *   refreshToken: "Zk81a...", 
+ *   user: { id: "123", username: "john_doe" } 
+ * }
+ */
+export const refresh = async (req, res) => {
+    const { refreshToken } = req.body;
 
-        // Verify password using bcrypt
-        const isMatch = await bcrypt.compare(password, user.password);
-        if (!isMatch) {
-            return res.status(400).json({
-                message: 'Invalid credentials'
+    const tokenHash = hashToken(refreshToken);
+    const now = new Date();
+
+    // Atomically claim the token so concurrent requests cannot both rotate it
+    const stored = await RefreshToken.findOneAndUpdate(
+        { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        { revokedAt: now }
+    );
+
+    if (!stored) {
+        const existing = await RefreshToken.findOne({ tokenHash });
+
+        // Reuse of a rotated token outside the grace window: assume theft
+        if (existing?.revokedAt && now - existing.revokedAt > ROTATION_GRACE_MS) {
+            await revokeTokenFamily(existing.family);
+            logger.warn('refresh token reuse detected, session revoked', {
+                requestId: req.id,
+                userId: String(existing.user)
             });
         }
 
-        // Generate JWT token
-        const token = jwt.sign(
-            {
-                id: user._id,
-                username: user.username
-            },
-            process.env.JWT_SECRET || 'default_secret_key', // Use environment variable in production
-            { expiresIn: '1h' } // Token expires in 1 hour
-        );
+        throw new UnauthorizedError('Invalid refresh token');
+    }
 
-        // Return token and sanitized user data (no password)
-        res.json({
-            token,
-            user: {
-                id: user._id,
-                username: user.username
-            }
-        });
-    } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({
-            message: 'Server error'
-        });
+    const user = await User.findById(stored.user);
+    if (!user) {
+        await revokeTokenFamily(stored.family);
+        throw new UnauthorizedError('Invalid refresh token');
+    }
+
+    // Issue the replacement in the same family and link the chain
+    const { token: newRefreshToken, tokenHash: newTokenHash } =
+        await issueRefreshToken(user, req, stored.family);
+    await RefreshToken.updateOne({ _id: stored._id }, { replacedBy: newTokenHash });
+
+    res.json({
+        token: signAccessToken(user),
+        refreshToken: newRefreshToken,
+        user: {
+            id: user._id,
+            username: user.username
+        }
+    });
+};
+
+/**
+ * Log out by revoking the session's refresh tokens
+ * Always succeeds so clients can clear local state unconditionally
+ * 
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.refreshToken] - Refresh token of the session to end
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with success message or error
+ * 
+ * @example
+ * POST /api/auth/logout
+ * Body: { refreshToken: "q3Xv9..." }
+ * Response: { message: "Logged out successfully" }
+ */
+export const logout = async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (refreshToken && typeof refreshToken === 'string') {
+        const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+        if (stored) {
+            await revokeTokenFamily(stored.family);
+        }
+    }
+
+    res.json({
+        message: 'Logged out successfully'
+    });
+};
+
+/**
+ * Load the signed-in user along with their password hash
+ * The access token may outlive the account, so a missing user is a 401
+ * 
+ * @param {Object} req - Express request with the authenticated user
+ * @returns {Promise<Object>} User document
+ * @throws {UnauthorizedError} If the account no longer exists
+ */
+const findCurrentUser = async (req) => {
+    const user = await User.findById(req.user.id).select('+password');
+    if (!user) {
+        throw new UnauthorizedError('Account not found');
+    }
+    return user;
+};
+
+/**
+ * Get the signed-in user's profile
+ * Also lets clients check that a stored token still belongs to an account
+ * 
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the user or error
+ * 
+ * @example
+ * GET /api/auth/me
+ * Response: { user: { id: "123", username: "john_doe", createdAt: "2025-01-01T00:00:00.000Z" } }
+ */
+export const getMe = async (req, res) => {
+    const user = await findCurrentUser(req);
+
+    res.json({
+        user: {
+            id: user._id,
+            username: user.username,
+            createdAt: user.createdAt
+        }
+    });
+};
+
+/**
+ * List the signed-in user's recent sign-ins, newest first
+ * 
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the sign-ins or error
+ * 
+ * @example
+ * GET /api/auth/logins
+ * Response: {
+ *   logins: [{ _id: "789", success: false, failureReason: "password", ip: "203.0.113.7", userAgent: "Mozilla/5.0 ...", createdAt: "..." }]
+ * }
+ */
+export const getLoginHistory = async (req, res) => {
+    const logins = await LoginEvent.find({ user: req.user.id })
+        .sort({ createdAt: -1 })
+        .limit(LOGIN_HISTORY_LIMIT)
+        .select('-user -__v')
+        .lean();
+
+    res.json({ logins });
+};
+
+/**
+ * Change the signed-in user's password
+ * Requires the current password. Every session is signed out by revoking its
+ * refresh tokens, and this one continues with the new tokens in the response;
+ * access tokens already issued elsewhere stay valid until they expire.
+ * 
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.currentPassword - Current password
+ * @param {string} req.body.newPassword - New password (see the policy in validators/auth)
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with new tokens and user data or error
+ * 
+ * @example
+ * PUT /api/auth/password
+ * Body: { currentPassword: "password123", newPassword: "correct horse" }
+ * Response: { 
+ *   token: "eyJhbGc...", 
+ *   refreshToken: "Zk81a...", 
+ *   user: { id: "123", username: "john_doe" } 
+ * }
+ */
+export const changePassword = async (req, res) => {
+    // Fields are checked by validate(changePasswordSchema)
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await findCurrentUser(req);
+
+    if (!(await bcrypt.compare(currentPassword, user.password))) {
+        throw new ValidationError({ currentPassword: 'Current password is incorrect' });
     }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(newPassword, salt);
+    await user.save();
+
+    // Sign out every session, then start a new one for this client
+    await RefreshToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+    const { token: refreshToken } = await issueRefreshToken(user, req);
+
+    res.json({
+        token: signAccessToken(user),
+        refreshToken,
+        user: {
+            id: user._id,
+            username: user.username
+        }
+    });
 };
 
+/**
+ * Delete the signed-in user's account and everything it owns
+ * Requires the password. Removes the user's notes (trashed ones included)
+ * with their revisions and attachments, notebooks, notifications, sessions
+ * and sign-in history, and takes the user off notes others shared with them.
+ * 
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.password - Password
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with success message or error
+ * 
+ * @example
+ * DELETE /api/auth/account
+ * Body: { password: "password123" }
+ * Response: { message: "Account deleted" }
+ */
+export const deleteAccount = async (req, res) => {
+    const user = await findCurrentUser(req);
+
+    if (!(await bcrypt.compare(req.body.password, user.password))) {
+        throw new ValidationError({ password: 'Password is incorrect' });
+    }
+
+    // Collaborators with one of these notes open are told it is gone
+    const sharedNotes = await Note.find({ user: user._id, deletedAt: null, 'collaborators.0': { $exists: true } })
+        .select('_id user collaborators')
+        .lean();
+
+    const deletedNotes = await Note.purge({ user: user._id });
+    await Note.updateMany(
+        { 'collaborators.user': user._id },
+        { $pull: { collaborators: { user: user._id } } },
+        { timestamps: false }
+    );
+    await Notebook.deleteMany({ user: user._id });
+    await Notification.deleteMany({ user: user._id });
+    await RefreshToken.deleteMany({ user: user._id });
+    await LoginEvent.deleteMany({ user: user._id });
+    await User.deleteOne({ _id: user._id });
+
+    sharedNotes.forEach((note) => publishNoteEvent(req, NOTE_EVENTS.deleted, note));
+    logger.info('account deleted', { requestId: req.id, userId: String(user._id), deletedNotes });
+
+    res.json({
+        message: 'Account deleted'
+    });
+};
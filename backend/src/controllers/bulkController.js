@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Bulk Controller - Applies one action to many of the user's notes at once
+ * @module controllers/bulkController
+ */
+
+import Note from "../models/Note.js";
+import NoteRevision from "../models/NoteRevision.js";
+import { findUserNotebook } from "../utils/notebooks.js";
+import { NOTE_EVENTS, publishNoteEvent } from "../utils/noteEvents.js";
+import { MAX_TAGS_PER_NOTE, normalizeTags } from "../utils/tags.js";
+
+/**
+ * Fields set by the actions that only organize notes
+ * Like their single-note counterparts (see organizeController and
+ * deleteNote), these are not edits and keep the version and updatedAt.
+ */
+const ORGANIZE_ACTIONS = {
+  delete: () => ({ deletedAt: new Date() }),
+  archive: () => ({ archived: true, pinned: false }),
+  move: ({ notebook }) => ({ notebook }),
+};
+
+/**
+ * Add tags to one note
+ * Tags are an edit, so the version is bumped and the previous tags are kept
+ * as a revision, as when saving the note.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} note - Lean note
+ * @param {string[]} tags - Normalized tags to add
+ * @returns {Promise<string|null>} Error message, or null if the tags were added
+ */
+async function addTags(req, note, tags) {
+  const merged = [...new Set([...(note.tags || []), ...tags])];
+
+  if (merged.length === (note.tags || []).length) return null;
+  if (merged.length > MAX_TAGS_PER_NOTE) {
+    return `A note can have at most ${MAX_TAGS_PER_NOTE} tags`;
+  }
+
+  const updatedNote = await Note.findOneAndUpdate(
+    { _id: note._id, __v: note.__v },
+    { $set: { tags: merged }, $inc: { __v: 1 } },
+    { new: true, lean: true }
+  );
+
+  if (!updatedNote) {
+    return "This note was changed meanwhile, try again";
+  }
+
+  await NoteRevision.record(note);
+  publishNoteEvent(req, NOTE_EVENTS.updated, updatedNote);
+  return null;
+}
+
+/**
+ * Delete, archive, tag or move several notes
+ * Only the owner's notes are changed; notes that do not exist, belong to
+ * someone else or are in the trash are reported as failed. The other notes
+ * are still changed, so the response lists how each one went.
+ *
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.action - "delete" (to the trash), "archive", "tag" or "move"
+ * @param {string[]} req.body.ids - Note IDs
+ * @param {string[]} [req.body.tags] - Tags to add (action "tag")
+ * @param {string|null} [req.body.notebook] - Target notebook, null for the top level (action "move")
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with per-note results or error message
+ *
+ * @example
+ * POST /api/notes/bulk
+ * Body: { action: "archive", ids: ["123", "456"] }
+ * Response: {
+ *   summary: { done: 1, failed: 1 },
+ *   results: [{ id: "123", status: "done" }, { id: "456", status: "failed", message: "Note not found" }]
+ * }
+ */
+export async function bulkUpdateNotes(req, res) {
+  const { action, notebook } = req.body;
+  const ids = [...new Set(req.body.ids)];
+
+  if (action === "move" && notebook) {
+    await findUserNotebook(req.user.id, notebook);
+  }
+
+  const notes = await Note.find({ _id: { $in: ids }, user: req.user.id, deletedAt: null }).lean();
+  const found = new Map(notes.map((note) => [String(note._id), note]));
+  const errors = new Map();
+
+  if (action === "tag") {
+    const tags = normalizeTags(req.body.tags);
+    for (const note of notes) {
+      const message = await addTags(req, note, tags);
+      if (message) errors.set(String(note._id), message);
+    }
+  } else if (notes.length > 0) {
+    const filter = { _id: { $in: notes.map((note) => note._id) }, user: req.user.id, deletedAt: null };
+    await Note.updateMany(filter, { $set: ORGANIZE_ACTIONS[action]({ notebook }) }, { timestamps: false });
+
+    const changedNotes = await Note.find({ _id: filter._id.$in }).lean();
+    const type = action === "delete" ? NOTE_EVENTS.deleted : NOTE_EVENTS.updated;
+    changedNotes.forEach((note) => publishNoteEvent(req, type, note));
+  }
+
+  const results = ids.map((id) => {
+    const message = found.has(id) ? errors.get(id) : "Note not found";
+    return message ? { id, status: "failed", message } : { id, status: "done" };
+  });
+  const failed = results.filter((result) => result.status === "failed").length;
+
+  res.status(200).json({ summary: { done: results.length - failed, failed }, results });
+}
@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Checklist Controller - Adds, changes, reorders and removes checklist items one at a time
+ * @module controllers/checklistController
+ */
+
+import mongoose from "mongoose";
+import Note from "../models/Note.js";
+import NoteRevision from "../models/NoteRevision.js";
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError, ValidationError } from "../utils/errors.js";
+import { MAX_CHECKLIST_ITEMS, formatChecklist, positionItems } from "../utils/checklist.js";
+import { canEditFilter, canViewFilter, toSharedNoteResponse } from "../utils/noteAccess.js";
+import { NOTE_EVENTS, publishNoteEvent } from "../utils/noteEvents.js";
+
+// How many times a change is retried when another item change lands first
+const MAX_ATTEMPTS = 3;
+
+// Ticking items off is frequent, so keep at most one revision per interval
+const ITEM_REVISION_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Load a checklist the user can edit
+ *
+ * @param {Object} req - Express request object (note ID and user)
+ * @returns {Promise<Object>} Lean note
+ * @throws {NotFoundError} If the note does not exist, is trashed or is not shared with the user
+ * @throws {ForbiddenError} If the user can only view the note
+ * @throws {BadRequestError} If the note is not a checklist
+ */
+async function findChecklist(req) {
+  const note = await Note.findOne({ _id: req.params.id, deletedAt: null, ...canViewFilter(req.user.id) }).lean();
+
+  if (!note) {
+    throw new NotFoundError("Note not found");
+  }
+  if (!(await Note.exists({ _id: note._id, ...canEditFilter(req.user.id) }))) {
+    throw new ForbiddenError("You only have view access to this note");
+  }
+  if (note.format !== "checklist") {
+    throw new BadRequestError("This note is not a checklist");
+  }
+
+  return note;
+}
+
+/**
+ * Apply a change to the items of a checklist
+ * Item changes do not bump the note version, so someone editing the title in
+ * another tab is not interrupted. Instead the write only lands if the items
+ * are unchanged since they were read (their text form is compared), and the
+ * change is retried on the latest items otherwise.
+ *
+ * @param {Object} req - Express request object (note ID and user)
+ * @param {Function} change - Receives the current items, returns the new items in order
+ * @returns {Promise<Object>} Updated note, as getNoteById sends it
+ * @throws {ConflictError} If other changes kept landing first
+ */
+async function changeItems(req, change) {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const note = await findChecklist(req);
+    const items = positionItems(change(note.items.map((item) => ({ ...item }))));
+    const content = formatChecklist(items);
+
+    const updatedNote = await Note.findOneAndUpdate(
+      { _id: note._id, deletedAt: null, content: note.content },
+      { $set: { items, content } },
+      { new: true, lean: true, runValidators: true }
+    );
+
+    if (updatedNote) {
+      if (content !== note.content) {
+        await NoteRevision.record(note, { minIntervalMs: ITEM_REVISION_INTERVAL_MS });
+      }
+      publishNoteEvent(req, NOTE_EVENTS.updated, updatedNote);
+      return toSharedNoteResponse(await Note.populateSharing(updatedNote), req.user.id);
+    }
+  }
+
+  throw new ConflictError("This checklist is being changed by someone else, try again");
+}
+
+/**
+ * Find an item by ID
+ *
+ * @param {Object[]} items - Checklist items
+ * @param {string} itemId - Item ID
+ * @returns {number} Index of the item
+ * @throws {NotFoundError} If the checklist has no such item
+ */
+function findItemIndex(items, itemId) {
+  const index = items.findIndex((item) => String(item._id) === itemId);
+
+  if (index === -1) {
+    throw new NotFoundError("Item not found");
+  }
+  return index;
+}
+
+/**
+ * Add an item to a checklist
+ * The owner and editors can change items.
+ *
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Note ID
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.text - Item text
+ * @param {boolean} [req.body.done] - Item is already checked off
+ * @param {number} [req.body.position] - Where to insert the item (appended when omitted)
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the updated note or error message
+ *
+ * @example
+ * POST /api/notes/:id/items
+ * Body: { text: "Milk" }
+ * Response: { _id: "123", format: "checklist", items: [..., { _id: "9", text: "Milk", done: false, position: 3 }], ... }
+ */
+export async function addItem(req, res) {
+  const { text, done = false, position } = req.body;
+
+  const note = await changeItems(req, (items) => {
+    if (items.length >= MAX_CHECKLIST_ITEMS) {
+      throw new ValidationError({ text: `A checklist can have at most ${MAX_CHECKLIST_ITEMS} items` });
+    }
+
+    items.splice(position ?? items.length, 0, { _id: new mongoose.Types.ObjectId(), text, done });
+    return items;
+  });
+
+  res.status(201).json(note);
+}
+
+/**
+ * Change the text of an item or check it off
+ *
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Note ID
+ * @param {string} req.params.itemId - Item ID
+ * @param {Object} req.body - Fields to change (at least one)
+ * @param {string} [req.body.text] - New item text
+ * @param {boolean} [req.body.done] - Item is checked off
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the updated note or error message
+ *
+ * @example
+ * PATCH /api/notes/:id/items/:itemId
+ * Body: { done: true }
+ * Response: { _id: "123", items: [{ _id: "9", text: "Milk", done: true, position: 0 }, ...], ... }
+ */
+export async function updateItem(req, res) {
+  const { text, done } = req.body;
+
+  const note = await changeItems(req, (items) => {
+    const index = findItemIndex(items, req.params.itemId);
+
+    if (text !== undefined) items[index].text = text;
+    if (done !== undefined) items[index].done = done;
+    return items;
+  });
+
+  res.status(200).json(note);
+}
+
+/**
+ * Remove an item from a checklist
+ *
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Note ID
+ * @param {string} req.params.itemId - Item ID
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the updated note or error message
+ *
+ * @example
+ * DELETE /api/notes/:id/items/:itemId
+ * Response: { _id: "123", items: [...remaining items], ... }
+ */
+export async function removeItem(req, res) {
+  const note = await changeItems(req, (items) => {
+    items.splice(findItemIndex(items, req.params.itemId), 1);
+    return items;
+  });
+
+  res.status(200).json(note);
+}
+
+/**
+ * Put the items of a checklist in a new order
+ * The order must list every item exactly once. If items were added or
+ * removed meanwhile, 409 is returned with the current note.
+ *
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Note ID
+ * @param {Object} req.body - Request body
+ * @param {string[]} req.body.order - Item IDs in their new order
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the updated note, conflict details or error message
+ *
+ * @example
+ * PUT /api/notes/:id/items/order
+ * Body: { order: ["9", "7", "8"] }
+ * Response: { _id: "123", items: [{ _id: "9", position: 0 }, { _id: "7", position: 1 }, ...], ... }
+ */
+export async function reorderItems(req, res) {
+  const { order } = req.body;
+
+  const note = await changeItems(req, (items) => {
+    const byId = new Map(items.map((item) => [String(item._id), item]));
+
+    if (order.length !== items.length || order.some((id) => !byId.has(id))) {
+      throw new ConflictError("The checklist items changed, reload and try again");
+    }
+
+    return order.map((id) => byId.get(id));
+  });
+
+  res.status(200).json(note);
+}
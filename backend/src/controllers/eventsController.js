@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Events Controller - Streams live note changes to the browser with server-sent events
+ * @module controllers/eventsController
+ */
+
+import crypto from "crypto";
+import { UnauthorizedError } from "../utils/errors.js";
+import { subscribeToNoteEvents } from "../utils/noteEvents.js";
+
+// EventSource cannot send an Authorization header, so streams are opened
+// with a short-lived, single-use ticket obtained through an authenticated call
+const TICKET_TTL_MS = 30 * 1000;
+
+// Comment lines keep proxies from closing idle streams
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// How long the browser waits before reconnecting a dropped stream
+const RECONNECT_DELAY_MS = 5000;
+
+/** @type {Map<string, { userId: string, expiresAt: number }>} */
+const tickets = new Map();
+
+const sweepTickets = () => {
+  const now = Date.now();
+  for (const [ticket, { expiresAt }] of tickets) {
+    if (expiresAt <= now) tickets.delete(ticket);
+  }
+};
+
+/**
+ * Issue a ticket for opening the event stream
+ *
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the ticket
+ *
+ * @example
+ * POST /api/events/ticket
+ * Response: { ticket: "Yk3f...", expiresIn: 30 }
+ */
+export async function createEventTicket(req, res) {
+  sweepTickets();
+
+  const ticket = crypto.randomBytes(24).toString("base64url");
+  tickets.set(ticket, { userId: req.user.id, expiresAt: Date.now() + TICKET_TTL_MS });
+
+  res.status(201).json({ ticket, expiresIn: TICKET_TTL_MS / 1000 });
+}
+
+/**
+ * Stream the user's note events
+ * Each event is sent as `event: <type>` with the JSON payload from
+ * publishNoteEvent as data. The stream stays open until the client leaves.
+ *
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query string parameters
+ * @param {string} req.query.ticket - Ticket from POST /api/events/ticket
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} Event stream
+ *
+ * @example
+ * GET /api/events?ticket=Yk3f...
+ * Response (text/event-stream):
+ *   event: note.updated
+ *   data: { "type": "note.updated", "note": { "_id": "123", ... }, "origin": "tab-1" }
+ */
+export async function streamEvents(req, res) {
+  const entry = tickets.get(req.query.ticket);
+  tickets.delete(req.query.ticket);
+
+  if (!entry || entry.expiresAt <= Date.now()) {
+    throw new UnauthorizedError("Invalid or expired event ticket");
+  }
+
+  req.user = { id: entry.userId }; // For the request log
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no" // Disable response buffering in nginx
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  const unsubscribe = subscribeToNoteEvents(entry.userId, (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_INTERVAL_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
@@ -0,0 +1,298 @@
+/**
+ * @fileoverview Export Controller - Exports all notes as JSON or a Markdown archive and imports them back
+ * @module controllers/exportController
+ */
+
+import path from "path";
+import JSZip from "jszip";
+import Note, { MAX_CONTENT_LENGTH, NOTE_FORMATS } from "../models/Note.js";
+import { BadRequestError } from "../utils/errors.js";
+import { parseMarkdownFile, toMarkdownFile, toMarkdownFileName } from "../utils/frontMatter.js";
+import logger from "../utils/logger.js";
+import { normalizeTags } from "../utils/tags.js";
+
+// Version of the JSON export layout, bumped on incompatible changes
+const EXPORT_VERSION = 1;
+
+// Largest number of notes accepted in one import
+const MAX_IMPORT_NOTES = 1000;
+
+// Limits on the decompressed Markdown files of a zip import, so a small
+// archive cannot expand into more than the server can hold. One file fits a
+// note at the content limit (up to 4 bytes per character) plus front matter.
+const MAX_IMPORT_FILE_BYTES = MAX_CONTENT_LENGTH * 4 + 16 * 1024;
+const MAX_IMPORT_TOTAL_BYTES = 50 * 1024 * 1024; // 50 MB
+
+/**
+ * Pick the fields that make up an exported note
+ * 
+ * @param {Object} note - Lean note
+ * @returns {Object} Exported note
+ */
+const toExportedNote = (note) => ({
+  title: note.title,
+  content: note.content,
+  format: note.format || "plain",
+  tags: note.tags || [],
+  pinned: Boolean(note.pinned),
+  archived: Boolean(note.archived),
+  createdAt: note.createdAt,
+  updatedAt: note.updatedAt
+});
+
+/**
+ * Export every note of the authenticated user
+ * JSON exports are streamed as a single document; Markdown exports are a zip
+ * with one `.md` file per note, each starting with a front-matter header
+ * (title, tags, format, timestamps). Trashed notes are not exported.
+ * 
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query string parameters
+ * @param {string} [req.query.format] - "json" (default) or "markdown"
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} File download or error message
+ * 
+ * @example
+ * GET /api/notes/export?format=json
+ * Response: { version: 1, exportedAt: "...", notes: [{ title, content, format, tags, pinned, archived, createdAt, updatedAt }] }
+ */
+export async function exportNotes(req, res) {
+  const format = req.query.format || "json";
+
+  const cursor = Note.find({ user: req.user.id, deletedAt: null })
+    .sort({ createdAt: 1 })
+    .select("title content format tags pinned archived createdAt updatedAt")
+    .lean()
+    .cursor();
+
+  const fileBase = `thinkboard-notes-${new Date().toISOString().slice(0, 10)}`;
+
+  if (format === "json") {
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileBase}.json"`);
+
+    // Write notes as they come off the cursor instead of buffering them all
+    // A failure mid-stream reaches the error handler, which aborts the download
+    res.write(`{"version":${EXPORT_VERSION},"exportedAt":"${new Date().toISOString()}","notes":[`);
+    let first = true;
+    for await (const note of cursor) {
+      res.write((first ? "" : ",") + JSON.stringify(toExportedNote(note)));
+      first = false;
+    }
+    return res.end("]}");
+  }
+
+  const zip = new JSZip();
+  const usedNames = new Set();
+  for await (const note of cursor) {
+    zip.file(toMarkdownFileName(note.title, usedNames), toMarkdownFile(note), {
+      date: new Date(note.updatedAt)
+    });
+  }
+
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader("Content-Disposition", `attachment; filename="${fileBase}.zip"`);
+  zip.generateNodeStream({ type: "nodebuffer", streamFiles: true, compression: "DEFLATE" })
+    .on("error", (error) => {
+      logger.error("error streaming notes archive", { requestId: req.id, error });
+      res.destroy(error);
+    })
+    .pipe(res);
+}
+
+/**
+ * Decompress one file of a zip, giving up as soon as it exceeds a size
+ * The size recorded in the archive is not trusted; bytes are counted as
+ * they are inflated.
+ * 
+ * @param {Object} entry - JSZip file entry
+ * @param {number} maxBytes - Largest size accepted
+ * @returns {Promise<Buffer>} File contents
+ * @throws {BadRequestError} If the file is larger than maxBytes
+ */
+const inflateEntry = (entry, maxBytes) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  const stream = entry.internalStream("uint8array");
+
+  stream
+    .on("data", (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        stream.pause();
+        reject(new BadRequestError(`${entry.name} is too large to import`));
+        return;
+      }
+      chunks.push(chunk);
+    })
+    .on("error", reject)
+    .on("end", () => resolve(Buffer.concat(chunks)))
+    .resume();
+});
+
+/**
+ * Read the notes contained in an uploaded export file
+ * 
+ * @async
+ * @param {Object} file - Multer file (in memory)
+ * @returns {Promise<Array<Object>>} Raw notes, each with a `source` label for reporting
+ * @throws {Error} If the file cannot be parsed
+ * @throws {BadRequestError} If a zip holds too many notes or expands beyond the import limits
+ */
+const readImportFile = async (file) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+
+  if (extension === ".json") {
+    const data = JSON.parse(file.buffer.toString("utf8"));
+    const notes = Array.isArray(data) ? data : data?.notes;
+    if (!Array.isArray(notes)) {
+      throw new Error("JSON file must contain a notes array");
+    }
+    return notes.map((note, index) => ({ ...note, source: `notes[${index}]` }));
+  }
+
+  const fromMarkdown = (text, fileName) => {
+    const { meta, content } = parseMarkdownFile(text);
+    return {
+      ...meta,
+      // Files without front matter are titled after the file name
+      title: meta.title ?? path.basename(fileName, path.extname(fileName)),
+      content,
+      source: fileName
+    };
+  };
+
+  if (extension === ".md") {
+    return [fromMarkdown(file.buffer.toString("utf8"), file.originalname)];
+  }
+
+  const zip = await JSZip.loadAsync(file.buffer);
+  const entries = Object.values(zip.files).filter((entry) =>
+    !entry.dir && /\.md$/i.test(entry.name) && !entry.name.startsWith("__MACOSX/")
+  );
+
+  if (entries.length > MAX_IMPORT_NOTES) {
+    throw new BadRequestError(`Too many notes in one import (max ${MAX_IMPORT_NOTES})`);
+  }
+
+  // One file at a time, within what is left of the total budget
+  const notes = [];
+  let remainingBytes = MAX_IMPORT_TOTAL_BYTES;
+  for (const entry of entries) {
+    const data = await inflateEntry(entry, Math.min(MAX_IMPORT_FILE_BYTES, remainingBytes));
+    remainingBytes -= data.length;
+    notes.push(fromMarkdown(data.toString("utf8"), entry.name));
+  }
+  return notes;
+};
+
+/**
+ * Parse a date from an import, ignoring invalid values
+ * 
+ * @param {*} value - Raw value
+ * @returns {Date|undefined} Valid date or undefined
+ */
+const parseDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : undefined;
+};
+
+/**
+ * Import notes from a file produced by exportNotes
+ * Accepts a JSON export, a Markdown zip export or a single `.md` file.
+ * A note whose title matches an existing note is skipped, or imported under
+ * a new title ("Title (imported)") when `duplicates=rename`.
+ * 
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.file - Uploaded file (multipart field "file")
+ * @param {Object} req.body - Multipart form fields
+ * @param {string} [req.body.duplicates] - "skip" (default) or "rename"
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with a summary and per-note results, or error
+ * 
+ * @example
+ * POST /api/notes/import (multipart: file=notes.zip, duplicates=rename)
+ * Response: {
+ *   summary: { created: 2, renamed: 1, skipped: 0, failed: 1 },
+ *   results: [{ source: "plan.md", title: "Plan (imported)", status: "renamed", id: "123" }, ...]
+ * }
+ */
+export async function importNotes(req, res) {
+  if (!req.file) {
+    throw new BadRequestError("No file uploaded");
+  }
+
+  const duplicates = req.body.duplicates || "skip";
+
+  let incoming;
+  try {
+    incoming = await readImportFile(req.file);
+  } catch (error) {
+    if (error instanceof BadRequestError) throw error;
+    throw new BadRequestError(`Could not read file: ${error.message}`);
+  }
+
+  if (incoming.length > MAX_IMPORT_NOTES) {
+    throw new BadRequestError(`Too many notes in one import (max ${MAX_IMPORT_NOTES})`);
+  }
+
+  const existing = await Note.find({ user: req.user.id, deletedAt: null }).distinct("title");
+  const titles = new Set(existing);
+  const results = [];
+
+  for (const raw of incoming) {
+    const result = { source: raw.source, title: raw.title };
+
+    if (typeof raw.title !== "string" || !raw.title.trim()
+      || typeof raw.content !== "string" || !raw.content.trim()) {
+      results.push({ ...result, status: "failed", message: "Title and content are required" });
+      continue;
+    }
+
+    let title = raw.title.trim();
+    let status = "created";
+
+    if (titles.has(title)) {
+      if (duplicates === "skip") {
+        results.push({ ...result, status: "skipped", message: "A note with this title already exists" });
+        continue;
+      }
+
+      const base = `${title} (imported`;
+      title = `${base})`;
+      for (let i = 2; titles.has(title); i++) {
+        title = `${base} ${i})`;
+      }
+      status = "renamed";
+    }
+
+    try {
+      const note = await new Note({
+        title,
+        content: raw.content,
+        format: NOTE_FORMATS.includes(raw.format) ? raw.format : "plain",
+        tags: normalizeTags(raw.tags) || [],
+        archived: raw.archived === true,
+        pinned: raw.pinned === true && raw.archived !== true,
+        user: req.user.id,
+        createdAt: parseDate(raw.createdAt) // Keep the original creation date when present
+      }).save();
+
+      titles.add(title);
+      results.push({ ...result, title, status, id: note._id });
+    } catch (error) {
+      results.push({ ...result, status: "failed", message: error.message });
+    }
+  }
+
+  const summary = { created: 0, renamed: 0, skipped: 0, failed: 0 };
+  results.forEach(({ status }) => { summary[status] += 1; });
+
+  res.status(200).json({ summary, results });
+}
@@ -0,0 +1,241 @@
+/**
+ * @fileoverview Notebooks Controller - Creates, renames, moves and deletes notebooks
+ * @module controllers/notebooksController
+ */
+
+import mongoose from "mongoose";
+import Note from "../models/Note.js";
+import Notebook, { MAX_NOTEBOOK_DEPTH } from "../models/Notebook.js";
+import { BadRequestError, ConflictError, NotFoundError } from "../utils/errors.js";
+import {
+  findUserNotebook,
+  getDepth,
+  getSubtreeHeight,
+  getSubtreeIds,
+  loadNotebookTree
+} from "../utils/notebooks.js";
+
+// Same collation as the sibling index, so name checks ignore case like the index does
+const NAME_COLLATION = { locale: "en", strength: 2 };
+
+/**
+ * Reject a name already used by another notebook under the same parent
+ *
+ * @param {string} userId - Owner's user ID
+ * @param {string|null} parent - Parent notebook ID (null for the top level)
+ * @param {string} name - Proposed name
+ * @param {string} [exceptId] - Notebook being renamed or moved
+ * @returns {Promise<void>}
+ * @throws {ConflictError} If the name is taken
+ */
+async function assertNameAvailable(userId, parent, name, exceptId) {
+  const existing = await Notebook.findOne({
+    user: userId,
+    parent: parent ?? null,
+    name,
+    ...(exceptId && { _id: { $ne: exceptId } })
+  }).collation(NAME_COLLATION);
+
+  if (existing) {
+    throw new ConflictError("A notebook with this name already exists here", {
+      errors: { name: "A notebook with this name already exists here" }
+    });
+  }
+}
+
+/**
+ * Get every notebook of the authenticated user
+ * Returned flat, sorted by name; clients build the tree from `parent`.
+ * `noteCount` counts the active (not archived or trashed) notes filed
+ * directly in each notebook.
+ *
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with notebooks or error message
+ *
+ * @example
+ * GET /api/notebooks
+ * Response: [{ _id: "1", name: "Work", parent: null, noteCount: 4 }, { _id: "2", name: "Q3", parent: "1", noteCount: 2 }]
+ */
+export async function getNotebooks(req, res) {
+  const [notebooks, counts] = await Promise.all([
+    Notebook.find({ user: req.user.id }).sort({ name: 1 }).collation(NAME_COLLATION).lean(),
+    Note.aggregate([
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(req.user.id),
+          notebook: { $ne: null },
+          archived: { $ne: true },
+          deletedAt: null
+        }
+      },
+      { $group: { _id: "$notebook", count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const countById = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+
+  res.status(200).json(notebooks.map((notebook) => ({
+    ...notebook,
+    noteCount: countById.get(String(notebook._id)) ?? 0
+  })));
+}
+
+/**
+ * Create a notebook, at the top level or inside another notebook
+ *
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.name - Notebook name
+ * @param {string|null} [req.body.parent] - Parent notebook ID
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the created notebook or error message
+ *
+ * @example
+ * POST /api/notebooks
+ * Body: { name: "Q3", parent: "1" }
+ * Response: { _id: "2", name: "Q3", parent: "1", user: "456", noteCount: 0 }
+ */
+export async function createNotebook(req, res) {
+  const { name, parent = null } = req.body;
+
+  if (parent) {
+    const tree = await loadNotebookTree(req.user.id);
+    if (!tree.has(parent)) {
+      throw new NotFoundError("Parent notebook not found");
+    }
+    if (getDepth(tree, parent) + 1 > MAX_NOTEBOOK_DEPTH) {
+      throw new BadRequestError(`Notebooks can be nested at most ${MAX_NOTEBOOK_DEPTH} levels deep`);
+    }
+  }
+
+  await assertNameAvailable(req.user.id, parent, name);
+
+  const notebook = await Notebook.create({ name, parent, user: req.user.id });
+
+  res.status(201).json({ ...notebook.toObject(), noteCount: 0 });
+}
+
+/**
+ * Rename a notebook and/or move it under another parent
+ * A notebook cannot be moved into itself or one of its own descendants.
+ *
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Notebook ID
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.name] - New name
+ * @param {string|null} [req.body.parent] - New parent notebook ID (null for the top level)
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the updated notebook or error message
+ *
+ * @example
+ * PATCH /api/notebooks/:id
+ * Body: { name: "Archive 2024", parent: null }
+ * Response: { _id: "2", name: "Archive 2024", parent: null, ... }
+ */
+export async function updateNotebook(req, res) {
+  const tree = await loadNotebookTree(req.user.id);
+  const notebook = tree.get(req.params.id);
+
+  if (!notebook) {
+    throw new NotFoundError("Notebook not found");
+  }
+
+  const name = req.body.name ?? notebook.name;
+  const parent = req.body.parent === undefined ? notebook.parent : req.body.parent;
+
+  if (req.body.parent !== undefined && parent) {
+    if (!tree.has(parent)) {
+      throw new NotFoundError("Parent notebook not found");
+    }
+    if (getSubtreeIds(tree, req.params.id).includes(parent)) {
+      throw new BadRequestError("A notebook cannot be moved into itself");
+    }
+    if (getDepth(tree, parent) + getSubtreeHeight(tree, req.params.id) > MAX_NOTEBOOK_DEPTH) {
+      throw new BadRequestError(`Notebooks can be nested at most ${MAX_NOTEBOOK_DEPTH} levels deep`);
+    }
+  }
+
+  await assertNameAvailable(req.user.id, parent, name, req.params.id);
+
+  const updatedNotebook = await Notebook.findOneAndUpdate(
+    { _id: req.params.id, user: req.user.id },
+    { name, parent },
+    { new: true, lean: true }
+  );
+
+  if (!updatedNotebook) {
+    throw new NotFoundError("Notebook not found");
+  }
+
+  res.status(200).json(updatedNotebook);
+}
+
+/**
+ * Delete a notebook
+ * With `notes=move`, its notes and child notebooks move up to its parent.
+ * With `notes=trash`, child notebooks are deleted too and every note inside
+ * them is moved to the trash; restored notes come back at the top level.
+ *
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Notebook ID
+ * @param {Object} req.query - Query string parameters
+ * @param {string} req.query.notes - "move" or "trash"
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with what happened to the notes or error message
+ *
+ * @example
+ * DELETE /api/notebooks/:id?notes=move
+ * Response: { message: "Notebook deleted", moved: 4, trashed: 0 }
+ */
+export async function deleteNotebook(req, res) {
+  const notebook = await findUserNotebook(req.user.id, req.params.id);
+
+  if (req.query.notes === "move") {
+    // Children keep their names, so they must not clash with the parent's notebooks
+    const children = await Notebook.find({ user: req.user.id, parent: notebook._id }).lean();
+    for (const child of children) {
+      await assertNameAvailable(req.user.id, notebook.parent, child.name, child._id);
+    }
+
+    await Notebook.updateMany({ user: req.user.id, parent: notebook._id }, { parent: notebook.parent });
+    const { modifiedCount } = await Note.updateMany(
+      { user: req.user.id, notebook: notebook._id },
+      { notebook: notebook.parent },
+      { timestamps: false } // Filing is not an edit
+    );
+    await Notebook.deleteOne({ _id: notebook._id });
+
+    return res.status(200).json({ message: "Notebook deleted", moved: modifiedCount, trashed: 0 });
+  }
+
+  const ids = getSubtreeIds(await loadNotebookTree(req.user.id), notebook._id);
+
+  const { modifiedCount } = await Note.updateMany(
+    { user: req.user.id, notebook: { $in: ids }, deletedAt: null },
+    { deletedAt: new Date() },
+    { timestamps: false } // Trashing is not an edit
+  );
+  await Note.updateMany(
+    { user: req.user.id, notebook: { $in: ids } },
+    { notebook: null },
+    { timestamps: false }
+  );
+  await Notebook.deleteMany({ user: req.user.id, _id: { $in: ids } });
+
+  res.status(200).json({ message: "Notebook deleted", moved: 0, trashed: modifiedCount });
+}
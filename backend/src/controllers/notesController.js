@@ -3,41 +3,220 @@
  * @module controllers/notesController
  */
 
+import mongoose from "mongoose";
 import Note from "../models/Note.js";
+import NoteRevision, { hasTrackedChanges } from "../models/NoteRevision.js";
+import {
+  AppError,
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError
+} from "../utils/errors.js";
+import { formatChecklist, parseChecklist, positionItems } from "../utils/checklist.js";
+import { canEditFilter, canViewFilter, toSharedNoteResponse } from "../utils/noteAccess.js";
+import { findUserNotebook } from "../utils/notebooks.js";
+import { NOTE_EVENTS, publishNoteEvent } from "../utils/noteEvents.js";
+import {
+  DEFAULT_NOTE_SORT,
+  TITLE_COLLATION,
+  afterCursor,
+  buildNoteSort,
+  decodeCursor,
+  encodeCursor,
+  parseLimit
+} from "../utils/pagination.js";
+import { buildSearchFilter, parseSearchQuery } from "../utils/search.js";
+import { buildTagsCondition, normalizeTags, parseTagsParam } from "../utils/tags.js";
+
+// Upper bound for search results returned in a single response
+const MAX_SEARCH_RESULTS = 100;
+
+// Shortest time between two revisions recorded by PATCH (autosave)
+const AUTOSAVE_REVISION_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Read the note version the client last saw
+ * Taken from the `If-Match` header (`"3"`, `W/"3"` or `3`), falling back to `__v` in the body
+ *
+ * @param {Object} req - Express request object
+ * @returns {number|null|undefined} Version, null if malformed, undefined if not sent
+ */
+function getExpectedVersion(req) {
+  const header = req.get("If-Match");
+  const raw = header !== undefined
+    ? header.replace(/^W\//, "").replace(/"/g, "").trim()
+    : req.body?.__v;
+
+  if (raw === undefined || raw === null || raw === "") return undefined;
+
+  const version = Number(raw);
+  return Number.isInteger(version) && version >= 0 ? version : null;
+}
 
 /**
- * Get all notes for the authenticated user
- * Returns notes sorted by creation date (newest first)
+ * Get a page of notes for the authenticated user
+ * Returns pinned notes first, then the rest in the chosen order, optionally
+ * filtered by tags. Archived notes are only listed with `archived=true`.
+ * Uses keyset (cursor) pagination over the list index for the sort order so
+ * deep pages cost the same as the first one.
  * 
  * @async
  * @param {Object} req - Express request object
+ * @param {Object} req.query - Query string parameters
+ * @param {string} [req.query.limit] - Page size (default 20, max 100)
+ * @param {string} [req.query.cursor] - `nextCursor` from the previous page (same sort only)
+ * @param {string} [req.query.sort] - "created" (default, newest first), "updated" (recently edited first) or "title" (A-Z)
+ * @param {string} [req.query.archived] - "true" to list archived notes instead of active ones
+ * @param {string} [req.query.notebook] - Only list notes filed directly in this notebook
+ * @param {string|string[]} [req.query.tags] - Tags to filter by (comma-separated or repeated)
+ * @param {string} [req.query.match] - "all" (default) requires every tag, "any" at least one
  * @param {Object} req.user - Authenticated user object (from auth middleware)
  * @param {string} req.user.id - User ID
  * @param {Object} res - Express response object
- * @returns {Promise<void>} JSON response with notes array or error message
+ * @returns {Promise<void>} JSON response with a page of notes or error message
  * 
  * @example
- * GET /api/notes
- * Response: [{ _id: "123", title: "Note", content: "..." }, ...]
+ * GET /api/notes?limit=20&sort=updated&tags=work
+ * Response: {
+ *   notes: [{ _id: "123", title: "Note", content: "...", tags: ["work"], pinned: true }, ...],
+ *   nextCursor: "eyJ0IjoxNz..." // null on the last page
+ * }
  */
 export async function getAllNotes(req, res) {
-  try {
-    // Use lean() to return plain JavaScript objects instead of Mongoose documents
-    // This improves performance by 2-5x
-    const notes = await Note.find({ user: req.user.id })
-      .sort({ createdAt: -1 }) // -1 for descending order (newest first)
-      .lean();
+  const sort = req.query.sort ?? DEFAULT_NOTE_SORT;
+  const filter = {
+    user: req.user.id,
+    archived: req.query.archived === "true",
+    deletedAt: null // Trashed notes are listed by getTrash
+  };
+  const limit = parseLimit(req.query.limit);
+
+  if (req.query.notebook) {
+    filter.notebook = req.query.notebook;
+  }
+
+  const tagsCondition = buildTagsCondition(parseTagsParam(req.query.tags), req.query.match);
+  if (tagsCondition) {
+    filter.tags = tagsCondition;
+  }
+
+  if (req.query.cursor) {
+    const position = decodeCursor(String(req.query.cursor), sort);
+    if (!position) {
+      throw new BadRequestError("Invalid cursor");
+    }
+    Object.assign(filter, afterCursor(position, sort));
+  }
+
+  // Fetch one extra note to know whether another page exists
+  // Use lean() to return plain JavaScript objects instead of Mongoose documents
+  // This improves performance by 2-5x
+  const query = Note.find(filter)
+    .sort(buildNoteSort(sort))
+    .limit(limit + 1)
+    .lean();
 
-    res.status(200).json(notes);
-  } catch (error) {
-    console.error("Error in getAllNotes controller:", error);
-    res.status(500).json({ message: "Internal server error" });
+  if (sort === "title") {
+    query.collation(TITLE_COLLATION); // Case-insensitive A-Z, served by the title list index
   }
+
+  const notes = await query;
+  const hasMore = notes.length > limit;
+  const page = hasMore ? notes.slice(0, limit) : notes;
+
+  res.status(200).json({
+    notes: page,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null,
+  });
+}
+
+/**
+ * Get every tag used by the authenticated user with the number of notes carrying it
+ * Sorted by usage (most used first), then alphabetically
+ *
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with tag counts or error message
+ *
+ * @example
+ * GET /api/notes/tags
+ * Response: [{ tag: "work", count: 12 }, { tag: "ideas", count: 3 }]
+ */
+export async function getTags(req, res) {
+  const tags = await Note.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(req.user.id), archived: { $ne: true }, deletedAt: null } },
+    { $unwind: "$tags" },
+    { $group: { _id: "$tags", count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $project: { _id: 0, tag: "$_id", count: 1 } },
+  ]);
+
+  res.status(200).json(tags);
+}
+
+/**
+ * Search the authenticated user's notes
+ * Uses the text index on title/content and returns results ranked by relevance.
+ * Supports `"exact phrases"`, `prefix*` terms and `-excluded` words.
+ *
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query string parameters
+ * @param {string} req.query.q - Search string
+ * @param {string} [req.query.limit] - Maximum number of results (default 50, max 100)
+ * @param {string|string[]} [req.query.tags] - Only search notes carrying all of these tags
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with matching notes or error message
+ *
+ * @example
+ * GET /api/notes/search?q="weekly sync" proj*
+ * Response: [{ _id: "123", title: "Project weekly sync", content: "...", score: 7.5 }, ...]
+ */
+export async function searchNotes(req, res) {
+  const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+  const search = buildSearchFilter(parseSearchQuery(query));
+
+  // Nothing searchable (empty query or only exclusions)
+  if (!search) {
+    return res.status(200).json([]);
+  }
+
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || 50, 1),
+    MAX_SEARCH_RESULTS
+  );
+
+  const filter = { ...search.filter, user: req.user.id, archived: { $ne: true }, deletedAt: null };
+
+  const tagsCondition = buildTagsCondition(parseTagsParam(req.query.tags), req.query.match);
+  if (tagsCondition) {
+    filter.tags = tagsCondition;
+  }
+
+  // Rank by text score when the text index is used, otherwise by recency
+  const notes = search.useTextScore
+    ? await Note.find(filter, { score: { $meta: "textScore" } })
+      .sort({ score: { $meta: "textScore" }, createdAt: -1 })
+      .limit(limit)
+      .lean()
+    : await Note.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+  res.status(200).json(notes);
 }
 
 /**
  * Get a single note by ID
- * Only returns note if it belongs to the authenticated user
+ * Returns the note if the authenticated user owns it or it is shared with them.
+ * The response includes the caller's `access` level and the owner's username.
  * 
  * @async
  * @param {Object} req - Express request object
@@ -50,25 +229,28 @@ export async function getAllNotes(req, res) {
  * 
  * @example
  * GET /api/notes/:id
- * Response: { _id: "123", title: "Note", content: "...", user: "456" }
+ * Response: {
+ *   _id: "123", title: "Note", content: "...", user: "456",
+ *   owner: { _id: "456", username: "john_doe" }, access: "owner",
+ *   collaborators: [{ user: "789", username: "jane", permission: "viewer" }]
+ * }
  */
 export async function getNoteById(req, res) {
-  try {
-    // Find note by ID and ensure it belongs to current user
-    const note = await Note.findOne({
-      _id: req.params.id,
-      user: req.user.id
-    }).lean();
-
-    if (!note) {
-      return res.status(404).json({ message: "Note not found!" });
-    }
+  // Find note by ID and ensure the current user may see it and it is not trashed
+  const note = await Note.findOne({
+    _id: req.params.id,
+    deletedAt: null,
+    ...canViewFilter(req.user.id)
+  })
+    .populate("user", "username")
+    .populate("collaborators.user", "username")
+    .lean();
 
-    res.json(note);
-  } catch (error) {
-    console.error("Error in getNoteById controller:", error);
-    res.status(500).json({ message: "Internal server error" });
+  if (!note) {
+    throw new NotFoundError("Note not found!");
   }
+
+  res.json(toSharedNoteResponse(note, req.user.id));
 }
 
 /**
@@ -79,7 +261,11 @@ export async function getNoteById(req, res) {
  * @param {Object} req - Express request object
  * @param {Object} req.body - Request body
  * @param {string} req.body.title - Note title
- * @param {string} req.body.content - Note content
+ * @param {string} [req.body.content] - Note content (for a checklist without items, one item per line)
+ * @param {string[]} [req.body.tags] - Note tags
+ * @param {string} [req.body.format] - Content format, "plain" (default), "markdown" or "checklist"
+ * @param {Object[]} [req.body.items] - Checklist items ({ text, done }), in order
+ * @param {string|null} [req.body.notebook] - Notebook to file the note in
  * @param {Object} req.user - Authenticated user object
  * @param {string} req.user.id - User ID
  * @param {Object} res - Express response object
@@ -87,80 +273,296 @@ export async function getNoteById(req, res) {
  * 
  * @example
  * POST /api/notes
- * Body: { title: "New Note", content: "Content..." }
+ * Body: { title: "New Note", content: "# Content...", tags: ["work"], format: "markdown" }
  * Response: { _id: "123", title: "New Note", content: "...", user: "456" }
+ * Checklist: { title: "Groceries", format: "checklist", items: [{ text: "Milk" }] }
  */
 export async function createNote(req, res) {
-  try {
-    const { title, content } = req.body;
-
-    // Create new note instance
-    const note = new Note({
-      title,
-      content,
-      user: req.user.id
+  const { title, content, tags, format, items, notebook } = req.body;
+
+  if (notebook) {
+    await findUserNotebook(req.user.id, notebook);
+  }
+
+  // Create new note instance
+  const note = new Note({
+    title,
+    content,
+    format,
+    items: items ? positionItems(items) : [],
+    tags: normalizeTags(tags),
+    notebook: notebook ?? null,
+    user: req.user.id
+  });
+
+  // Save to database
+  const savedNote = (await note.save()).toObject();
+  publishNoteEvent(req, NOTE_EVENTS.created, savedNote);
+
+  // Respond with the plain object
+  res.status(201).json(savedNote);
+}
+
+/**
+ * Write an edit to a note the user can edit, guarded by the version they last saw
+ * The overwritten version is saved as a revision (see revisionsController,
+ * which also restores revisions through here)
+ *
+ * @param {Object} req - Express request object (note ID, user and expected version)
+ * @param {Object} update - Fields to write
+ * @param {Object} [revisionOptions] - Passed to NoteRevision.record
+ * @param {Object} [condition] - Extra filter the note must match, treated like a version mismatch
+ * @returns {Promise<Object>} Updated note, as getNoteById sends it
+ * @throws {AppError} 428 if no version was sent
+ * @throws {ConflictError} If the note changed since that version (details carry the current note, as getNoteById sends it)
+ */
+export async function applyNoteEdit(req, update, revisionOptions, condition = {}) {
+  const expectedVersion = getExpectedVersion(req);
+
+  if (expectedVersion === undefined) {
+    throw new AppError("Note version is required (send If-Match or __v)", 428);
+  }
+  if (expectedVersion === null) {
+    throw new BadRequestError("Invalid note version");
+  }
+
+  // Find and update note in one operation, getting back the version it replaced
+  // Matching on __v makes the write fail if someone else saved in between
+  const previousNote = await Note.findOneAndUpdate(
+    { ...condition, _id: req.params.id, deletedAt: null, __v: expectedVersion, ...canEditFilter(req.user.id) }, // Filter: match ID, version and edit access, skip trashed notes
+    { ...update, $inc: { __v: 1 } },
+    {
+      new: false, // Return the document as it was before the update
+      lean: true, // Return plain object for better performance
+      runValidators: true // Enforce schema rules such as the format enum
+    }
+  );
+
+  if (!previousNote) {
+    // Distinguish a missing note, a read-only share and a stale version
+    const currentNote = await Note.findOne({
+      _id: req.params.id,
+      deletedAt: null,
+      ...canViewFilter(req.user.id)
+    })
+      .populate("user", "username")
+      .populate("collaborators.user", "username")
+      .lean();
+
+    if (!currentNote) {
+      throw new NotFoundError("Note not found");
+    }
+
+    if (!(await Note.exists({ _id: currentNote._id, ...canEditFilter(req.user.id) }))) {
+      throw new ForbiddenError("You only have view access to this note");
+    }
+
+    // Shaped as in getNoteById, so editors do not see the owner-only fields
+    throw new ConflictError("This note was changed since you opened it", {
+      note: toSharedNoteResponse(currentNote, req.user.id)
     });
+  }
+
+  // Keep the overwritten version so it can be restored later
+  if (hasTrackedChanges(previousNote, update)) {
+    await NoteRevision.record(previousNote, revisionOptions);
+  }
+
+  const updatedNote = await Note.findById(previousNote._id).lean();
+  publishNoteEvent(req, NOTE_EVENTS.updated, updatedNote);
 
-    // Save to database
-    const savedNote = await note.save();
+  // Editors get the same view of the note as from getNoteById
+  return toSharedNoteResponse(await Note.populateSharing(updatedNote), req.user.id);
+}
 
-    // Convert to plain object for response
-    res.status(201).json(savedNote.toObject());
-  } catch (error) {
-    console.error("Error in createNote controller:", error);
-    res.status(500).json({ message: "Internal server error" });
+/**
+ * Refuse text edits to a checklist, whose content follows its items
+ *
+ * @param {Object} req - Express request object (note ID and user)
+ * @param {Object} update - Fields to write
+ * @throws {BadRequestError} If the update sets content or format on a checklist
+ */
+async function rejectChecklistTextEdit(req, update) {
+  if (update.content === undefined && update.format === undefined) return;
+
+  const isChecklist = await Note.exists({
+    _id: req.params.id,
+    format: "checklist",
+    deletedAt: null,
+    ...canViewFilter(req.user.id)
+  });
+
+  if (isChecklist) {
+    throw new BadRequestError("Checklist items are changed through /items, or convert the note to text first");
   }
 }
 
 /**
  * Update an existing note
- * Only updates note if it belongs to the authenticated user
+ * Only updates note if the authenticated user owns it or is an editor
+ * The overwritten version is saved as a revision (see revisionsController)
+ * 
+ * Uses optimistic concurrency control: the client must send the version
+ * (`__v`) it last saw. If the note changed since then, nothing is written and
+ * 409 is returned with the current server copy so the client can resolve it.
  * 
  * @async
  * @param {Object} req - Express request object
  * @param {Object} req.params - Route parameters
  * @param {string} req.params.id - Note ID
+ * @param {Object} req.headers - Request headers
+ * @param {string} [req.headers.if-match] - Version the client last saw
  * @param {Object} req.body - Request body
+ * @param {number} [req.body.__v] - Version the client last saw (when If-Match is not sent)
  * @param {string} req.body.title - Updated note title
  * @param {string} req.body.content - Updated note content
+ * @param {string[]} [req.body.tags] - Updated note tags (left unchanged when omitted)
+ * @param {string} [req.body.format] - Updated content format (left unchanged when omitted; not "checklist", see convertNote)
  * @param {Object} req.user - Authenticated user object
  * @param {string} req.user.id - User ID
  * @param {Object} res - Express response object
- * @returns {Promise<void>} JSON response with updated note or error message
+ * @returns {Promise<void>} JSON response with updated note, conflict details or error message
  * 
  * @example
  * PUT /api/notes/:id
+ * Headers: { "If-Match": "\"3\"" }
  * Body: { title: "Updated Title", content: "Updated content..." }
- * Response: { _id: "123", title: "Updated Title", content: "...", user: "456" }
+ * Response: { _id: "123", title: "Updated Title", content: "...", user: "456", __v: 4 }
+ * Conflict: 409 { message: "...", note: { ...current server copy, __v: 5 } }
  */
 export async function updateNote(req, res) {
-  try {
-    const { title, content } = req.body;
-
-    // Find and update note in one operation
-    const updatedNote = await Note.findOneAndUpdate(
-      { _id: req.params.id, user: req.user.id }, // Filter: match ID and user
-      { title, content }, // Update
-      {
-        new: true,  // Return updated document
-        lean: true  // Return plain object for better performance
-      }
-    );
-
-    if (!updatedNote) {
-      return res.status(404).json({ message: "Note not found" });
-    }
+  const { title, content, format } = req.body;
+  const update = { title, content };
 
-    res.status(200).json(updatedNote);
-  } catch (error) {
-    console.error("Error in updateNote controller:", error);
-    res.status(500).json({ message: "Internal server error" });
+  // Only touch the format when the client sent one
+  if (format !== undefined) {
+    update.format = format;
   }
+
+  // Only touch tags when the client sent them
+  const tags = normalizeTags(req.body.tags);
+  if (tags !== undefined) {
+    update.tags = tags;
+  }
+
+  await rejectChecklistTextEdit(req, update);
+  const updatedNote = await applyNoteEdit(req, update);
+
+  res.status(200).json(updatedNote);
 }
 
 /**
- * Delete a note
- * Only deletes note if it belongs to the authenticated user
+ * Partially update a note, e.g. from autosave
+ * Same access and version rules as updateNote, but only the fields sent are
+ * written. Autosave saves every few seconds, so at most one revision is kept
+ * per AUTOSAVE_REVISION_INTERVAL_MS to leave room in the history for older versions.
+ * 
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Note ID
+ * @param {Object} req.headers - Request headers
+ * @param {string} [req.headers.if-match] - Version the client last saw
+ * @param {Object} req.body - Fields to change (at least one)
+ * @param {number} [req.body.__v] - Version the client last saw (when If-Match is not sent)
+ * @param {string} [req.body.title] - New note title
+ * @param {string} [req.body.content] - New note content
+ * @param {string[]} [req.body.tags] - New note tags
+ * @param {string} [req.body.format] - New content format
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with updated note, conflict details or error message
+ * 
+ * @example
+ * PATCH /api/notes/:id
+ * Headers: { "If-Match": "\"4\"" }
+ * Body: { content: "Updated content..." }
+ * Response: { _id: "123", title: "Updated Title", content: "Updated content...", __v: 5 }
+ */
+export async function patchNote(req, res) {
+  const { title, content, format } = req.body;
+  const update = {};
+
+  if (title !== undefined) update.title = title;
+  if (content !== undefined) update.content = content;
+  if (format !== undefined) update.format = format;
+
+  const tags = normalizeTags(req.body.tags);
+  if (tags !== undefined) {
+    update.tags = tags;
+  }
+
+  await rejectChecklistTextEdit(req, update);
+  const updatedNote = await applyNoteEdit(req, update, { minIntervalMs: AUTOSAVE_REVISION_INTERVAL_MS });
+
+  res.status(200).json(updatedNote);
+}
+
+/**
+ * Convert a note between text and a checklist
+ * Text becomes one item per non-empty line ("- [x] Done" lines stay checked);
+ * a checklist becomes a Markdown task list. Same access and version rules as
+ * updateNote, and the note as it was is saved as a revision.
+ *
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Note ID
+ * @param {Object} req.headers - Request headers
+ * @param {string} [req.headers.if-match] - Version the client last saw
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.format - Format to convert to
+ * @param {number} [req.body.__v] - Version the client last saw (when If-Match is not sent)
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the converted note, conflict details or error message
+ *
+ * @example
+ * POST /api/notes/:id/convert
+ * Headers: { "If-Match": "\"4\"" }
+ * Body: { format: "checklist" }
+ * Response: { _id: "123", format: "checklist", items: [{ _id: "9", text: "Milk", done: false, position: 0 }], __v: 5 }
+ */
+export async function convertNote(req, res) {
+  const { format } = req.body;
+
+  const note = await Note.findOne({ _id: req.params.id, deletedAt: null, ...canViewFilter(req.user.id) })
+    .select("content format items")
+    .lean();
+
+  if (!note) {
+    throw new NotFoundError("Note not found");
+  }
+
+  const isChecklist = note.format === "checklist";
+  if (isChecklist === (format === "checklist")) {
+    throw new BadRequestError(isChecklist ? "This note is already a checklist" : "This note is already text");
+  }
+
+  let update;
+  if (isChecklist) {
+    if (note.items.length === 0) {
+      throw new BadRequestError("An empty checklist cannot be converted to text");
+    }
+    update = { format, content: formatChecklist(note.items), items: [] };
+  } else {
+    const items = positionItems(parseChecklist(note.content));
+    update = { format, items, content: formatChecklist(items) };
+  }
+
+  // Item changes keep the version, so also require the content converted above
+  const updatedNote = await applyNoteEdit(req, update, undefined, { content: note.content });
+
+  res.status(200).json(updatedNote);
+}
+
+/**
+ * Move a note to the trash
+ * Only the owner can trash a note; collaborators cannot. The note can be
+ * restored from the trash until it is purged (see trashController), so its
+ * attachments are kept until then and deleted along with it by Note.purge
  * 
  * @async
  * @param {Object} req - Express request object
@@ -173,23 +575,21 @@ export async function updateNote(req, res) {
  * 
  * @example
  * DELETE /api/notes/:id
- * Response: { message: "Note deleted successfully!" }
+ * Response: { message: "Note moved to trash" }
  */
 export async function deleteNote(req, res) {
-  try {
-    // Find and delete note in one operation
-    const deletedNote = await Note.findOneAndDelete({
-      _id: req.params.id,
-      user: req.user.id
-    }).lean();
+  // Soft delete: stamp deletedAt instead of removing the document
+  const trashedNote = await Note.findOneAndUpdate(
+    { _id: req.params.id, user: req.user.id, deletedAt: null },
+    { deletedAt: new Date() },
+    { new: true, lean: true, timestamps: false } // Trashing is not an edit
+  );
 
-    if (!deletedNote) {
-      return res.status(404).json({ message: "Note not found" });
-    }
-
-    res.status(200).json({ message: "Note deleted successfully!" });
-  } catch (error) {
-    console.error("Error in deleteNote controller:", error);
-    res.status(500).json({ message: "Internal server error" });
+  if (!trashedNote) {
+    throw new NotFoundError("Note not found");
   }
+
+  publishNoteEvent(req, NOTE_EVENTS.deleted, trashedNote);
+
+  res.status(200).json({ message: "Note moved to trash" });
 }
\ No newline at end of file
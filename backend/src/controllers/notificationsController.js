@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Notifications Controller - Lists notifications and marks them as read
+ * @module controllers/notificationsController
+ */
+
+import Notification from "../models/Notification.js";
+import { NotFoundError } from "../utils/errors.js";
+import { parseLimit } from "../utils/pagination.js";
+
+/**
+ * Get the latest notifications of the authenticated user
+ * 
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query string parameters
+ * @param {string} [req.query.unread] - "true" to only list unread notifications
+ * @param {string} [req.query.limit] - Number of notifications (default 20, max 100)
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with notifications and the unread count
+ * 
+ * @example
+ * GET /api/notifications?limit=10
+ * Response: {
+ *   notifications: [{ _id: "789", type: "reminder", note: "123", title: "Call Sam", dueAt: "...", readAt: null }],
+ *   unreadCount: 1
+ * }
+ */
+export async function getNotifications(req, res) {
+  const limit = parseLimit(req.query.limit);
+  const filter = { user: req.user.id };
+
+  const [notifications, unreadCount] = await Promise.all([
+    Notification.find(req.query.unread === "true" ? { ...filter, readAt: null } : filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit)
+      .lean(),
+    Notification.countDocuments({ ...filter, readAt: null }),
+  ]);
+
+  res.status(200).json({ notifications, unreadCount });
+}
+
+/**
+ * Mark one notification as read
+ * Marking an already read notification keeps its original read time
+ * 
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Notification ID
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the notification or error message
+ * 
+ * @example
+ * POST /api/notifications/:id/read
+ * Response: { _id: "789", type: "reminder", readAt: "2025-05-01T09:00:00.000Z", ... }
+ */
+export async function markNotificationRead(req, res) {
+  const filter = { _id: req.params.id, user: req.user.id };
+
+  await Notification.updateOne({ ...filter, readAt: null }, { readAt: new Date() });
+  const notification = await Notification.findOne(filter).lean();
+
+  if (!notification) {
+    throw new NotFoundError("Notification not found");
+  }
+
+  res.status(200).json(notification);
+}
+
+/**
+ * Mark every notification of the authenticated user as read
+ * 
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the number of notifications marked
+ * 
+ * @example
+ * POST /api/notifications/read-all
+ * Response: { message: "Notifications marked as read", modifiedCount: 3 }
+ */
+export async function markAllNotificationsRead(req, res) {
+  const { modifiedCount } = await Notification.updateMany(
+    { user: req.user.id, readAt: null },
+    { readAt: new Date() }
+  );
+
+  res.status(200).json({ message: "Notifications marked as read", modifiedCount });
+}
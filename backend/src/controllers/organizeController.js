@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Organize Controller - Pins, archives and files notes into notebooks
+ * @module controllers/organizeController
+ */
+
+import Note from "../models/Note.js";
+import { NotFoundError } from "../utils/errors.js";
+import { findUserNotebook } from "../utils/notebooks.js";
+import { NOTE_EVENTS, publishNoteEvent } from "../utils/noteEvents.js";
+
+/**
+ * Update how one of the caller's notes is organized
+ * These fields only affect how the owner's lists are arranged, so they do
+ * not bump the note version or its updatedAt.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} fields - Fields to set, e.g. { pinned: true }
+ * @param {Object} [condition] - Extra filter the note must match
+ * @returns {Promise<Object>} Updated note
+ * @throws {NotFoundError} If the note does not exist, is trashed or belongs to someone else
+ */
+async function organizeNote(req, fields, condition = {}) {
+  const note = await Note.findOneAndUpdate(
+    { ...condition, _id: req.params.id, user: req.user.id, deletedAt: null },
+    { $set: fields },
+    { new: true, lean: true, timestamps: false }
+  );
+
+  if (!note) {
+    throw new NotFoundError("Note not found");
+  }
+
+  publishNoteEvent(req, NOTE_EVENTS.updated, note);
+  return note;
+}
+
+/**
+ * Pin a note so it is listed before unpinned notes
+ * Only the owner can pin. Archived notes cannot be pinned until unarchived.
+ *
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Note ID
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the updated note or error message
+ *
+ * @example
+ * POST /api/notes/:id/pin
+ * Response: { _id: "123", title: "Note", pinned: true, archived: false, ... }
+ */
+export async function pinNote(req, res) {
+  res.status(200).json(await organizeNote(req, { pinned: true }, { archived: { $ne: true } }));
+}
+
+/**
+ * Unpin a note
+ *
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Note ID
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the updated note or error message
+ *
+ * @example
+ * DELETE /api/notes/:id/pin
+ * Response: { _id: "123", title: "Note", pinned: false, ... }
+ */
+export async function unpinNote(req, res) {
+  res.status(200).json(await organizeNote(req, { pinned: false }));
+}
+
+/**
+ * Archive a note, hiding it from the main list, tags and search
+ * Archiving also unpins the note.
+ *
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Note ID
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the updated note or error message
+ *
+ * @example
+ * POST /api/notes/:id/archive
+ * Response: { _id: "123", title: "Note", pinned: false, archived: true, ... }
+ */
+export async function archiveNote(req, res) {
+  res.status(200).json(await organizeNote(req, { archived: true, pinned: false }));
+}
+
+/**
+ * Move an archived note back to the main list
+ *
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Note ID
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the updated note or error message
+ *
+ * @example
+ * DELETE /api/notes/:id/archive
+ * Response: { _id: "123", title: "Note", archived: false, ... }
+ */
+export async function unarchiveNote(req, res) {
+  res.status(200).json(await organizeNote(req, { archived: false }));
+}
+
+/**
+ * Move a note into a notebook, or back to the top level
+ *
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Note ID
+ * @param {Object} req.body - Request body
+ * @param {string|null} req.body.notebook - Target notebook ID (null for the top level)
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the updated note or error message
+ *
+ * @example
+ * PUT /api/notes/:id/notebook
+ * Body: { notebook: "789" }
+ * Response: { _id: "123", title: "Note", notebook: "789", ... }
+ */
+export async function moveNote(req, res) {
+  const { notebook } = req.body;
+
+  if (notebook) {
+    await findUserNotebook(req.user.id, notebook);
+  }
+
+  res.status(200).json(await organizeNote(req, { notebook }));
+}
+
+/**
+ * Set, change or clear the note's reminder
+ * When it is due the owner gets a notification (see jobs/reminderJob).
+ * A repeating reminder then moves on to its next occurrence.
+ *
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Note ID
+ * @param {Object} req.body - Request body
+ * @param {string|null} req.body.remindAt - When to remind (ISO 8601 date), null to clear the reminder
+ * @param {string} [req.body.repeat] - "none" (default), "daily" or "weekly"
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the updated note or error message
+ *
+ * @example
+ * PUT /api/notes/:id/reminder
+ * Body: { remindAt: "2025-05-01T09:00:00.000Z", repeat: "weekly" }
+ * Response: { _id: "123", title: "Note", remindAt: "2025-05-01T09:00:00.000Z", remindRepeat: "weekly", ... }
+ */
+export async function setReminder(req, res) {
+  const { remindAt, repeat = "none" } = req.body;
+
+  res.status(200).json(await organizeNote(req, {
+    remindAt: remindAt ? new Date(remindAt) : null,
+    remindRepeat: remindAt ? repeat : "none",
+  }));
+}
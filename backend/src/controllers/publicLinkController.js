@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Public Link Controller - Creates, revokes and resolves read-only public note links
+ * @module controllers/publicLinkController
+ */
+
+import crypto from "crypto";
+import Note from "../models/Note.js";
+import { NotFoundError } from "../utils/errors.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a public link for a note, replacing any existing one
+ * Only the owner can create links. Replacing a link invalidates the old URL.
+ * 
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Note ID
+ * @param {Object} req.body - Request body
+ * @param {number} [req.body.expiresInDays] - Days until the link expires (omit for no expiry)
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the public link or error message
+ * 
+ * @example
+ * POST /api/notes/:id/public-link
+ * Body: { expiresInDays: 7 }
+ * Response: { token: "mF3k...", expiresAt: "2025-01-08T00:00:00.000Z", createdAt: "..." }
+ */
+export async function createPublicLink(req, res) {
+  // Range is checked by validate(createPublicLinkSchema)
+  const { expiresInDays } = req.body;
+  const expiresAt = expiresInDays ? new Date(Date.now() + expiresInDays * DAY_MS) : null;
+
+  const publicLink = {
+    token: crypto.randomBytes(24).toString("base64url"),
+    expiresAt,
+    createdAt: new Date()
+  };
+
+  const note = await Note.findOneAndUpdate(
+    { _id: req.params.id, user: req.user.id, deletedAt: null },
+    { publicLink },
+    { new: true, lean: true, timestamps: false }
+  );
+
+  if (!note) {
+    throw new NotFoundError("Note not found");
+  }
+
+  res.status(201).json(note.publicLink);
+}
+
+/**
+ * Revoke a note's public link
+ * 
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Note ID
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with success message or error
+ * 
+ * @example
+ * DELETE /api/notes/:id/public-link
+ * Response: { message: "Public link revoked" }
+ */
+export async function revokePublicLink(req, res) {
+  const result = await Note.updateOne(
+    { _id: req.params.id, user: req.user.id },
+    { publicLink: null },
+    { timestamps: false }
+  );
+
+  if (result.matchedCount === 0) {
+    throw new NotFoundError("Note not found");
+  }
+
+  res.status(200).json({ message: "Public link revoked" });
+}
+
+/**
+ * Get a note through its public link
+ * No authentication: the token is the credential. Only fields needed to
+ * display the note are returned. Unknown, revoked, expired and trashed links
+ * all look the same to the caller.
+ * 
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.token - Public link token
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the read-only note or error message
+ * 
+ * @example
+ * GET /api/public/notes/:token
+ * Response: { title: "Note", content: "...", format: "markdown", owner: "john_doe", updatedAt: "..." }
+ */
+export async function getPublicNote(req, res) {
+  const note = await Note.findOne({
+    "publicLink.token": String(req.params.token),
+    deletedAt: null,
+    $or: [
+      { "publicLink.expiresAt": null },
+      { "publicLink.expiresAt": { $gt: new Date() } }
+    ]
+  })
+    .select("title content format items tags createdAt updatedAt user")
+    .populate("user", "username")
+    .lean();
+
+  if (!note) {
+    throw new NotFoundError("This link is invalid or has expired");
+  }
+
+  res.status(200).json({
+    title: note.title,
+    content: note.content,
+    format: note.format || "plain",
+    items: note.items || [],
+    tags: note.tags || [],
+    owner: note.user?.username ?? null,
+    createdAt: note.createdAt,
+    updatedAt: note.updatedAt
+  });
+}
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Revisions Controller - Lists and restores previous versions of notes
+ * @module controllers/revisionsController
+ */
+
+import Note from "../models/Note.js";
+import NoteRevision from "../models/NoteRevision.js";
+import { applyNoteEdit } from "./notesController.js";
+import { parseChecklist, positionItems } from "../utils/checklist.js";
+import { NotFoundError } from "../utils/errors.js";
+import { canEditFilter, canViewFilter } from "../utils/noteAccess.js";
+
+/**
+ * Get the revision history of a note
+ * Only returns revisions if the authenticated user can view the note
+ * 
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Note ID
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with revisions (newest first) or error message
+ * 
+ * @example
+ * GET /api/notes/:id/revisions
+ * Response: [{ rev: 2, title: "Old title", content: "...", tags: [], createdAt: "..." }, ...]
+ */
+export async function getRevisions(req, res) {
+  const note = await Note.exists({ _id: req.params.id, deletedAt: null, ...canViewFilter(req.user.id) });
+
+  if (!note) {
+    throw new NotFoundError("Note not found");
+  }
+
+  const revisions = await NoteRevision.find({ note: note._id })
+    .sort({ rev: -1 })
+    .select("-user -__v")
+    .lean();
+
+  res.status(200).json(revisions);
+}
+
+/**
+ * Restore a note to a previous revision
+ * The current version is recorded as a new revision first, so a restore can
+ * itself be undone. Requires owner or editor access and, like any other edit,
+ * the version of the note the user last saw (409 if it changed since)
+ * 
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Note ID
+ * @param {string} req.params.rev - Revision number to restore
+ * @param {Function} req.get - Reads the If-Match header (expected note version)
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the restored note or error message
+ * 
+ * @example
+ * POST /api/notes/:id/revisions/3/restore
+ * Headers: { "If-Match": "\"7\"" }
+ * Response: { _id: "123", title: "Title from rev 3", content: "...", user: "456" }
+ */
+export async function restoreRevision(req, res) {
+  // Already parsed to a positive integer by validate(restoreRevisionSchema)
+  const { rev } = req.params;
+
+  const note = await Note.exists({
+    _id: req.params.id,
+    deletedAt: null,
+    ...canEditFilter(req.user.id)
+  });
+
+  if (!note) {
+    throw new NotFoundError("Note not found");
+  }
+
+  const revision = await NoteRevision.findOne({ note: note._id, rev }).lean();
+
+  if (!revision) {
+    throw new NotFoundError("Revision not found");
+  }
+
+  const update = {
+    title: revision.title,
+    content: revision.content,
+    tags: revision.tags,
+    format: revision.format,
+    // Revisions keep a checklist as its text, so rebuild the items from it
+    items: revision.format === "checklist" ? positionItems(parseChecklist(revision.content)) : []
+  };
+
+  // Guarded by the version like PUT/PATCH, so a save landing meanwhile is not lost
+  res.status(200).json(await applyNoteEdit(req, update));
+}
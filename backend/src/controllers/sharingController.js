@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Sharing Controller - Shares notes with other users as viewers or editors
+ * @module controllers/sharingController
+ */
+
+import Note from "../models/Note.js";
+import User from "../models/User.js";
+import { BadRequestError, NotFoundError } from "../utils/errors.js";
+import { toSharedNoteResponse } from "../utils/noteAccess.js";
+
+/**
+ * Load a note owned by the user with collaborator usernames populated
+ * 
+ * @param {string} noteId - Note ID
+ * @param {string} userId - Owner's user ID
+ * @returns {Promise<Object|null>} Lean note or null
+ */
+const findOwnedNote = (noteId, userId) =>
+  Note.findOne({ _id: noteId, user: userId, deletedAt: null })
+    .populate("user", "username")
+    .populate("collaborators.user", "username")
+    .lean();
+
+/**
+ * Get the notes other users have shared with the authenticated user
+ * Returns notes sorted by last update (most recent first)
+ * 
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with shared notes or error message
+ * 
+ * @example
+ * GET /api/notes/shared
+ * Response: [{ _id: "123", title: "Team plan", owner: { username: "jane" }, access: "editor", ... }]
+ */
+export async function getSharedNotes(req, res) {
+  const notes = await Note.find({
+    deletedAt: null,
+    collaborators: { $elemMatch: { user: req.user.id } }
+  })
+    .sort({ updatedAt: -1 })
+    .populate("user", "username")
+    .lean();
+
+  res.status(200).json(notes.map((note) => toSharedNoteResponse(note, req.user.id)));
+}
+
+/**
+ * Share a note with another user, or change their permission
+ * Only the owner can share a note
+ * 
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Note ID
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.username - Username to share with
+ * @param {string} req.body.permission - "viewer" or "editor"
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the updated collaborator list or error
+ * 
+ * @example
+ * POST /api/notes/:id/share
+ * Body: { username: "jane", permission: "editor" }
+ * Response: { collaborators: [{ user: "789", username: "jane", permission: "editor" }] }
+ */
+export async function shareNote(req, res) {
+  const { username, permission } = req.body;
+
+  const note = await Note.findOne({ _id: req.params.id, user: req.user.id, deletedAt: null })
+    .select("_id")
+    .lean();
+
+  if (!note) {
+    throw new NotFoundError("Note not found");
+  }
+
+  const collaborator = await User.findOne({ username: String(username).trim() }).lean();
+
+  if (!collaborator) {
+    throw new NotFoundError("User not found");
+  }
+
+  if (String(collaborator._id) === String(req.user.id)) {
+    throw new BadRequestError("You already own this note");
+  }
+
+  // Update the permission if already shared, otherwise add the collaborator
+  const updated = await Note.updateOne(
+    { _id: note._id, "collaborators.user": collaborator._id },
+    { $set: { "collaborators.$.permission": permission, "collaborators.$.sharedAt": new Date() } },
+    { timestamps: false }
+  );
+
+  if (updated.matchedCount === 0) {
+    await Note.updateOne(
+      { _id: note._id, "collaborators.user": { $ne: collaborator._id } },
+      { $push: { collaborators: { user: collaborator._id, permission } } },
+      { timestamps: false }
+    );
+  }
+
+  const sharedNote = await findOwnedNote(note._id, req.user.id);
+
+  res.status(200).json({
+    collaborators: toSharedNoteResponse(sharedNote, req.user.id).collaborators
+  });
+}
+
+/**
+ * Stop sharing a note with a user
+ * The owner can remove anyone; a collaborator can remove themselves (leave the note)
+ * 
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Note ID
+ * @param {string} req.params.userId - Collaborator's user ID
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the updated collaborator list or error
+ * 
+ * @example
+ * DELETE /api/notes/:id/share/:userId
+ * Response: { collaborators: [] }
+ */
+export async function unshareNote(req, res) {
+  const { id, userId } = req.params;
+
+  const isSelf = String(userId) === String(req.user.id);
+
+  // Owners may remove anyone, collaborators only themselves
+  const filter = isSelf
+    ? { _id: id, deletedAt: null, "collaborators.user": req.user.id }
+    : { _id: id, deletedAt: null, user: req.user.id };
+
+  const result = await Note.updateOne(
+    filter,
+    { $pull: { collaborators: { user: userId } } },
+    { timestamps: false }
+  );
+
+  if (result.matchedCount === 0) {
+    throw new NotFoundError("Note not found");
+  }
+
+  if (isSelf) {
+    return res.status(200).json({ collaborators: [] });
+  }
+
+  const note = await findOwnedNote(id, req.user.id);
+
+  res.status(200).json({
+    collaborators: toSharedNoteResponse(note, req.user.id).collaborators
+  });
+}
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Trash Controller - Lists, restores and permanently deletes trashed notes
+ * @module controllers/trashController
+ */
+
+import Note from "../models/Note.js";
+import { getTrashConfig } from "../config/trash.js";
+import { NotFoundError } from "../utils/errors.js";
+import { NOTE_EVENTS, publishNoteEvent } from "../utils/noteEvents.js";
+
+/**
+ * Get all trashed notes for the authenticated user
+ * Returns notes sorted by deletion date (most recently trashed first)
+ * 
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with trashed notes and the retention period
+ * 
+ * @example
+ * GET /api/notes/trash
+ * Response: {
+ *   notes: [{ _id: "123", title: "Note", deletedAt: "2025-01-01T00:00:00.000Z", ... }],
+ *   retentionDays: 30
+ * }
+ */
+export async function getTrash(req, res) {
+  const notes = await Note.find({ user: req.user.id, deletedAt: { $ne: null } })
+    .sort({ deletedAt: -1 })
+    .lean();
+
+  res.status(200).json({ notes, retentionDays: getTrashConfig().retentionDays });
+}
+
+/**
+ * Restore a trashed note
+ * 
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Note ID
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the restored note or error message
+ * 
+ * @example
+ * POST /api/notes/:id/restore
+ * Response: { _id: "123", title: "Note", deletedAt: null, ... }
+ */
+export async function restoreNote(req, res) {
+  const restoredNote = await Note.findOneAndUpdate(
+    { _id: req.params.id, user: req.user.id, deletedAt: { $ne: null } },
+    { deletedAt: null },
+    { new: true, lean: true, timestamps: false }
+  );
+
+  if (!restoredNote) {
+    throw new NotFoundError("Note not found in trash");
+  }
+
+  // A restored note reappears in lists as if it had just been created
+  publishNoteEvent(req, NOTE_EVENTS.created, restoredNote);
+
+  res.status(200).json(restoredNote);
+}
+
+/**
+ * Permanently delete a trashed note
+ * Notes must be in the trash first, so a single request can never destroy a live note
+ * 
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - Route parameters
+ * @param {string} req.params.id - Note ID
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with success message or error
+ * 
+ * @example
+ * DELETE /api/notes/:id/permanent
+ * Response: { message: "Note deleted permanently" }
+ */
+export async function deleteNotePermanently(req, res) {
+  const deletedCount = await Note.purge({
+    _id: req.params.id,
+    user: req.user.id,
+    deletedAt: { $ne: null }
+  });
+
+  if (deletedCount === 0) {
+    throw new NotFoundError("Note not found in trash");
+  }
+
+  res.status(200).json({ message: "Note deleted permanently" });
+}
+
+/**
+ * Permanently delete every trashed note of the authenticated user
+ * 
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user object
+ * @param {string} req.user.id - User ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} JSON response with the number of deleted notes or error
+ * 
+ * @example
+ * DELETE /api/notes/trash
+ * Response: { message: "Trash emptied", deletedCount: 4 }
+ */
+export async function emptyTrash(req, res) {
+  const deletedCount = await Note.purge({ user: req.user.id, deletedAt: { $ne: null } });
+
+  res.status(200).json({ message: "Trash emptied", deletedCount });
+}
@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Reminder Job - Records notifications for note reminders that are due
+ * @module jobs/reminderJob
+ */
+
+import Note from "../models/Note.js";
+import Notification from "../models/Notification.js";
+import { getReminderConfig } from "../config/reminders.js";
+import logger from "../utils/logger.js";
+import { NOTE_EVENTS, publishNoteEvent, publishNotification } from "../utils/noteEvents.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Time between two occurrences of a repeating reminder
+const REPEAT_INTERVAL_MS = {
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS,
+};
+
+// Most reminders handled per run; the rest are picked up by the next run
+const BATCH_SIZE = 100;
+
+/**
+ * Next occurrence of a repeating reminder after `now`
+ * Occurrences missed while the server was down are skipped, so a user gets
+ * one notification rather than a burst of them.
+ * 
+ * @param {Date} remindAt - Occurrence that is due
+ * @param {string} repeat - "none", "daily" or "weekly"
+ * @param {Date} now - Reference time
+ * @returns {Date|null} Next occurrence, or null if the reminder does not repeat
+ */
+export function getNextReminder(remindAt, repeat, now) {
+  const interval = REPEAT_INTERVAL_MS[repeat];
+  if (!interval) return null;
+
+  const elapsed = Math.floor((now.getTime() - remindAt.getTime()) / interval) + 1;
+  return new Date(remindAt.getTime() + elapsed * interval);
+}
+
+/**
+ * Notify the owners of every note whose reminder is due
+ * Each reminder is moved to its next occurrence (or cleared) before the
+ * notification is recorded, so overlapping runs never notify twice.
+ * Trashed notes are skipped until they are restored.
+ * 
+ * @async
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<number>} Number of notifications recorded
+ */
+export async function sendDueReminders(now = new Date()) {
+  const dueNotes = await Note.find({ remindAt: { $ne: null, $lte: now }, deletedAt: null })
+    .sort({ remindAt: 1 })
+    .limit(BATCH_SIZE)
+    .select("user title remindAt remindRepeat")
+    .lean();
+
+  let sent = 0;
+
+  for (const note of dueNotes) {
+    const next = getNextReminder(note.remindAt, note.remindRepeat, now);
+
+    // Claim the reminder: only the run that moves it on records the notification
+    const claimedNote = await Note.findOneAndUpdate(
+      { _id: note._id, remindAt: note.remindAt },
+      { $set: next ? { remindAt: next } : { remindAt: null, remindRepeat: "none" } },
+      { new: true, lean: true, timestamps: false } // A reminder going off is not an edit
+    );
+    if (!claimedNote) continue;
+
+    const notification = await Notification.create({
+      user: note.user,
+      type: "reminder",
+      note: note._id,
+      title: note.title,
+      dueAt: note.remindAt,
+    });
+
+    publishNotification(notification.toObject());
+    publishNoteEvent(null, NOTE_EVENTS.updated, claimedNote);
+    sent++;
+  }
+
+  return sent;
+}
+
+/**
+ * Look for due reminders now and then on a fixed interval
+ * Errors are logged and the next run is still scheduled
+ * 
+ * @returns {NodeJS.Timeout} Interval handle (can be passed to clearInterval)
+ */
+export function startReminderJob() {
+  const { checkIntervalSeconds } = getReminderConfig();
+
+  const run = async () => {
+    try {
+      const sent = await sendDueReminders();
+      if (sent > 0) {
+        logger.info("sent note reminders", { count: sent });
+      }
+    } catch (error) {
+      logger.error("error sending reminders", { error });
+    }
+  };
+
+  run();
+  const timer = setInterval(run, checkIntervalSeconds * 1000);
+  timer.unref(); // Never keep the process alive just for this job
+
+  return timer;
+}
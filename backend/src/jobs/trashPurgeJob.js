@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Trash Purge Job - Permanently removes notes that stayed in the trash too long
+ * @module jobs/trashPurgeJob
+ */
+
+import Note from "../models/Note.js";
+import { getTrashConfig } from "../config/trash.js";
+import logger from "../utils/logger.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Delete every note trashed longer ago than the retention period
+ * 
+ * @async
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<number>} Number of notes purged
+ */
+export async function purgeExpiredTrash(now = new Date()) {
+  const { retentionDays } = getTrashConfig();
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+
+  // $type matches the filter of the purge index (see models/Note), so the index is used
+  return Note.purge({ deletedAt: { $type: "date", $lte: cutoff } });
+}
+
+/**
+ * Run the purge once now and then on a fixed interval
+ * Errors are logged and the next run is still scheduled
+ * 
+ * @returns {NodeJS.Timeout} Interval handle (can be passed to clearInterval)
+ */
+export function startTrashPurgeJob() {
+  const { purgeIntervalMinutes } = getTrashConfig();
+
+  const run = async () => {
+    try {
+      const purged = await purgeExpiredTrash();
+      if (purged > 0) {
+        logger.info("purged expired notes from trash", { count: purged });
+      }
+    } catch (error) {
+      logger.error("error purging trash", { error });
+    }
+  };
+
+  run();
+  const timer = setInterval(run, purgeIntervalMinutes * 60 * 1000);
+  timer.unref(); // Never keep the process alive just for this job
+
+  return timer;
+}
@@ -1,17 +1,33 @@
 import jwt from 'jsonwebtoken';
+import { getAuthConfig } from '../config/auth.js';
+import User from '../models/User.js';
+import { UnauthorizedError } from '../utils/errors.js';
 
-export const authMiddleware = (req, res, next) => {
+export const authMiddleware = async (req, res, next) => {
     const token = req.header('Authorization')?.replace('Bearer ', '');
 
     if (!token) {
-        return res.status(401).json({ message: 'No token, authorization denied' });
+        return next(new UnauthorizedError('No token, authorization denied'));
     }
 
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default_secret_key');
-        req.user = decoded;
-        next();
+        req.user = jwt.verify(token, getAuthConfig().jwtSecret);
     } catch (error) {
-        res.status(401).json({ message: 'Token is not valid' });
+        // Let clients tell an expired token (refreshable) from a bad one
+        if (error.name === 'TokenExpiredError') {
+            return next(new UnauthorizedError('Token has expired', { code: 'TOKEN_EXPIRED' }));
+        }
+        return next(new UnauthorizedError('Token is not valid'));
     }
+
+    // Access tokens outlive a deleted account, so check it still exists
+    try {
+        if (!(await User.exists({ _id: req.user.id }))) {
+            return next(new UnauthorizedError('Account not found'));
+        }
+    } catch (error) {
+        return next(error);
+    }
+
+    next();
 };
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Error Handler Middleware - Turns thrown errors into JSON responses
+ * @module middleware/errorHandler
+ */
+
+import { STATUS_CODES } from "http";
+import mongoose from "mongoose";
+import {
+  AppError,
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../utils/errors.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Map any error to an AppError
+ * Known library errors (invalid ObjectId, schema validation, duplicate key,
+ * unparsable JSON body) get a client error status; anything else is a 500.
+ * 
+ * @param {Error} error - Error passed to next() or thrown in a handler
+ * @returns {AppError} Error with status and client-safe message
+ */
+const toAppError = (error) => {
+  if (error instanceof AppError) return error;
+
+  if (error instanceof mongoose.Error.CastError) {
+    return new BadRequestError(`Invalid ${error.path}`);
+  }
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    const errors = Object.fromEntries(
+      Object.entries(error.errors).map(([field, fieldError]) => [field, fieldError.message])
+    );
+    return new ValidationError(errors);
+  }
+
+  if (error.code === 11000) {
+    return new ConflictError("A record with this value already exists");
+  }
+
+  if (error.type === "entity.parse.failed") {
+    return new BadRequestError("Request body is not valid JSON");
+  }
+
+  // Other http-errors style errors (body too large, static file not found...)
+  const status = error.status || error.statusCode;
+  if (status >= 400 && status < 500) {
+    return new AppError(error.expose ? error.message : STATUS_CODES[status], status);
+  }
+
+  return new AppError("Internal server error", 500);
+};
+
+/**
+ * Answer unmatched /api routes with 404 instead of the SPA fallback
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+export const apiNotFound = (req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.baseUrl}${req.path} not found`));
+};
+
+/**
+ * Central error handler, registered after every route
+ * Server errors are logged with the request ID, which is also returned to
+ * the client so a report can be matched to the log entry.
+ * 
+ * @param {Error} error - Error passed to next() or thrown in a handler
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Unused, but Express needs four parameters to treat this as an error handler
+ */
+export const errorHandler = (error, req, res, next) => {
+  const appError = toAppError(error);
+
+  if (appError.status >= 500) {
+    logger.error("unhandled error", {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      error,
+    });
+  }
+
+  // A streamed response (e.g. an export) already started: just cut it off
+  if (res.headersSent) {
+    return req.socket.destroy();
+  }
+
+  if (appError.details?.retryAfter) {
+    res.set("Retry-After", appError.details.retryAfter);
+  }
+
+  res.status(appError.status).json({
+    message: appError.message,
+    ...appError.details,
+    ...(appError.status >= 500 && { requestId: req.id }),
+  });
+};
@@ -1,20 +1,72 @@
-import ratelimit from "../config/upstash.js";
+import { getRateLimitConfig, RATE_LIMIT_POLICIES } from "../config/rateLimit.js";
+import { createMemoryStore, createUpstashStore } from "../utils/rateLimitStores.js";
 
-const rateLimiter = async (req, res, next) => {
-  try {
-    const { success } = await ratelimit.limit("think-board-limit_" + req.ip);
+// Created on first request, after dotenv.config() has run
+let store = null;
 
-    if (!success) {
-      return res.status(429).json({
-        message: "Too many requests, please try again later",
+const getStore = () => {
+  if (!store) {
+    store = getRateLimitConfig().store === "upstash"
+      ? createUpstashStore()
+      : createMemoryStore();
+  }
+  return store;
+};
+
+/**
+ * Create a rate limiting middleware for one policy
+ * Sets RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and RateLimit-Policy
+ * on every response, and Retry-After (seconds) when answering 429.
+ * 
+ * @param {string} name - Policy name, part of the counter key
+ * @param {Object} options
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {Function} [options.keyBy] - Returns the client identifier for a request (default: IP)
+ * @returns {Function} Express middleware
+ */
+export const createRateLimiter = (name, { limit, windowMs, keyBy = (req) => req.ip }) => {
+  return async (req, res, next) => {
+    try {
+      const result = await getStore().hit(`think-board-limit:${name}:${keyBy(req)}`, {
+        limit,
+        windowMs,
       });
-    }
+      const resetSeconds = Math.max(0, Math.ceil((result.reset - Date.now()) / 1000));
 
-    next();
-  } catch (error) {
-    console.log("Rate limit error", error);
-    next(error);
-  }
+      res.set({
+        "RateLimit-Limit": result.limit,
+        "RateLimit-Remaining": result.remaining,
+        "RateLimit-Reset": resetSeconds,
+        "RateLimit-Policy": `${limit};w=${Math.ceil(windowMs / 1000)}`,
+      });
+
+      if (!result.success) {
+        res.set("Retry-After", resetSeconds);
+        return res.status(429).json({
+          message: "Too many requests, please try again later",
+          retryAfter: resetSeconds,
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
 };
 
-export default rateLimiter;
\ No newline at end of file
+// Every request, per client IP
+const rateLimiter = createRateLimiter("ip", RATE_LIMIT_POLICIES.ip);
+
+// Authenticated note routes, per user (mount after authMiddleware)
+export const userRateLimiter = createRateLimiter("user", {
+  ...RATE_LIMIT_POLICIES.user,
+  keyBy: (req) => req.user?.id || req.ip,
+});
+
+export const loginRateLimiter = createRateLimiter("login", RATE_LIMIT_POLICIES.login);
+
+export const registerRateLimiter = createRateLimiter("register", RATE_LIMIT_POLICIES.register);
+
+export default rateLimiter;
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Request Logger Middleware - Request IDs and one structured log line per request
+ * @module middleware/requestLogger
+ */
+
+import crypto from "crypto";
+import logger from "../utils/logger.js";
+
+// Incoming IDs are reused (e.g. from a proxy) only when they look harmless
+const REQUEST_ID_PATTERN = /^[\w.-]{1,128}$/;
+
+/**
+ * Assign `req.id`, return it in the X-Request-Id header and log the request
+ * once the response is sent: method, route, status, duration and user ID.
+ * 5xx responses are logged as errors and 4xx as warnings.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+export const requestLogger = (req, res, next) => {
+  const incomingId = req.get("X-Request-Id");
+  req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+
+  const start = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    const status = res.statusCode;
+    const level = status >= 500 ? "error" : status >= 400 ? "warn" : "info";
+
+    logger[level]("request completed", {
+      requestId: req.id,
+      method: req.method,
+      // Route pattern (e.g. /api/notes/:id) groups requests better than the raw path
+      route: req.route ? `${res.locals.mountPath ?? req.baseUrl}${req.route.path}` : undefined,
+      path: req.originalUrl.split("?")[0],
+      status,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10,
+      userId: req.user?.id,
+    });
+  });
+
+  next();
+};
+
+/**
+ * Remember where a router is mounted, for the route pattern in the log line
+ * Express resets req.baseUrl when a request leaves a router (e.g. with an error),
+ * so it is recorded on the way in. Use as the first handler of app.use(path, ...).
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+export const recordMountPath = (req, res, next) => {
+  res.locals.mountPath = req.baseUrl;
+  next();
+};
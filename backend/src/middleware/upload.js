@@ -0,0 +1,75 @@
+import multer from "multer";
+import { ATTACHMENT_TYPES, getAttachmentConfig } from "../config/attachments.js";
+import { BadRequestError } from "../utils/errors.js";
+
+// Largest export file accepted by POST /api/notes/import
+const MAX_IMPORT_SIZE = 10 * 1024 * 1024; // 10 MB
+
+const importMulter = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(json|zip|md)$/i.test(file.originalname)) {
+      return cb(null, true);
+    }
+    cb(new Error("Only .json, .zip or .md files can be imported"));
+  },
+}).single("file");
+
+/**
+ * Accept a single JSON, zip or Markdown file in the "file" field, kept in memory
+ * Upload errors (wrong type, too large) become 400 Bad Request
+ */
+export const importUpload = (req, res, next) => {
+  importMulter(req, res, (error) => {
+    if (error) {
+      return next(new BadRequestError(error.code === "LIMIT_FILE_SIZE"
+        ? "File is too large (max 10 MB)"
+        : error.message));
+    }
+    next();
+  });
+};
+
+let attachmentMulter = null;
+
+/**
+ * Build the attachment parser on first use, once .env has been loaded
+ * @returns {{ maxSizeMb: number, parse: Function }}
+ */
+const getAttachmentMulter = () => {
+  if (!attachmentMulter) {
+    const { maxSizeMb } = getAttachmentConfig();
+    const parse = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: maxSizeMb * 1024 * 1024, files: 1 },
+      fileFilter: (req, file, cb) => {
+        if (Object.hasOwn(ATTACHMENT_TYPES, file.mimetype)) {
+          return cb(null, true);
+        }
+        cb(new Error("Only images (PNG, JPEG, GIF, WebP), PDFs and text files can be attached"));
+      },
+    }).single("file");
+
+    attachmentMulter = { maxSizeMb, parse };
+  }
+  return attachmentMulter;
+};
+
+/**
+ * Accept a single attachment in the "file" field, kept in memory until stored
+ * The size limit and accepted types come from config/attachments; upload
+ * errors (wrong type, too large) become 400 Bad Request
+ */
+export const attachmentUpload = (req, res, next) => {
+  const { maxSizeMb, parse } = getAttachmentMulter();
+
+  parse(req, res, (error) => {
+    if (error) {
+      return next(new BadRequestError(error.code === "LIMIT_FILE_SIZE"
+        ? `File is too large (max ${maxSizeMb} MB)`
+        : error.message));
+    }
+    next();
+  });
+};
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Validation Middleware - Checks requests against zod schemas
+ * @module middleware/validate
+ */
+
+import { BadRequestError, ValidationError } from "../utils/errors.js";
+
+/**
+ * Turn zod issues into a map of field name to its first error message
+ * Errors inside a field (e.g. one entry of `tags`) are reported under the
+ * field itself; unknown fields are reported under their own name.
+ * 
+ * @param {Array<Object>} issues - zod issues
+ * @returns {Object<string, string>} Field errors, e.g. { title: "Title is required" }
+ */
+const toFieldErrors = (issues) => {
+  const errors = {};
+
+  for (const issue of issues) {
+    const fields = issue.code === "unrecognized_keys"
+      ? issue.keys
+      : [String(issue.path[0] ?? "_")];
+    const message = issue.code === "unrecognized_keys" ? "Unknown field" : issue.message;
+
+    for (const field of fields) {
+      errors[field] = errors[field] || message;
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Validate route params, query string and body before the controller runs
+ * Invalid params or query answer 400 (malformed request), an invalid body
+ * answers 422; both carry a per-field error map. Parsed values (trimmed
+ * strings, coerced numbers) replace the raw ones on `req`.
+ * 
+ * @param {Object} schemas
+ * @param {import("zod").ZodType} [schemas.params] - Schema for req.params
+ * @param {import("zod").ZodType} [schemas.query] - Schema for req.query
+ * @param {import("zod").ZodType} [schemas.body] - Schema for req.body
+ * @returns {Function} Express middleware
+ * 
+ * @example
+ * Response 422: { message: "Validation failed", errors: { title: "Title is required" } }
+ */
+export const validate = (schemas) => (req, res, next) => {
+  for (const part of ["params", "query", "body"]) {
+    if (!schemas[part]) continue;
+
+    const result = schemas[part].safeParse(req[part] ?? {});
+    if (!result.success) {
+      const errors = toFieldErrors(result.error.issues);
+      return next(part === "body"
+        ? new ValidationError(errors)
+        : new BadRequestError("Validation failed", { errors }));
+    }
+    req[part] = result.data;
+  }
+
+  next();
+};
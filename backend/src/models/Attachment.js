@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Attachment Model - Mongoose schema for files attached to notes
+ * @module models/Attachment
+ */
+
+import mongoose from 'mongoose';
+import { getAttachmentStore } from '../utils/attachmentStores.js';
+import logger from '../utils/logger.js';
+
+// Longest file name kept; longer names are cut
+export const MAX_FILENAME_LENGTH = 255;
+
+/**
+ * Attachment Schema
+ * Describes a file kept in the attachment store (see utils/attachmentStores)
+ * under the attachment's ID. The file goes when its note is purged.
+ *
+ * @typedef {Object} AttachmentSchema
+ * @property {ObjectId} note - Reference to the Note the file is attached to (required)
+ * @property {ObjectId} user - Reference to the User who uploaded it (required)
+ * @property {string} filename - Original file name, shown and used for downloads (required)
+ * @property {string} contentType - MIME type, one of ATTACHMENT_TYPES (required)
+ * @property {number} size - File size in bytes (required)
+ * @property {Date} createdAt - When the file was uploaded (auto-generated)
+ */
+const attachmentSchema = new mongoose.Schema({
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: MAX_FILENAME_LENGTH
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * Note Index
+ * Lists a note's attachments in upload order; also finds them on purge
+ */
+attachmentSchema.index({ note: 1, createdAt: 1 });
+
+/**
+ * Delete the attachments of some notes, files included
+ * A file that cannot be removed is logged and left behind rather than
+ * blocking the notes from being deleted.
+ *
+ * @param {ObjectId[]} noteIds - Notes being deleted
+ * @returns {Promise<void>}
+ */
+attachmentSchema.statics.removeForNotes = async function (noteIds) {
+  const attachments = await this.find({ note: { $in: noteIds } }).select('_id').lean();
+  if (attachments.length === 0) return;
+
+  const store = getAttachmentStore();
+  await Promise.all(attachments.map(({ _id }) => store.remove(String(_id)).catch((error) => {
+    logger.error('error removing attachment file', { attachmentId: String(_id), error });
+  })));
+
+  await this.deleteMany({ _id: { $in: attachments.map(({ _id }) => _id) } });
+};
+
+/**
+ * Attachment Model
+ * Compiled model from attachmentSchema
+ * @type {mongoose.Model}
+ */
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+
+export default Attachment;
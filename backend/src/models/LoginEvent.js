@@ -0,0 +1,89 @@
+/**
+ * @fileoverview LoginEvent Model - Mongoose schema for the per-user sign-in history
+ * @module models/LoginEvent
+ */
+
+import mongoose from 'mongoose';
+
+// Why a sign-in failed
+export const LOGIN_FAILURE_REASONS = ['password', 'locked'];
+
+// Sign-ins are removed by a TTL index this many days after they happened
+export const LOGIN_HISTORY_RETENTION_DAYS = 90;
+
+/**
+ * LoginEvent Schema
+ * Recorded for every sign-in to an existing account, successful or not, so
+ * users can spot sign-ins they do not recognize. Attempts with an unknown
+ * username have no account to attach to and are not recorded.
+ *
+ * @typedef {Object} LoginEventSchema
+ * @property {ObjectId} user - Reference to the User signing in (required)
+ * @property {boolean} success - Whether the sign-in succeeded (required)
+ * @property {string|null} failureReason - One of LOGIN_FAILURE_REASONS for failed sign-ins
+ * @property {string} ip - IP address of the client
+ * @property {string} userAgent - User agent of the client
+ * @property {Date} createdAt - When the sign-in happened (auto-generated)
+ */
+const loginEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  failureReason: {
+    type: String,
+    enum: [...LOGIN_FAILURE_REASONS, null],
+    default: null
+  },
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * History Index
+ * Lists a user's sign-ins newest first
+ */
+loginEventSchema.index({ user: 1, createdAt: -1 });
+
+/**
+ * TTL Index
+ * MongoDB deletes sign-ins once they are older than the retention period
+ */
+loginEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: LOGIN_HISTORY_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+/**
+ * Record a sign-in attempt
+ *
+ * @param {Object} user - User signing in
+ * @param {Object} req - Express request (for IP and user agent)
+ * @param {string|null} [failureReason=null] - One of LOGIN_FAILURE_REASONS, or null for a successful sign-in
+ * @returns {Promise<Object>} Created event
+ */
+loginEventSchema.statics.record = function (user, req, failureReason = null) {
+  return this.create({
+    user: user._id,
+    success: !failureReason,
+    failureReason,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+};
+
+/**
+ * LoginEvent Model
+ * Compiled model from loginEventSchema
+ * @type {mongoose.Model}
+ */
+const LoginEvent = mongoose.model('LoginEvent', loginEventSchema);
+
+export default LoginEvent;
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview LoginThrottle Model - Mongoose schema for failed sign-in counters
+ * @module models/LoginThrottle
+ */
+
+import mongoose from 'mongoose';
+import { LOGIN_LOCKOUT } from '../config/auth.js';
+
+/**
+ * LoginThrottle Schema
+ * One counter per username tried, whether or not an account has that name,
+ * so a locked account answers exactly like an unknown one (see
+ * utils/loginAttempts). Removed after a successful sign-in, or by a TTL
+ * index once the last failure is older than the lockout length.
+ *
+ * @typedef {Object} LoginThrottleSchema
+ * @property {string} username - Username the attempts were made for (required, unique)
+ * @property {number} failures - Failed sign-ins in a row
+ * @property {Date} lastFailedAt - When the latest attempt was counted
+ * @property {Date|null} lockedUntil - Sign-ins are refused until this time
+ */
+const loginThrottleSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailedAt: Date,
+  lockedUntil: {
+    type: Date,
+    default: null
+  }
+});
+
+/**
+ * TTL Index
+ * MongoDB deletes counters once their last failure has been forgotten
+ */
+loginThrottleSchema.index(
+  { lastFailedAt: 1 },
+  { expireAfterSeconds: Math.ceil(LOGIN_LOCKOUT.lockMs / 1000) }
+);
+
+/**
+ * LoginThrottle Model
+ * Compiled model from loginThrottleSchema
+ * @type {mongoose.Model}
+ */
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+
+export default LoginThrottle;
@@ -4,15 +4,58 @@
  */
 
 import mongoose from "mongoose";
+import Attachment from "./Attachment.js";
+import NoteRevision from "./NoteRevision.js";
+import { NOTE_PERMISSIONS } from "../utils/noteAccess.js";
+import { formatChecklist, MAX_ITEM_LENGTH, parseChecklist, positionItems } from "../utils/checklist.js";
+import { TITLE_COLLATION } from "../utils/pagination.js";
+import { MAX_TAG_LENGTH } from "../utils/tags.js";
+
+/**
+ * Supported content formats
+ * Notes created before Markdown support have no format and render as plain text.
+ * Checklist notes keep their items in `items` and a text copy in `content`.
+ */
+export const NOTE_FORMATS = ["plain", "markdown", "checklist"];
+
+// Formats whose content is edited as text
+export const TEXT_FORMATS = ["plain", "markdown"];
+
+// How a reminder repeats once it has gone off ("none" clears it)
+export const REMINDER_REPEATS = ["none", "daily", "weekly"];
+
+// Longest title and content a note may have
+export const MAX_TITLE_LENGTH = 200;
+export const MAX_CONTENT_LENGTH = 50000;
 
 /**
  * Note Schema
  * Defines the structure for note documents in MongoDB
  * 
  * @typedef {Object} NoteSchema
- * @property {string} title - Note title (required)
- * @property {string} content - Note content (required)
+ * @property {string} title - Note title (required, max 200 chars)
+ * @property {string} content - Note content (required, max 50000 chars; for checklists the items as a task list)
+ * @property {string} format - How content is rendered: "plain" (default), "markdown" or "checklist"
+ * @property {Object[]} items - Checklist items, ordered by position (checklist notes only)
+ * @property {string} items[].text - Item text (max 240 chars)
+ * @property {boolean} items[].done - Item is checked off
+ * @property {number} items[].position - Place in the list, starting at 0
+ * @property {string[]} tags - Lowercase tags used to categorize the note
  * @property {ObjectId} user - Reference to User who owns this note (required)
+ * @property {ObjectId|null} notebook - Notebook the note is filed in (null at the top level)
+ * @property {Object[]} collaborators - Users the note is shared with
+ * @property {ObjectId} collaborators[].user - Reference to the collaborating User
+ * @property {string} collaborators[].permission - "viewer" or "editor"
+ * @property {Date} collaborators[].sharedAt - When access was granted or last changed
+ * @property {Object|null} publicLink - Read-only link for people without an account
+ * @property {string} publicLink.token - Random token used in the public URL
+ * @property {Date|null} publicLink.expiresAt - When the link stops working (null = never)
+ * @property {Date} publicLink.createdAt - When the link was generated
+ * @property {boolean} pinned - Listed before unpinned notes
+ * @property {boolean} archived - Hidden from the main list and shown in the Archive view
+ * @property {Date|null} remindAt - When the owner is next reminded of the note (null = no reminder)
+ * @property {string} remindRepeat - "none" (default), "daily" or "weekly"
+ * @property {Date|null} deletedAt - When the note was moved to the trash (null if not trashed)
  * @property {Date} createdAt - Timestamp when note was created (auto-generated)
  * @property {Date} updatedAt - Timestamp when note was last updated (auto-generated)
  */
@@ -20,16 +63,115 @@ const noteSchema = new mongoose.Schema({
     title: {
         type: String,
         required: true,
+        maxlength: MAX_TITLE_LENGTH
     },
     content: {
         type: String,
-        required: true,
+        // An empty checklist has no text
+        required: function () { return this.format !== "checklist"; },
+        maxlength: MAX_CONTENT_LENGTH
+    },
+    format: {
+        type: String,
+        enum: NOTE_FORMATS,
+        default: "plain"
+    },
+    items: {
+        type: [{
+            text: {
+                type: String,
+                required: true,
+                trim: true,
+                maxlength: MAX_ITEM_LENGTH
+            },
+            done: {
+                type: Boolean,
+                default: false
+            },
+            position: {
+                type: Number,
+                required: true
+            }
+        }],
+        default: []
+    },
+    tags: {
+        type: [{
+            type: String,
+            trim: true,
+            lowercase: true,
+            maxlength: MAX_TAG_LENGTH
+        }],
+        default: []
     },
     user: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: true,
         index: true  // Single-field index for faster user-based queries
+    },
+    notebook: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Notebook',
+        default: null
+    },
+    collaborators: {
+        type: [{
+            _id: false,
+            user: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                required: true
+            },
+            permission: {
+                type: String,
+                enum: NOTE_PERMISSIONS,
+                required: true
+            },
+            sharedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }],
+        default: []
+    },
+    publicLink: {
+        type: new mongoose.Schema({
+            token: {
+                type: String,
+                required: true
+            },
+            expiresAt: {
+                type: Date,
+                default: null
+            },
+            createdAt: {
+                type: Date,
+                default: Date.now
+            }
+        }, { _id: false }),
+        default: null
+    },
+    pinned: {
+        type: Boolean,
+        default: false
+    },
+    archived: {
+        type: Boolean,
+        default: false
+    },
+    remindAt: {
+        type: Date,
+        default: null
+    },
+    remindRepeat: {
+        type: String,
+        enum: REMINDER_REPEATS,
+        default: "none"
+    },
+    deletedAt: {
+        type: Date,
+        default: null  // Soft delete: set when trashed, purged after the retention period
     }
 },
     {
@@ -39,14 +181,161 @@ const noteSchema = new mongoose.Schema({
 
 /**
  * Compound Index
- * Creates an index on both user and createdAt fields
+ * Creates an index on user, createdAt and _id fields
  * This significantly improves performance for queries that:
  * - Filter by user AND sort by creation date
- * - Are used in getAllNotes controller
+ * - Are used by search fallbacks and exports
+ * 
+ * _id is included as a tie-breaker so the order is stable
  * 
  * Performance impact: 50-90% faster queries
  */
-noteSchema.index({ user: 1, createdAt: -1 });
+noteSchema.index({ user: 1, createdAt: -1, _id: -1 });
+
+/**
+ * List Indexes
+ * One per sort order offered by getAllNotes. Each filters on the archived
+ * flag and puts pinned notes first, so every list page is an index walk.
+ * The title index uses the same case-insensitive collation as the query.
+ */
+noteSchema.index({ user: 1, archived: 1, pinned: -1, createdAt: -1, _id: -1 });
+noteSchema.index({ user: 1, archived: 1, pinned: -1, updatedAt: -1, _id: -1 });
+noteSchema.index(
+    { user: 1, archived: 1, pinned: -1, title: 1, _id: 1 },
+    { collation: TITLE_COLLATION }
+);
+
+/**
+ * Notebook Index
+ * Used to scope getAllNotes to a notebook and to count, move or trash the
+ * notes of a notebook
+ */
+noteSchema.index({ user: 1, notebook: 1 });
+
+/**
+ * Tags Index
+ * Multikey index used by tag filtering in getAllNotes and the tag counts
+ * aggregation in getTags
+ */
+noteSchema.index({ user: 1, tags: 1 });
+
+/**
+ * Text Index
+ * Enables full-text search over title and content (used by searchNotes)
+ * Title matches are weighted higher so they rank above content-only matches
+ */
+noteSchema.index(
+    { title: "text", content: "text" },
+    { name: "note_text_search", weights: { title: 5, content: 1 } }
+);
+
+/**
+ * Collaborators Index
+ * Multikey index used to find notes shared with a user
+ */
+noteSchema.index({ "collaborators.user": 1 });
+
+/**
+ * Public Link Index
+ * Looks up notes by public link token; only notes with a link are indexed
+ */
+noteSchema.index(
+    { "publicLink.token": 1 },
+    { unique: true, partialFilterExpression: { "publicLink.token": { $type: "string" } } }
+);
+
+/**
+ * Reminder Index
+ * Used by the reminder job to find due reminders in the order they fell due
+ */
+noteSchema.index({ remindAt: 1 });
+
+/**
+ * Trash Index
+ * Only covers trashed notes, used by the trash listing
+ */
+noteSchema.index(
+    { user: 1, deletedAt: -1 },
+    { partialFilterExpression: { deletedAt: { $type: "date" } } }
+);
+
+/**
+ * Purge Index
+ * Used by the purge job to find notes trashed before the cutoff, across all
+ * users. Only covers trashed notes; queries must filter on `$type: "date"`
+ * to use it.
+ */
+noteSchema.index(
+    { deletedAt: 1 },
+    { partialFilterExpression: { deletedAt: { $type: "date" } } }
+);
+
+/**
+ * Keep checklist items and their text copy in step when a note is saved
+ * A new checklist given only text (e.g. from an import) gets its items from
+ * the text; notes of other formats have no items.
+ */
+noteSchema.pre("validate", function () {
+    if (this.format !== "checklist") {
+        if (this.items.length > 0) this.items = [];
+        return;
+    }
+
+    if (this.isNew && this.items.length === 0) {
+        this.items = positionItems(parseChecklist(this.content));
+    }
+
+    // Items without a position keep their place in the array
+    this.items.sort((a, b) => (a.position ?? 0) - (b.position ?? 0));
+    this.items.forEach((item, position) => { item.position = position; });
+    this.content = formatChecklist(this.items);
+});
+
+/**
+ * Permanently delete the notes matching a filter along with their revisions and attachments
+ * 
+ * @param {Object} filter - MongoDB filter selecting the notes to purge
+ * @returns {Promise<number>} Number of notes deleted
+ */
+noteSchema.statics.purge = async function (filter) {
+    const ids = await this.find(filter).distinct('_id');
+    if (ids.length === 0) return 0;
+
+    await NoteRevision.deleteMany({ note: { $in: ids } });
+    await Attachment.removeForNotes(ids);
+    const { deletedCount } = await this.deleteMany({ _id: { $in: ids } });
+
+    return deletedCount;
+};
+
+/**
+ * Add the owner's and collaborators' usernames to a lean note
+ * Gives toSharedNoteResponse (utils/noteAccess) what it needs for a note
+ * that was just written. The note itself is left as it is, since note
+ * events need the plain IDs.
+ * 
+ * @param {Object} note - Lean note
+ * @returns {Promise<Object>} Copy of the note with `user` and `collaborators.user` populated
+ */
+noteSchema.statics.populateSharing = function (note) {
+    const copy = { ...note, collaborators: (note.collaborators || []).map((entry) => ({ ...entry })) };
+    return this.populate(copy, [
+        { path: 'user', select: 'username' },
+        { path: 'collaborators.user', select: 'username' }
+    ]);
+};
+
+/**
+ * Give notes created before pinning and archiving existed explicit flags
+ * List queries and cursors match `pinned: false` / `archived: false`, which
+ * a missing field does not satisfy. Leaves updatedAt untouched.
+ * 
+ * @returns {Promise<void>}
+ */
+noteSchema.statics.backfillListFlags = async function () {
+    await this.updateMany({ pinned: { $exists: false } }, { $set: { pinned: false } }, { timestamps: false });
+    await this.updateMany({ archived: { $exists: false } }, { $set: { archived: false } }, { timestamps: false });
+};
 
 /**
  * Note Model
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview NoteRevision Model - Mongoose schema for previous versions of notes
+ * @module models/NoteRevision
+ */
+
+import mongoose from "mongoose";
+import logger from "../utils/logger.js";
+
+/**
+ * Maximum number of revisions kept per note
+ * Older revisions are pruned when a new one is recorded
+ */
+export const MAX_REVISIONS_PER_NOTE = 50;
+
+// Times a revision number is picked again after another save took it
+const MAX_RECORD_ATTEMPTS = 5;
+
+/**
+ * Check whether an update changes any field tracked by revisions
+ * Used to avoid recording a revision for a save that changed nothing
+ * 
+ * @param {Object} note - Current note
+ * @param {Object} update - Fields about to be written
+ * @returns {boolean} True if title, content, format or tags differ
+ */
+export function hasTrackedChanges(note, update) {
+    if (update.title !== undefined && update.title !== note.title) return true;
+    if (update.content !== undefined && update.content !== note.content) return true;
+    if (update.format !== undefined && update.format !== (note.format || 'plain')) return true;
+    if (update.tags !== undefined) {
+        const current = note.tags || [];
+        return update.tags.length !== current.length
+            || update.tags.some((tag, i) => tag !== current[i]);
+    }
+    return false;
+}
+
+/**
+ * NoteRevision Schema
+ * Each document is a snapshot of a note as it was right before an update
+ * 
+ * @typedef {Object} NoteRevisionSchema
+ * @property {ObjectId} note - Reference to the Note this revision belongs to (required)
+ * @property {ObjectId} user - Reference to the User who owns the note (required)
+ * @property {number} rev - Revision number, increasing per note starting at 1 (required)
+ * @property {string} title - Note title at the time of the snapshot
+ * @property {string} content - Note content at the time of the snapshot
+ * @property {string[]} tags - Note tags at the time of the snapshot
+ * @property {string} format - Note content format at the time of the snapshot
+ * @property {Date} noteUpdatedAt - When the snapshotted version was last saved
+ * @property {Date} createdAt - When the revision was recorded (auto-generated)
+ */
+const noteRevisionSchema = new mongoose.Schema({
+    note: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Note',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    rev: {
+        type: Number,
+        required: true
+    },
+    title: String,
+    content: String,
+    tags: {
+        type: [String],
+        default: []
+    },
+    format: {
+        type: String,
+        default: 'plain'
+    },
+    noteUpdatedAt: Date
+},
+    {
+        timestamps: { createdAt: true, updatedAt: false }  // Revisions are immutable
+    }
+);
+
+/**
+ * Compound Index
+ * Lists a note's revisions newest first and guarantees unique revision numbers
+ */
+noteRevisionSchema.index({ note: 1, rev: -1 }, { unique: true });
+
+/**
+ * Record a snapshot of a note and prune revisions beyond MAX_REVISIONS_PER_NOTE
+ * Called after the note update is written, so this never throws: a failed
+ * snapshot is logged rather than failing a save that already succeeded.
+ * Concurrent saves can pick the same revision number; the loser of the
+ * unique index picks the next one.
+ * 
+ * @param {Object} note - Note (document or plain object) in the state to preserve
+ * @param {Object} [options]
+ * @param {number} [options.minIntervalMs] - Skip the snapshot if the latest revision is more recent than this
+ * @returns {Promise<Object|null>} Created revision, or null if skipped or failed
+ */
+noteRevisionSchema.statics.record = async function (note, { minIntervalMs } = {}) {
+    try {
+        for (let attempt = 1; ; attempt++) {
+            const latest = await this.findOne({ note: note._id })
+                .sort({ rev: -1 })
+                .select('rev createdAt')
+                .lean();
+
+            if (minIntervalMs && latest && Date.now() - latest.createdAt.getTime() < minIntervalMs) {
+                return null;
+            }
+
+            let revision;
+            try {
+                revision = await this.create({
+                    note: note._id,
+                    user: note.user,
+                    rev: (latest?.rev || 0) + 1,
+                    title: note.title,
+                    content: note.content,
+                    tags: note.tags || [],
+                    format: note.format || 'plain',
+                    noteUpdatedAt: note.updatedAt
+                });
+            } catch (error) {
+                if (error.code === 11000 && attempt < MAX_RECORD_ATTEMPTS) continue;
+                throw error;
+            }
+
+            await this.deleteMany({
+                note: note._id,
+                rev: { $lte: revision.rev - MAX_REVISIONS_PER_NOTE }
+            });
+
+            return revision;
+        }
+    } catch (error) {
+        logger.error('error recording note revision', { noteId: String(note._id), error });
+        return null;
+    }
+};
+
+/**
+ * NoteRevision Model
+ * Compiled model from noteRevisionSchema
+ * @type {mongoose.Model}
+ */
+const NoteRevision = mongoose.model("NoteRevision", noteRevisionSchema);
+
+export default NoteRevision;
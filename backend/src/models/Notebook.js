@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Notebook Model - Mongoose schema for notebooks (folders of notes)
+ * @module models/Notebook
+ */
+
+import mongoose from 'mongoose';
+
+// Longest notebook name
+export const MAX_NOTEBOOK_NAME_LENGTH = 100;
+
+// Deepest nesting allowed (a top-level notebook is at depth 1)
+export const MAX_NOTEBOOK_DEPTH = 5;
+
+/**
+ * Notebook Schema
+ * Notebooks form a tree per user through `parent`. Notes point at their
+ * notebook; notes without one are at the top level.
+ *
+ * @typedef {Object} NotebookSchema
+ * @property {string} name - Notebook name (required, unique among its siblings)
+ * @property {ObjectId} user - Reference to the User who owns the notebook (required)
+ * @property {ObjectId|null} parent - Enclosing notebook (null at the top level)
+ * @property {Date} createdAt - Timestamp when the notebook was created (auto-generated)
+ * @property {Date} updatedAt - Timestamp when the notebook was last changed (auto-generated)
+ */
+const notebookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: MAX_NOTEBOOK_NAME_LENGTH
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notebook',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Sibling Index
+ * Lists a user's notebooks and keeps sibling names unique, ignoring case
+ */
+notebookSchema.index(
+  { user: 1, parent: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+/**
+ * Notebook Model
+ * Compiled model from notebookSchema
+ * @type {mongoose.Model}
+ */
+const Notebook = mongoose.model('Notebook', notebookSchema);
+
+export default Notebook;
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Notification Model - Mongoose schema for in-app notifications
+ * @module models/Notification
+ */
+
+import mongoose from 'mongoose';
+
+// Kinds of notification; reminders are the only one so far
+export const NOTIFICATION_TYPES = ['reminder'];
+
+// Notifications are removed by a TTL index this many days after they were recorded
+export const NOTIFICATION_RETENTION_DAYS = 90;
+
+/**
+ * Notification Schema
+ * Recorded by the reminder job when a note's reminder is due. The note title
+ * is copied so the notification still reads well if the note is deleted.
+ *
+ * @typedef {Object} NotificationSchema
+ * @property {ObjectId} user - Reference to the User being notified (required)
+ * @property {string} type - One of NOTIFICATION_TYPES (required)
+ * @property {ObjectId} note - Reference to the Note the notification is about (required)
+ * @property {string} title - Note title when the notification was recorded
+ * @property {Date} dueAt - When the reminder was due
+ * @property {Date|null} readAt - When the user marked it as read (null = unread)
+ * @property {Date} createdAt - When the notification was recorded (auto-generated)
+ */
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true
+  },
+  title: String,
+  dueAt: Date,
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * List Index
+ * Lists a user's notifications newest first; also scopes the unread count
+ */
+notificationSchema.index({ user: 1, createdAt: -1, _id: -1 });
+
+/**
+ * TTL Index
+ * MongoDB deletes notifications once they are older than the retention period
+ */
+notificationSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+/**
+ * Notification Model
+ * Compiled model from notificationSchema
+ * @type {mongoose.Model}
+ */
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
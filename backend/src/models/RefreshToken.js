@@ -0,0 +1,73 @@
+/**
+ * @fileoverview RefreshToken Model - Mongoose schema for server-side refresh tokens
+ * @module models/RefreshToken
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * RefreshToken Schema
+ * Only a hash of each token is stored, so a database leak cannot be used to
+ * mint sessions. Tokens issued by rotating one another share a `family`;
+ * presenting an already rotated token revokes the whole family (reuse detection).
+ * 
+ * @typedef {Object} RefreshTokenSchema
+ * @property {ObjectId} user - Reference to the User the token belongs to (required)
+ * @property {string} tokenHash - SHA-256 hash of the token (required, unique)
+ * @property {string} family - ID shared by all tokens of one login session (required)
+ * @property {Date} expiresAt - Expiry time; expired tokens are removed by a TTL index (required)
+ * @property {Date|null} revokedAt - When the token was rotated or revoked
+ * @property {string|null} replacedBy - Hash of the token that replaced this one on rotation
+ * @property {string} userAgent - User agent of the client the token was issued to
+ * @property {string} ip - IP address the token was issued to
+ * @property {Date} createdAt - Issue time (auto-generated)
+ */
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  replacedBy: {
+    type: String,
+    default: null
+  },
+  userAgent: String,
+  ip: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+/**
+ * TTL Index
+ * MongoDB deletes tokens automatically once expiresAt has passed
+ */
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * RefreshToken Model
+ * Compiled model from refreshTokenSchema
+ * @type {mongoose.Model}
+ */
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+export default RefreshToken;
@@ -1,9 +1,38 @@
 import express from 'express';
-import { register, login } from '../controllers/authController.js';
+import { asyncHandler } from '../utils/asyncHandler.js';
+import {
+    changePassword,
+    deleteAccount,
+    getLoginHistory,
+    getMe,
+    login,
+    logout,
+    refresh,
+    register
+} from '../controllers/authController.js';
+import { authMiddleware } from '../middleware/authMiddleware.js';
+import { loginRateLimiter, registerRateLimiter, userRateLimiter } from '../middleware/rateLimiter.js';
+import { validate } from '../middleware/validate.js';
+import {
+    changePasswordSchema,
+    deleteAccountSchema,
+    loginSchema,
+    logoutSchema,
+    refreshSchema,
+    registerSchema
+} from '../validators/auth.js';
 
 const router = express.Router();
 
-router.post('/register', register);
-router.post('/login', login);
+router.post('/register', registerRateLimiter, validate(registerSchema), asyncHandler(register));
+router.post('/login', loginRateLimiter, validate(loginSchema), asyncHandler(login));
+router.post('/refresh', validate(refreshSchema), asyncHandler(refresh));
+router.post('/logout', validate(logoutSchema), asyncHandler(logout));
+
+// Account routes need a signed-in user; the ones that check a password share the login budget
+router.get('/me', authMiddleware, userRateLimiter, asyncHandler(getMe));
+router.get('/logins', authMiddleware, userRateLimiter, asyncHandler(getLoginHistory));
+router.put('/password', authMiddleware, loginRateLimiter, validate(changePasswordSchema), asyncHandler(changePassword));
+router.delete('/account', authMiddleware, loginRateLimiter, validate(deleteAccountSchema), asyncHandler(deleteAccount));
 
 export default router;
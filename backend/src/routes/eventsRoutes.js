@@ -0,0 +1,15 @@
+import express from "express";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { validate } from "../middleware/validate.js";
+import { authMiddleware } from "../middleware/authMiddleware.js";
+import { userRateLimiter } from "../middleware/rateLimiter.js";
+import { createEventTicket, streamEvents } from "../controllers/eventsController.js";
+import { streamEventsSchema } from "../validators/events.js";
+
+const router = express.Router();
+
+// The stream is authenticated with a ticket instead of the Authorization header
+router.post("/ticket", authMiddleware, userRateLimiter, asyncHandler(createEventTicket));
+router.get("/", validate(streamEventsSchema), asyncHandler(streamEvents));
+
+export default router;
@@ -0,0 +1,23 @@
+import express from "express";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { validate } from "../middleware/validate.js";
+import {
+  createNotebook,
+  deleteNotebook,
+  getNotebooks,
+  updateNotebook,
+} from "../controllers/notebooksController.js";
+import {
+  createNotebookSchema,
+  deleteNotebookSchema,
+  updateNotebookSchema,
+} from "../validators/notebooks.js";
+
+const router = express.Router();
+
+router.get("/", asyncHandler(getNotebooks));
+router.post("/", validate(createNotebookSchema), asyncHandler(createNotebook));
+router.patch("/:id", validate(updateNotebookSchema), asyncHandler(updateNotebook));
+router.delete("/:id", validate(deleteNotebookSchema), asyncHandler(deleteNotebook));
+
+export default router;
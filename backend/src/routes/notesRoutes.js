@@ -1,18 +1,120 @@
 import express from "express";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { attachmentUpload, importUpload } from "../middleware/upload.js";
+import { validate } from "../middleware/validate.js";
 import {
+  convertNote,
   createNote,
   deleteNote,
   getAllNotes,
   getNoteById,
+  getTags,
+  patchNote,
+  searchNotes,
   updateNote,
 } from "../controllers/notesController.js";
+import {
+  checkAttachmentUpload,
+  deleteAttachment,
+  downloadAttachment,
+  getAttachments,
+  uploadAttachment,
+} from "../controllers/attachmentsController.js";
+import { bulkUpdateNotes } from "../controllers/bulkController.js";
+import { addItem, removeItem, reorderItems, updateItem } from "../controllers/checklistController.js";
+import { exportNotes, importNotes } from "../controllers/exportController.js";
+import {
+  archiveNote,
+  moveNote,
+  pinNote,
+  setReminder,
+  unarchiveNote,
+  unpinNote,
+} from "../controllers/organizeController.js";
+import { createPublicLink, revokePublicLink } from "../controllers/publicLinkController.js";
+import { getRevisions, restoreRevision } from "../controllers/revisionsController.js";
+import { getSharedNotes, shareNote, unshareNote } from "../controllers/sharingController.js";
+import {
+  deleteNotePermanently,
+  emptyTrash,
+  getTrash,
+  restoreNote,
+} from "../controllers/trashController.js";
+import {
+  addItemSchema,
+  attachmentIdSchema,
+  bulkNotesSchema,
+  convertNoteSchema,
+  createNoteSchema,
+  createPublicLinkSchema,
+  exportNotesSchema,
+  importNotesSchema,
+  listNotesSchema,
+  moveNoteSchema,
+  noteIdSchema,
+  patchNoteSchema,
+  removeItemSchema,
+  reorderItemsSchema,
+  restoreRevisionSchema,
+  searchNotesSchema,
+  setReminderSchema,
+  shareNoteSchema,
+  unshareNoteSchema,
+  updateItemSchema,
+  updateNoteSchema,
+} from "../validators/notes.js";
 
 const router = express.Router();
 
-router.get("/", getAllNotes);
-router.get("/:id", getNoteById);
-router.post("/", createNote);
-router.put("/:id", updateNote);
-router.delete("/:id", deleteNote);
+router.get("/", validate(listNotesSchema), asyncHandler(getAllNotes));
+router.get("/search", validate(searchNotesSchema), asyncHandler(searchNotes));
+router.get("/tags", asyncHandler(getTags));
+router.get("/shared", asyncHandler(getSharedNotes));
+router.get("/export", validate(exportNotesSchema), asyncHandler(exportNotes));
+router.post("/import", importUpload, validate(importNotesSchema), asyncHandler(importNotes));
+router.post("/bulk", validate(bulkNotesSchema), asyncHandler(bulkUpdateNotes));
+router.get("/trash", asyncHandler(getTrash));
+router.delete("/trash", asyncHandler(emptyTrash));
+router.get("/:id", validate(noteIdSchema), asyncHandler(getNoteById));
+router.post("/", validate(createNoteSchema), asyncHandler(createNote));
+router.put("/:id", validate(updateNoteSchema), asyncHandler(updateNote));
+router.patch("/:id", validate(patchNoteSchema), asyncHandler(patchNote));
+router.delete("/:id", validate(noteIdSchema), asyncHandler(deleteNote));
+
+router.post("/:id/convert", validate(convertNoteSchema), asyncHandler(convertNote));
+router.post("/:id/items", validate(addItemSchema), asyncHandler(addItem));
+router.put("/:id/items/order", validate(reorderItemsSchema), asyncHandler(reorderItems));
+router.patch("/:id/items/:itemId", validate(updateItemSchema), asyncHandler(updateItem));
+router.delete("/:id/items/:itemId", validate(removeItemSchema), asyncHandler(removeItem));
+
+router.get("/:id/attachments", validate(noteIdSchema), asyncHandler(getAttachments));
+router.post(
+  "/:id/attachments",
+  validate(noteIdSchema),
+  asyncHandler(checkAttachmentUpload),
+  attachmentUpload,
+  asyncHandler(uploadAttachment)
+);
+router.get("/:id/attachments/:attachmentId", validate(attachmentIdSchema), asyncHandler(downloadAttachment));
+router.delete("/:id/attachments/:attachmentId", validate(attachmentIdSchema), asyncHandler(deleteAttachment));
+
+router.get("/:id/revisions", validate(noteIdSchema), asyncHandler(getRevisions));
+router.post("/:id/revisions/:rev/restore", validate(restoreRevisionSchema), asyncHandler(restoreRevision));
+
+router.post("/:id/pin", validate(noteIdSchema), asyncHandler(pinNote));
+router.delete("/:id/pin", validate(noteIdSchema), asyncHandler(unpinNote));
+router.post("/:id/archive", validate(noteIdSchema), asyncHandler(archiveNote));
+router.delete("/:id/archive", validate(noteIdSchema), asyncHandler(unarchiveNote));
+router.put("/:id/notebook", validate(moveNoteSchema), asyncHandler(moveNote));
+router.put("/:id/reminder", validate(setReminderSchema), asyncHandler(setReminder));
+
+router.post("/:id/share", validate(shareNoteSchema), asyncHandler(shareNote));
+router.delete("/:id/share/:userId", validate(unshareNoteSchema), asyncHandler(unshareNote));
+
+router.post("/:id/public-link", validate(createPublicLinkSchema), asyncHandler(createPublicLink));
+router.delete("/:id/public-link", validate(noteIdSchema), asyncHandler(revokePublicLink));
+
+router.post("/:id/restore", validate(noteIdSchema), asyncHandler(restoreNote));
+router.delete("/:id/permanent", validate(noteIdSchema), asyncHandler(deleteNotePermanently));
 
 export default router;
\ No newline at end of file
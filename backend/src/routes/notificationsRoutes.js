@@ -0,0 +1,17 @@
+import express from "express";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { validate } from "../middleware/validate.js";
+import {
+  getNotifications,
+  markAllNotificationsRead,
+  markNotificationRead,
+} from "../controllers/notificationsController.js";
+import { listNotificationsSchema, notificationIdSchema } from "../validators/notifications.js";
+
+const router = express.Router();
+
+router.get("/", validate(listNotificationsSchema), asyncHandler(getNotifications));
+router.post("/read-all", asyncHandler(markAllNotificationsRead));
+router.post("/:id/read", validate(notificationIdSchema), asyncHandler(markNotificationRead));
+
+export default router;
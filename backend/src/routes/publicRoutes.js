@@ -0,0 +1,9 @@
+import express from "express";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPublicNote } from "../controllers/publicLinkController.js";
+
+const router = express.Router();
+
+router.get("/notes/:token", asyncHandler(getPublicNote));
+
+export default router;
@@ -10,10 +10,20 @@ import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
 import notesRoutes from "./routes/notesRoutes.js";
+import notebooksRoutes from "./routes/notebooksRoutes.js";
+import eventsRoutes from "./routes/eventsRoutes.js";
+import notificationsRoutes from "./routes/notificationsRoutes.js";
 import authRoutes from "./routes/authRoutes.js";
+import publicRoutes from "./routes/publicRoutes.js";
 import { authMiddleware } from "./middleware/authMiddleware.js";
 import { connectDB } from "./config/db.js";
-import rateLimiter from "./middleware/rateLimiter.js";
+import Note from "./models/Note.js";
+import rateLimiter, { userRateLimiter } from "./middleware/rateLimiter.js";
+import { startTrashPurgeJob } from "./jobs/trashPurgeJob.js";
+import { startReminderJob } from "./jobs/reminderJob.js";
+import { recordMountPath, requestLogger } from "./middleware/requestLogger.js";
+import { apiNotFound, errorHandler } from "./middleware/errorHandler.js";
+import logger from "./utils/logger.js";
 
 // Load environment variables from .env file
 dotenv.config();
@@ -28,15 +38,20 @@ const __dirname = path.dirname(__filename);
 
 /**
  * Middleware Configuration
- * Order is important: CORS → JSON Parser → Rate Limiter → Routes
+ * Order is important: Request Logger → CORS → JSON Parser → Rate Limiter → Routes → Error Handler
  */
 
+// Request ID and one structured log line per request
+app.use(requestLogger);
+
 // CORS Configuration
 // Allow cross-origin requests in development, restrict in production
 if (process.env.NODE_ENV !== "production") {
   app.use(
     cors({
       origin: "http://localhost:5173", // Vite dev server default port
+      // Let the frontend read rate limit headers across origins
+      exposedHeaders: ["Retry-After", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "X-Request-Id"],
     })
   );
 }
@@ -46,16 +61,25 @@ if (process.env.NODE_ENV !== "production") {
 app.use(express.json());
 
 // Rate Limiting Middleware
-// Apply to all routes to prevent abuse
+// Per-IP budget on all routes to prevent abuse; login, register and
+// authenticated note routes add stricter policies of their own
 app.use(rateLimiter);
 
 /**
  * API Routes
- * Authentication routes are public
- * Notes routes require authentication middleware
+ * Authentication and public note link routes are public
+ * Notes, notebooks and notifications routes require authentication middleware
+ * The event stream authenticates with a ticket from POST /api/events/ticket
  */
-app.use("/api/auth", authRoutes);
-app.use("/api/notes", authMiddleware, notesRoutes);
+app.use("/api/auth", recordMountPath, authRoutes);
+app.use("/api/public", recordMountPath, publicRoutes);
+app.use("/api/notes", recordMountPath, authMiddleware, userRateLimiter, notesRoutes);
+app.use("/api/notebooks", recordMountPath, authMiddleware, userRateLimiter, notebooksRoutes);
+app.use("/api/notifications", recordMountPath, authMiddleware, userRateLimiter, notificationsRoutes);
+app.use("/api/events", recordMountPath, eventsRoutes);
+
+// Unknown API routes get a JSON 404 instead of the SPA fallback below
+app.use("/api", apiNotFound);
 
 /**
  * Production Static File Serving
@@ -72,13 +96,24 @@ app.get("*", (req, res) => {
   res.sendFile(path.join(__dirname, "../../frontend/dist", "index.html"));
 });
 
+/**
+ * Error Handler
+ * Turns errors thrown by routes and middleware into JSON responses
+ * Must be registered after every route
+ */
+app.use(errorHandler);
+
 /**
  * Database Connection and Server Startup
- * Connect to MongoDB before starting the Express server
+ * Connect to MongoDB and backfill note flags before starting the Express
+ * server and background jobs
  */
-connectDB().then(() => {
+connectDB().then(async () => {
+  await Note.backfillListFlags();
+  startTrashPurgeJob();
+  startReminderJob();
+
   app.listen(PORT, () => {
-    console.log(`🚀 Server started on PORT: ${PORT}`);
-    console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
+    logger.info("server started", { port: Number(PORT), environment: process.env.NODE_ENV || "development" });
   });
 });
\ No newline at end of file
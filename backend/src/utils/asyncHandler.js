@@ -0,0 +1,10 @@
+/**
+ * Wrap an async route handler so a rejected promise reaches the error handler
+ * (Express 4 does not catch errors thrown by async handlers on its own)
+ * 
+ * @param {Function} handler - async (req, res, next) => void
+ * @returns {Function} Express middleware
+ */
+export const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
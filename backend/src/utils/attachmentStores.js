@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Attachment Stores - Where the files attached to notes are kept
+ * @module utils/attachmentStores
+ * 
+ * A store exposes `save(key, buffer, contentType)`, `createReadStream(key)`
+ * and `remove(key)`. Keys are generated by the server (attachment IDs), never
+ * taken from file names. A read stream emits an error with code "ENOENT" when
+ * the file is missing.
+ */
+
+import fs from "fs";
+import fsPromises from "fs/promises";
+import path from "path";
+import mongoose from "mongoose";
+import { getAttachmentConfig } from "../config/attachments.js";
+
+// GridFS bucket name, giving the attachments.files and attachments.chunks collections
+const GRIDFS_BUCKET = "attachments";
+
+/**
+ * Create a store that keeps files in a local directory
+ * Files are not shared between servers unless the directory is.
+ * 
+ * @param {string} directory - Absolute path of the directory
+ * @returns {{ save: Function, createReadStream: Function, remove: Function }} Attachment store
+ */
+export const createDiskStore = (directory) => {
+  const filePath = (key) => path.join(directory, key);
+
+  return {
+    async save(key, buffer) {
+      await fsPromises.mkdir(directory, { recursive: true });
+      await fsPromises.writeFile(filePath(key), buffer);
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(filePath(key));
+    },
+
+    async remove(key) {
+      await fsPromises.rm(filePath(key), { force: true });
+    },
+  };
+};
+
+/**
+ * Create a store that keeps files in MongoDB with GridFS
+ * Uses the Mongoose connection, so it works wherever the database does.
+ * 
+ * @returns {{ save: Function, createReadStream: Function, remove: Function }} Attachment store
+ */
+export const createGridFSStore = () => {
+  const getBucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: GRIDFS_BUCKET });
+
+  return {
+    save(key, buffer, contentType) {
+      return new Promise((resolve, reject) => {
+        getBucket()
+          .openUploadStream(key, { metadata: { contentType } })
+          .on("error", reject)
+          .on("finish", resolve)
+          .end(buffer);
+      });
+    },
+
+    createReadStream(key) {
+      const stream = getBucket().openDownloadStreamByName(key);
+      // Report a missing file the same way as the disk store
+      return stream.on("error", (error) => {
+        if (/FileNotFound/.test(error.code || error.message)) error.code = "ENOENT";
+      });
+    },
+
+    async remove(key) {
+      const bucket = getBucket();
+      const files = await bucket.find({ filename: key }).toArray();
+      await Promise.all(files.map((file) => bucket.delete(file._id)));
+    },
+  };
+};
+
+let store = null;
+
+/**
+ * The store chosen by ATTACHMENT_STORE, created on first use
+ * 
+ * @returns {{ save: Function, createReadStream: Function, remove: Function }} Attachment store
+ */
+export const getAttachmentStore = () => {
+  if (!store) {
+    const { store: kind, directory } = getAttachmentConfig();
+    store = kind === "gridfs" ? createGridFSStore() : createDiskStore(directory);
+  }
+  return store;
+};
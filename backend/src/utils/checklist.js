@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Checklist Utilities - Converts between checklist items and their text form
+ * @module utils/checklist
+ */
+
+// Limits keep a checklist usable on one screen and the note document small.
+// A full checklist as text ("- [x] " plus the item on each line) must stay
+// within the note content limit (MAX_CONTENT_LENGTH in models/Note), so raise
+// these together with that one.
+export const MAX_CHECKLIST_ITEMS = 200;
+export const MAX_ITEM_LENGTH = 240;
+
+// Optional list marker, optional checkbox, then the item text
+// Matches "- [ ] Milk", "* [x] Eggs", "[X] Bread" and plain "Butter"
+const LINE_PATTERN = /^\s*(?:[-*+]\s+)?(?:\[([ xX])\]\s*)?(.*)$/;
+
+/**
+ * Turn text into checklist items, one per non-empty line
+ * Lines written as Markdown task list entries keep their done state
+ *
+ * @param {string} text - Note content
+ * @returns {Array<{ text: string, done: boolean }>} Items (at most MAX_CHECKLIST_ITEMS)
+ *
+ * @example
+ * parseChecklist("- [x] Milk\nEggs") // => [{ text: "Milk", done: true }, { text: "Eggs", done: false }]
+ */
+export function parseChecklist(text) {
+  return (text || "")
+    .split(/\r?\n/)
+    .map((line) => {
+      const [, mark, rest] = line.match(LINE_PATTERN);
+      return { text: rest.trim().slice(0, MAX_ITEM_LENGTH), done: mark === "x" || mark === "X" };
+    })
+    .filter((item) => item.text)
+    .slice(0, MAX_CHECKLIST_ITEMS);
+}
+
+/**
+ * Text form of checklist items, as a Markdown task list
+ * Checklist notes keep this in `content` so search, previews, exports and
+ * revisions work as they do for other notes.
+ *
+ * @param {Array<{ text: string, done: boolean }>} items - Items in order
+ * @returns {string} One "- [ ] text" line per item
+ */
+export function formatChecklist(items) {
+  return items.map(({ text, done }) => `- [${done ? "x" : " "}] ${text}`).join("\n");
+}
+
+/**
+ * Number items by their place in the list
+ *
+ * @param {Array<Object>} items - Items in order
+ * @returns {Array<Object>} Same items with `position` set to 0, 1, 2...
+ */
+export function positionItems(items) {
+  return items.map((item, position) => ({ ...item, position }));
+}
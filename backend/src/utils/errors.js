@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Application Errors - Typed errors mapped to HTTP responses by the error handler
+ * @module utils/errors
+ * 
+ * Controllers throw these instead of writing error responses themselves.
+ * The response body is `{ message, ...details }`.
+ */
+
+/**
+ * Base class for errors that carry an HTTP status
+ * 
+ * @param {string} message - Message sent to the client
+ * @param {number} [status=500] - HTTP status code
+ * @param {Object} [details] - Extra fields merged into the response body
+ */
+export class AppError extends Error {
+  constructor(message, status = 500, details = undefined) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/** 400 - The request is malformed (bad ID, query or header) */
+export class BadRequestError extends AppError {
+  constructor(message = "Bad request", details) {
+    super(message, 400, details);
+  }
+}
+
+/** 401 - Missing or invalid credentials */
+export class UnauthorizedError extends AppError {
+  constructor(message = "Unauthorized", details) {
+    super(message, 401, details);
+  }
+}
+
+/** 403 - Authenticated but not allowed to do this */
+export class ForbiddenError extends AppError {
+  constructor(message = "Forbidden", details) {
+    super(message, 403, details);
+  }
+}
+
+/** 404 - The resource does not exist or is not visible to the caller */
+export class NotFoundError extends AppError {
+  constructor(message = "Not found", details) {
+    super(message, 404, details);
+  }
+}
+
+/** 409 - The request conflicts with the current state (e.g. a stale version) */
+export class ConflictError extends AppError {
+  constructor(message = "Conflict", details) {
+    super(message, 409, details);
+  }
+}
+
+/**
+ * 429 - The client has to wait before trying again
+ * The error handler also sends the wait as a Retry-After header.
+ * 
+ * @param {string} message - Message sent to the client
+ * @param {number} retryAfter - Seconds to wait
+ */
+export class TooManyRequestsError extends AppError {
+  constructor(message = "Too many requests, please try again later", retryAfter) {
+    super(message, 429, { retryAfter });
+  }
+}
+
+/**
+ * 422 - The body is well-formed but its values are invalid
+ * 
+ * @param {Object<string, string>} errors - Field name to error message
+ * @param {string} [message="Validation failed"] - Summary message
+ */
+export class ValidationError extends AppError {
+  constructor(errors, message = "Validation failed") {
+    super(message, 422, { errors });
+  }
+}
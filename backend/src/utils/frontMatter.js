@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Front Matter Utilities - Reads and writes Markdown files with a metadata header
+ * @module utils/frontMatter
+ */
+
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+/**
+ * Serialize a note as Markdown with a front-matter header
+ * Values are written as JSON, which is valid YAML, so the files open cleanly
+ * in other Markdown tools and parse back without a YAML library.
+ *
+ * @param {Object} note - Note to serialize
+ * @returns {string} File contents
+ *
+ * @example
+ * toMarkdownFile({ title: "Plan", content: "# Plan", tags: ["work"], ... })
+ * // ---
+ * // title: "Plan"
+ * // tags: ["work"]
+ * // ...
+ * // ---
+ * // # Plan
+ */
+export function toMarkdownFile(note) {
+  const meta = {
+    title: note.title,
+    tags: note.tags || [],
+    format: note.format || "plain",
+    pinned: Boolean(note.pinned),
+    archived: Boolean(note.archived),
+    createdAt: note.createdAt,
+    updatedAt: note.updatedAt,
+  };
+
+  const header = Object.entries(meta)
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+    .join("\n");
+
+  return `---\n${header}\n---\n${note.content}`;
+}
+
+/**
+ * Parse a Markdown file with an optional front-matter header
+ * Understands the `key: value` lines written by toMarkdownFile; values that
+ * are not valid JSON are kept as plain strings.
+ *
+ * @param {string} text - File contents
+ * @returns {{ meta: Object, content: string }} Header values and the Markdown body
+ */
+export function parseMarkdownFile(text) {
+  const match = text.match(FRONT_MATTER_PATTERN);
+  if (!match) {
+    return { meta: {}, content: text };
+  }
+
+  const meta = {};
+  match[1].split(/\r?\n/).forEach((line) => {
+    const separator = line.indexOf(":");
+    if (separator === -1) return;
+
+    const key = line.slice(0, separator).trim();
+    const raw = line.slice(separator + 1).trim();
+    if (!key) return;
+
+    try {
+      meta[key] = JSON.parse(raw);
+    } catch {
+      meta[key] = raw.replace(/^'(.*)'$/, "$1");
+    }
+  });
+
+  return { meta, content: text.slice(match[0].length) };
+}
+
+/**
+ * Build a filesystem-safe file name for a note
+ *
+ * @param {string} title - Note title
+ * @param {Set<string>} used - Names already taken in the archive (updated in place)
+ * @returns {string} Unique file name ending in .md
+ */
+export function toMarkdownFileName(title, used) {
+  const base = (title || "untitled")
+    .normalize("NFKD")
+    .replace(/[^\w\s-]/g, "")
+    .trim()
+    .replace(/\s+/g, "-")
+    .toLowerCase()
+    .slice(0, 80) || "untitled";
+
+  let name = `${base}.md`;
+  for (let i = 2; used.has(name); i++) {
+    name = `${base}-${i}.md`;
+  }
+  used.add(name);
+
+  return name;
+}
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Logger - Structured JSON logging to stdout/stderr
+ * @module utils/logger
+ * 
+ * Each entry is one JSON line: { time, level, message, ...fields }.
+ * Entries below LOG_LEVEL (debug, info, warn, error; default info) are dropped.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Serialize an Error so it survives JSON.stringify
+ * 
+ * @param {Error} error - Error to serialize
+ * @returns {Object} Plain object with name, message, code and stack
+ */
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  code: error.code,
+  stack: error.stack,
+});
+
+/**
+ * Write one log entry
+ * 
+ * @param {string} level - Log level
+ * @param {string} message - Short description of the event
+ * @param {Object} [fields] - Extra structured fields; an `error` field may be an Error
+ */
+const write = (level, message, fields = {}) => {
+  // Read lazily so LOG_LEVEL from .env is picked up after dotenv.config()
+  const minLevel = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+  if (LEVELS[level] < minLevel) return;
+
+  const entry = { time: new Date().toISOString(), level, message, ...fields };
+  if (fields.error instanceof Error) {
+    entry.error = serializeError(fields.error);
+  }
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+const logger = {
+  debug: (message, fields) => write("debug", message, fields),
+  info: (message, fields) => write("info", message, fields),
+  warn: (message, fields) => write("warn", message, fields),
+  error: (message, fields) => write("error", message, fields),
+};
+
+export default logger;
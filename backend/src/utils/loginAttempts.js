@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Login Attempt Utilities - Per-username failed sign-in tracking, delays and lockout
+ * @module utils/loginAttempts
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import LoginThrottle from '../models/LoginThrottle.js';
+import { LOGIN_LOCKOUT } from '../config/auth.js';
+
+// Attempts to claim a sign-in before giving up on a racing first insert
+const MAX_CLAIM_ATTEMPTS = 3;
+
+// Hashed at startup so the first unknown username is not slower than the rest
+const dummyHashPromise = bcrypt.hash(crypto.randomBytes(16).toString('hex'), 10);
+
+/**
+ * Hash compared against when no account has the username
+ * Sign-ins for unknown usernames then take as long as a wrong password.
+ *
+ * @returns {Promise<string>} bcrypt hash of a random password
+ */
+export const getDummyPasswordHash = () => dummyHashPromise;
+
+/**
+ * Aggregation expression for `lockedUntil` after `$failures` failures
+ * Up to `freeAttempts` there is no wait; after that the wait starts at
+ * `baseDelayMs` and doubles with each failure, up to `maxDelayMs`, until
+ * `maxAttempts` locks sign-ins for `lockMs` (see config/auth LOGIN_LOCKOUT).
+ *
+ * @param {Date} now - Time of the attempt
+ * @returns {Object} Expression giving a date, or null for no wait
+ */
+const loginDelayExpression = (now) => {
+  const { freeAttempts, baseDelayMs, maxDelayMs, maxAttempts, lockMs } = LOGIN_LOCKOUT;
+
+  return {
+    $switch: {
+      branches: [
+        { case: { $gte: ['$failures', maxAttempts] }, then: new Date(now.getTime() + lockMs) },
+        {
+          case: { $gt: ['$failures', freeAttempts] },
+          then: {
+            $add: [now, {
+              $min: [
+                { $multiply: [baseDelayMs, { $pow: [2, { $subtract: ['$failures', freeAttempts + 1] }] }] },
+                maxDelayMs
+              ]
+            }]
+          }
+        }
+      ],
+      default: null
+    }
+  };
+};
+
+/**
+ * Seconds until a throttle lets sign-ins through again
+ *
+ * @param {Object|null} throttle - Lean LoginThrottle
+ * @returns {number} Seconds to wait (0 = may sign in now)
+ */
+const getLockedSeconds = (throttle) => {
+  const remainingMs = throttle?.lockedUntil ? throttle.lockedUntil.getTime() - Date.now() : 0;
+  return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
+};
+
+/**
+ * Claim a sign-in attempt for a username before its password is checked
+ * The attempt is counted as a failure up front, in the same atomic update
+ * that checks the username is not locked, so parallel guesses cannot all
+ * slip through before the lock is set. A successful sign-in then clears the
+ * counter (see clearLoginAttempts). Failures older than the lockout length
+ * start the count over.
+ *
+ * @async
+ * @param {string} username - Username signed in with (need not exist)
+ * @returns {Promise<{ lockedSeconds: number, failures: number }>}
+ * - lockedSeconds: seconds to wait if the attempt was refused, 0 if it was claimed
+ * - failures: failed sign-ins in a row, counting this one if it was claimed
+ */
+export const claimLoginAttempt = async (username) => {
+  for (let attempt = 1; ; attempt++) {
+    const now = new Date();
+    const countFrom = new Date(now.getTime() - LOGIN_LOCKOUT.lockMs);
+
+    try {
+      const throttle = await LoginThrottle.findOneAndUpdate(
+        { username, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+        [
+          {
+            $set: {
+              failures: {
+                $cond: [
+                  { $gt: ['$lastFailedAt', countFrom] },
+                  { $add: [{ $ifNull: ['$failures', 0] }, 1] },
+                  1
+                ]
+              },
+              lastFailedAt: now
+            }
+          },
+          { $set: { lockedUntil: loginDelayExpression(now) } }
+        ],
+        { new: true, upsert: true, lean: true }
+      );
+
+      return { lockedSeconds: 0, failures: throttle.failures };
+    } catch (error) {
+      // The filter missed an existing counter, so the upsert collided with it
+      if (error.code !== 11000) throw error;
+
+      const throttle = await LoginThrottle.findOne({ username }).lean();
+      const lockedSeconds = getLockedSeconds(throttle);
+      if (lockedSeconds > 0 || attempt >= MAX_CLAIM_ATTEMPTS) {
+        return { lockedSeconds: Math.max(lockedSeconds, 1), failures: throttle?.failures || 0 };
+      }
+      // Another request created the counter at the same moment; claim again
+    }
+  }
+};
+
+/**
+ * Forget a username's failures after a successful sign-in
+ *
+ * @async
+ * @param {string} username - Username signed in with
+ * @returns {Promise<void>}
+ */
+export const clearLoginAttempts = async (username) => {
+  await LoginThrottle.deleteOne({ username });
+};
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Note Access Utilities - Permission filters for owned and shared notes
+ * @module utils/noteAccess
+ */
+
+/**
+ * Permissions a collaborator can be granted on a shared note
+ * - viewer: read the note and its history
+ * - editor: additionally update it and restore revisions
+ * Only the owner can delete a note or change who it is shared with.
+ */
+export const NOTE_PERMISSIONS = ["viewer", "editor"];
+
+/**
+ * Filter matching notes the user may read (owned or shared with any permission)
+ *
+ * @param {string} userId - Authenticated user ID
+ * @returns {Object} MongoDB filter fragment
+ */
+export function canViewFilter(userId) {
+  return {
+    $or: [
+      { user: userId },
+      { collaborators: { $elemMatch: { user: userId } } },
+    ],
+  };
+}
+
+/**
+ * Filter matching notes the user may modify (owned or shared as editor)
+ *
+ * @param {string} userId - Authenticated user ID
+ * @returns {Object} MongoDB filter fragment
+ */
+export function canEditFilter(userId) {
+  return {
+    $or: [
+      { user: userId },
+      { collaborators: { $elemMatch: { user: userId, permission: "editor" } } },
+    ],
+  };
+}
+
+/**
+ * Determine how a user can access a note
+ *
+ * @param {Object} note - Note (lean object, collaborators not populated)
+ * @param {string} userId - Authenticated user ID
+ * @returns {"owner"|"editor"|"viewer"|null} Access level, or null if none
+ */
+export function getAccessLevel(note, userId) {
+  if (String(note.user) === String(userId)) return "owner";
+
+  const collaborator = (note.collaborators || []).find(
+    (entry) => String(entry.user?._id ?? entry.user) === String(userId)
+  );
+  return collaborator ? collaborator.permission : null;
+}
+
+/**
+ * Shape a note whose `user` and `collaborators.user` were populated with
+ * usernames into the response sent to clients
+ * Adds the caller's `access` level and an `owner` summary; only the owner
+ * gets to see the collaborator list and the public link.
+ *
+ * @param {Object} note - Lean note with populated owner and collaborators
+ * @param {string} userId - Authenticated user ID
+ * @returns {Object} Note response
+ */
+export function toSharedNoteResponse(note, userId) {
+  const owner = note.user;
+  const access = getAccessLevel({ ...note, user: owner?._id ?? owner }, userId);
+
+  return {
+    ...note,
+    user: owner?._id ?? owner,
+    owner: owner?.username ? { _id: owner._id, username: owner.username } : null,
+    access,
+    publicLink: access === "owner" ? note.publicLink ?? null : null,
+    collaborators: access === "owner"
+      ? (note.collaborators || [])
+        .filter((entry) => entry.user) // Skip accounts that no longer exist
+        .map((entry) => ({
+          user: entry.user._id ?? entry.user,
+          username: entry.user.username,
+          permission: entry.permission,
+          sharedAt: entry.sharedAt,
+        }))
+      : [],
+  };
+}
@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Note Events - In-process publish/subscribe of note changes and notifications for live updates
+ * @module utils/noteEvents
+ */
+
+import { EventEmitter } from "events";
+
+// One channel per user ID; each open event stream adds a listener
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // A user may have many tabs open
+
+/**
+ * Event types sent to clients
+ * `note.deleted` covers moving a note to the trash
+ */
+export const NOTE_EVENTS = {
+  created: "note.created",
+  updated: "note.updated",
+  deleted: "note.deleted",
+};
+
+// Event type sent when a notification is recorded for the user
+export const NOTIFICATION_EVENT = "notification.created";
+
+/**
+ * Users who see a note: its owner and everyone it is shared with
+ *
+ * @param {Object} note - Lean note
+ * @returns {string[]} User IDs
+ */
+const getAudience = (note) => [
+  String(note.user),
+  ...(note.collaborators || []).map((collaborator) => String(collaborator.user)),
+];
+
+/**
+ * Note fields sent with an event
+ * Sharing details (collaborators, public link) are left out because every
+ * collaborator receives the same payload; clients keep the values they have.
+ *
+ * @param {Object} note - Lean note
+ * @returns {Object} Note without sharing details
+ */
+const toEventNote = ({ collaborators, publicLink, ...note }) => note;
+
+/**
+ * Publish a note change to every user who can see the note
+ * Events only reach streams connected to this server process, so running
+ * several instances needs a shared broker in front of this module.
+ *
+ * @param {Object|null} req - Express request that made the change (null for background jobs)
+ * @param {string} type - One of NOTE_EVENTS
+ * @param {Object} note - Lean note after the change
+ *
+ * @example
+ * publishNoteEvent(req, NOTE_EVENTS.updated, updatedNote);
+ */
+export function publishNoteEvent(req, type, note) {
+  const event = {
+    type,
+    note: type === NOTE_EVENTS.deleted ? { _id: note._id } : toEventNote(note),
+    // Lets the tab that made the change skip its own event
+    origin: req?.get("X-Client-Id") || null,
+  };
+
+  for (const userId of getAudience(note)) {
+    emitter.emit(userId, event);
+  }
+}
+
+/**
+ * Publish a new notification to the user it is for
+ *
+ * @param {Object} notification - Lean notification
+ */
+export function publishNotification(notification) {
+  emitter.emit(String(notification.user), { type: NOTIFICATION_EVENT, notification, origin: null });
+}
+
+/**
+ * Listen to the note events and notifications of one user
+ *
+ * @param {string} userId - User ID
+ * @param {Function} listener - Called with each event
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToNoteEvents(userId, listener) {
+  emitter.on(String(userId), listener);
+  return () => emitter.off(String(userId), listener);
+}
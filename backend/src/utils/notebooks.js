@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Notebook Utilities - Ownership checks and tree helpers for notebooks
+ * @module utils/notebooks
+ */
+
+import Notebook from "../models/Notebook.js";
+import { NotFoundError } from "./errors.js";
+
+/**
+ * Find one of the user's notebooks
+ *
+ * @param {string} userId - Owner's user ID
+ * @param {string} notebookId - Notebook ID
+ * @returns {Promise<Object>} Lean notebook
+ * @throws {NotFoundError} If the notebook does not exist or belongs to someone else
+ */
+export async function findUserNotebook(userId, notebookId) {
+  const notebook = await Notebook.findOne({ _id: notebookId, user: userId }).lean();
+
+  if (!notebook) {
+    throw new NotFoundError("Notebook not found");
+  }
+
+  return notebook;
+}
+
+/**
+ * Load every notebook of a user keyed by ID
+ * Users have few notebooks, so tree checks work on the whole set in memory
+ *
+ * @param {string} userId - Owner's user ID
+ * @returns {Promise<Map<string, Object>>} Lean notebooks by ID
+ */
+export async function loadNotebookTree(userId) {
+  const notebooks = await Notebook.find({ user: userId }).lean();
+  return new Map(notebooks.map((notebook) => [String(notebook._id), notebook]));
+}
+
+/**
+ * Depth of a notebook, counting from 1 at the top level
+ *
+ * @param {Map<string, Object>} tree - Result of loadNotebookTree
+ * @param {string|null} notebookId - Notebook ID, or null for the top level (depth 0)
+ * @returns {number} Depth
+ */
+export function getDepth(tree, notebookId) {
+  let depth = 0;
+  for (let id = notebookId; id; id = tree.get(String(id))?.parent) {
+    depth++;
+  }
+  return depth;
+}
+
+/**
+ * IDs of a notebook and every notebook nested inside it
+ *
+ * @param {Map<string, Object>} tree - Result of loadNotebookTree
+ * @param {string} rootId - Notebook ID
+ * @returns {string[]} Notebook IDs, the root first
+ */
+export function getSubtreeIds(tree, rootId) {
+  const ids = [String(rootId)];
+  for (let i = 0; i < ids.length; i++) {
+    for (const [id, notebook] of tree) {
+      if (String(notebook.parent) === ids[i]) ids.push(id);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Number of levels in a notebook's subtree (1 for a notebook without children)
+ *
+ * @param {Map<string, Object>} tree - Result of loadNotebookTree
+ * @param {string} rootId - Notebook ID
+ * @returns {number} Height
+ */
+export function getSubtreeHeight(tree, rootId) {
+  const rootDepth = getDepth(tree, rootId);
+  return Math.max(...getSubtreeIds(tree, rootId).map((id) => getDepth(tree, id))) - rootDepth + 1;
+}
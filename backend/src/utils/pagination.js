@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Pagination Utilities - Opaque cursors for keyset pagination
+ * @module utils/pagination
+ */
+
+import mongoose from "mongoose";
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Clamp a `limit` query parameter to the allowed page size range
+ *
+ * @param {string|undefined} value - Raw `req.query.limit`
+ * @returns {number} Page size between 1 and MAX_PAGE_SIZE
+ */
+export function parseLimit(value) {
+  const limit = parseInt(value, 10);
+  if (Number.isNaN(limit)) return DEFAULT_PAGE_SIZE;
+  return Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+}
+
+/**
+ * Sort orders for note lists
+ * Pinned notes always come first; `_id` breaks ties so the order is total
+ * and cursors never skip or repeat a note. Title sorting is case-insensitive
+ * (see TITLE_COLLATION).
+ */
+export const NOTE_SORTS = {
+  created: { field: "createdAt", direction: -1 },
+  updated: { field: "updatedAt", direction: -1 },
+  title: { field: "title", direction: 1 },
+};
+
+export const DEFAULT_NOTE_SORT = "created";
+
+// Collation used for title sorting, matching the title index
+export const TITLE_COLLATION = { locale: "en", strength: 2 };
+
+/**
+ * Build the MongoDB sort for a note list
+ *
+ * @param {string} sort - Key of NOTE_SORTS
+ * @returns {Object} Sort specification, e.g. { pinned: -1, createdAt: -1, _id: -1 }
+ */
+export function buildNoteSort(sort) {
+  const { field, direction } = NOTE_SORTS[sort];
+  return { pinned: -1, [field]: direction, _id: direction };
+}
+
+/**
+ * Encode the position after a document as an opaque, URL-safe cursor
+ *
+ * @param {Object} doc - Last document of the current page
+ * @param {string} sort - Key of NOTE_SORTS the page was sorted by
+ * @returns {string} Cursor string
+ */
+export function encodeCursor(doc, sort) {
+  const { field } = NOTE_SORTS[sort];
+  const value = doc[field] instanceof Date ? doc[field].getTime() : doc[field];
+  const payload = JSON.stringify({ s: sort, p: Boolean(doc.pinned), v: value, id: String(doc._id) });
+  return Buffer.from(payload).toString("base64url");
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ *
+ * @param {string} cursor - Cursor string from the client
+ * @param {string} sort - Sort of the requested page; cursors from another sort are rejected
+ * @returns {{ pinned: boolean, value: Date|string, id: mongoose.Types.ObjectId }|null}
+ * Position, or null if the cursor is malformed
+ */
+export function decodeCursor(cursor, sort) {
+  try {
+    const { s, p, v, id } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    const isDate = NOTE_SORTS[sort].field !== "title";
+
+    if (s !== sort || typeof p !== "boolean" || !mongoose.Types.ObjectId.isValid(id)) return null;
+    if (isDate ? !Number.isFinite(v) : typeof v !== "string") return null;
+
+    return { pinned: p, value: isDate ? new Date(v) : v, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the filter selecting documents that come after a cursor position
+ * in the order given by buildNoteSort
+ *
+ * @param {{ pinned: boolean, value: Date|string, id: mongoose.Types.ObjectId }} position - Decoded cursor
+ * @param {string} sort - Key of NOTE_SORTS
+ * @returns {Object} MongoDB filter fragment
+ */
+export function afterCursor({ pinned, value, id }, sort) {
+  const { field, direction } = NOTE_SORTS[sort];
+  const after = direction === -1 ? "$lt" : "$gt";
+
+  return {
+    $or: [
+      // Past the pinned group, every unpinned note comes next
+      ...(pinned ? [{ pinned: false }] : []),
+      { pinned, [field]: { [after]: value } },
+      { pinned, [field]: value, _id: { [after]: id } },
+    ],
+  };
+}
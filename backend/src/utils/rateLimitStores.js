@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Rate Limit Stores - Counters behind the rate limiter middleware
+ * @module utils/rateLimitStores
+ * 
+ * A store exposes `hit(key, policy)` which counts one request and resolves to
+ * `{ success, limit, remaining, reset }`, `reset` being the time (ms since epoch)
+ * at which the budget is restored.
+ */
+
+import { createUpstashRatelimit } from "../config/upstash.js";
+
+// How often expired windows are dropped from the memory store
+const MEMORY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create a fixed window store kept in process memory
+ * Counters are not shared between server instances and reset on restart.
+ * 
+ * @returns {{ hit: Function }} Rate limit store
+ */
+export const createMemoryStore = () => {
+  const windows = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.reset <= now) windows.delete(key);
+    }
+  }, MEMORY_SWEEP_INTERVAL_MS).unref();
+
+  return {
+    async hit(key, { limit, windowMs }) {
+      const now = Date.now();
+      let window = windows.get(key);
+
+      if (!window || window.reset <= now) {
+        window = { count: 0, reset: now + windowMs };
+        windows.set(key, window);
+      }
+
+      window.count += 1;
+
+      return {
+        success: window.count <= limit,
+        limit,
+        remaining: Math.max(0, limit - window.count),
+        reset: window.reset,
+      };
+    },
+  };
+};
+
+/**
+ * Create a sliding window store backed by Upstash Redis
+ * Requires UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN.
+ * 
+ * @returns {{ hit: Function }} Rate limit store
+ */
+export const createUpstashStore = () => {
+  // One Upstash limiter per distinct policy
+  const limiters = new Map();
+
+  return {
+    async hit(key, { limit, windowMs }) {
+      const policyKey = `${limit}:${windowMs}`;
+      if (!limiters.has(policyKey)) {
+        limiters.set(policyKey, createUpstashRatelimit(limit, windowMs));
+      }
+
+      const { success, remaining, reset } = await limiters.get(policyKey).limit(key);
+      return { success, limit, remaining, reset };
+    },
+  };
+};
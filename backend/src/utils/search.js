@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Search Utilities - Parses user search input into MongoDB filters
+ * @module utils/search
+ */
+
+/**
+ * Escape characters that have a special meaning in regular expressions
+ *
+ * @param {string} value - Raw string
+ * @returns {string} String safe to embed in a RegExp
+ */
+export function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Split a search string into phrases, whole terms, prefix terms and exclusions
+ *
+ * Supported syntax:
+ * - `"exact phrase"` - phrase match
+ * - `word`           - whole word match (stemmed by the text index)
+ * - `wor*`           - prefix match
+ * - `-word`          - exclude notes containing the word
+ *
+ * @param {string} query - Raw search string
+ * @returns {{ phrases: string[], terms: string[], prefixes: string[], excluded: string[] }}
+ *
+ * @example
+ * parseSearchQuery('"weekly sync" proj* -draft')
+ * // => { phrases: ["weekly sync"], terms: [], prefixes: ["proj"], excluded: ["draft"] }
+ */
+export function parseSearchQuery(query) {
+  const parsed = { phrases: [], terms: [], prefixes: [], excluded: [] };
+  const tokenPattern = /"([^"]+)"|(\S+)/g;
+  let match;
+
+  while ((match = tokenPattern.exec(query)) !== null) {
+    if (match[1] !== undefined) {
+      const phrase = match[1].trim();
+      if (phrase) parsed.phrases.push(phrase);
+      continue;
+    }
+
+    // Strip stray quotes left over from an unterminated phrase
+    const token = match[2].replace(/"/g, "");
+
+    if (token.startsWith("-") && token.length > 1) {
+      parsed.excluded.push(token.slice(1));
+    } else if (token.endsWith("*")) {
+      const prefix = token.replace(/\*+$/, "");
+      if (prefix) parsed.prefixes.push(prefix);
+    } else if (token) {
+      parsed.terms.push(token);
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Build the MongoDB filter for a parsed search query
+ * Phrases and whole terms go through the `$text` index so results can be
+ * ranked by relevance; prefixes are not supported by `$text` and are matched
+ * with anchored regular expressions instead.
+ *
+ * @param {ReturnType<typeof parseSearchQuery>} parsed - Parsed search query
+ * @returns {{ filter: Object, useTextScore: boolean }|null} Filter fragment, or null if nothing to search for
+ */
+export function buildSearchFilter({ phrases, terms, prefixes, excluded }) {
+  const filter = {};
+  const useTextScore = phrases.length > 0 || terms.length > 0;
+
+  if (!useTextScore && prefixes.length === 0) {
+    return null;
+  }
+
+  if (useTextScore) {
+    filter.$text = {
+      $search: [
+        ...phrases.map((phrase) => `"${phrase}"`),
+        ...terms,
+        ...excluded.map((term) => `-${term}`),
+      ].join(" "),
+    };
+  }
+
+  const conditions = prefixes.map((prefix) => {
+    const pattern = new RegExp(`\\b${escapeRegExp(prefix)}`, "i");
+    return { $or: [{ title: pattern }, { content: pattern }] };
+  });
+
+  // $text already handles exclusions; without it they need their own conditions
+  if (!useTextScore) {
+    excluded.forEach((term) => {
+      const pattern = new RegExp(`\\b${escapeRegExp(term)}\\b`, "i");
+      conditions.push({ title: { $not: pattern }, content: { $not: pattern } });
+    });
+  }
+
+  if (conditions.length > 0) {
+    filter.$and = conditions;
+  }
+
+  return { filter, useTextScore };
+}
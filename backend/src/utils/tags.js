@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Tag Utilities - Normalization helpers for note tags
+ * @module utils/tags
+ */
+
+// Limits keep tag lists readable and the per-user tag index small
+export const MAX_TAGS_PER_NOTE = 20;
+export const MAX_TAG_LENGTH = 32;
+
+/**
+ * Normalize a list of tags: trim, lowercase, drop empties and duplicates
+ *
+ * @param {*} tags - Raw tags value from a request body
+ * @returns {string[]|undefined} Normalized tags, or undefined if no tags were sent
+ *
+ * @example
+ * normalizeTags([" Work", "work", "Ideas ", ""]) // => ["work", "ideas"]
+ */
+export function normalizeTags(tags) {
+  if (tags === undefined || tags === null) return undefined;
+
+  const list = Array.isArray(tags) ? tags : [tags];
+  const normalized = list
+    .filter((tag) => typeof tag === "string")
+    .map((tag) => tag.trim().toLowerCase().slice(0, MAX_TAG_LENGTH))
+    .filter(Boolean);
+
+  return [...new Set(normalized)].slice(0, MAX_TAGS_PER_NOTE);
+}
+
+/**
+ * Read tag filters from a query string
+ * Accepts both `?tags=a,b` and repeated `?tags=a&tags=b`
+ *
+ * @param {string|string[]|undefined} value - Raw `req.query.tags` value
+ * @returns {string[]} Normalized tags (empty when no filter was given)
+ */
+export function parseTagsParam(value) {
+  if (!value) return [];
+
+  const list = (Array.isArray(value) ? value : [value])
+    .flatMap((entry) => String(entry).split(","));
+
+  return normalizeTags(list);
+}
+
+/**
+ * Build the MongoDB condition for a tag filter
+ *
+ * @param {string[]} tags - Tags to filter by
+ * @param {string} [match="all"] - "all" requires every tag, "any" requires at least one
+ * @returns {Object|undefined} Condition for the `tags` field, or undefined for no filter
+ */
+export function buildTagsCondition(tags, match = "all") {
+  if (tags.length === 0) return undefined;
+  return match === "any" ? { $in: tags } : { $all: tags };
+}
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Token Utilities - Issues access tokens and rotating refresh tokens
+ * @module utils/tokens
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import RefreshToken from '../models/RefreshToken.js';
+import { getAuthConfig } from '../config/auth.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Hash a refresh token for storage and lookup
+ * 
+ * @param {string} token - Raw refresh token
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+export const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Sign a short-lived JWT access token
+ * 
+ * @param {Object} user - User document
+ * @returns {string} Signed JWT
+ */
+export const signAccessToken = (user) => {
+  const { jwtSecret, accessTokenExpiresIn } = getAuthConfig();
+
+  return jwt.sign(
+    {
+      id: user._id,
+      username: user.username
+    },
+    jwtSecret,
+    { expiresIn: accessTokenExpiresIn }
+  );
+};
+
+/**
+ * Create and store a new refresh token
+ * 
+ * @async
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (for user agent and IP)
+ * @param {string} [family] - Session family to join; a new one is started when omitted
+ * @returns {Promise<{ token: string, tokenHash: string }>} Raw token (sent to the client once) and its hash
+ */
+export const issueRefreshToken = async (user, req, family = crypto.randomUUID()) => {
+  const { refreshTokenDays } = getAuthConfig();
+  const token = crypto.randomBytes(48).toString('base64url');
+  const tokenHash = hashToken(token);
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash,
+    family,
+    expiresAt: new Date(Date.now() + refreshTokenDays * DAY_MS),
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  });
+
+  return { token, tokenHash };
+};
+
+/**
+ * Revoke every still-active token of a session family
+ * 
+ * @async
+ * @param {string} family - Session family ID
+ * @returns {Promise<void>}
+ */
+export const revokeTokenFamily = async (family) => {
+  await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
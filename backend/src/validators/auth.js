@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Auth Validators - Request schemas for the /api/auth routes
+ * @module validators/auth
+ */
+
+import { z } from "zod";
+import { requiredText } from "./common.js";
+
+export const MAX_USERNAME_LENGTH = 30;
+export const MIN_PASSWORD_LENGTH = 8;
+export const MAX_PASSWORD_LENGTH = 128;
+
+// Passwords tried first by guessing tools, compared case-insensitively
+const COMMON_PASSWORDS = new Set([
+  "password", "password1", "password123", "passw0rd", "12345678", "123456789",
+  "1234567890", "qwerty123", "qwertyuiop", "iloveyou", "sunshine1", "letmein1",
+  "welcome1", "admin123", "abc12345", "football1", "monkey123", "11111111",
+]);
+
+/**
+ * A new password, as typed (not trimmed)
+ * Existing passwords are not checked against this policy, so accounts made
+ * before it keep signing in.
+ * 
+ * @param {string} label - Field name used in error messages
+ * @returns {z.ZodType} Schema
+ */
+const passwordPolicy = (label) =>
+  requiredText(label, { min: MIN_PASSWORD_LENGTH, max: MAX_PASSWORD_LENGTH, trim: false })
+    .refine(
+      (value) => /[a-z]/i.test(value) && /[^a-z]/i.test(value),
+      `${label} must contain a letter and a number or symbol`
+    )
+    .refine((value) => !COMMON_PASSWORDS.has(value.toLowerCase()), `${label} is too common`);
+
+export const registerSchema = {
+  body: z
+    .strictObject({
+      username: requiredText("Username", { min: 3, max: MAX_USERNAME_LENGTH }),
+      password: passwordPolicy("Password"),
+    })
+    .refine((body) => !body.username || !body.password.toLowerCase().includes(body.username.toLowerCase()), {
+      path: ["password"],
+      message: "Password must not contain the username",
+    }),
+};
+
+export const loginSchema = {
+  body: z.strictObject({
+    username: requiredText("Username"),
+    password: requiredText("Password", { trim: false }),
+  }),
+};
+
+export const refreshSchema = {
+  body: z.strictObject({
+    refreshToken: requiredText("Refresh token"),
+  }),
+};
+
+export const logoutSchema = {
+  body: z.strictObject({
+    refreshToken: z.string().optional(),
+  }),
+};
+
+export const changePasswordSchema = {
+  body: z
+    .strictObject({
+      currentPassword: requiredText("Current password", { trim: false }),
+      newPassword: passwordPolicy("New password"),
+    })
+    .refine((body) => body.newPassword !== body.currentPassword, {
+      path: ["newPassword"],
+      message: "New password must be different from the current one",
+    }),
+};
+
+// Deleting an account cannot be undone, so the password is asked again
+export const deleteAccountSchema = {
+  body: z.strictObject({
+    password: requiredText("Password", { trim: false }),
+  }),
+};
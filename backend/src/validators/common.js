@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Common Validators - Schema building blocks shared by the route validators
+ * @module validators/common
+ */
+
+import { z } from "zod";
+
+/**
+ * MongoDB ObjectId as a 24 character hex string
+ * 
+ * @param {string} [label="ID"] - Name used in the error message
+ * @returns {z.ZodString} Schema
+ */
+export const objectId = (label = "ID") =>
+  z.string().regex(/^[a-f\d]{24}$/i, `Invalid ${label}`);
+
+/**
+ * Text field that must be present and not blank once trimmed
+ * 
+ * @param {string} label - Field name used in error messages
+ * @param {Object} [options]
+ * @param {number} [options.min=1] - Minimum length after trimming
+ * @param {number} [options.max] - Maximum length after trimming
+ * @param {boolean} [options.trim=true] - Whether the stored value is trimmed
+ * @returns {z.ZodType} Schema
+ */
+export const requiredText = (label, { min = 1, max, trim = true } = {}) => {
+  let schema = z.string({
+    error: (issue) => (issue.input === undefined ? `${label} is required` : `${label} must be text`),
+  });
+  if (trim) schema = schema.trim();
+
+  schema = schema.refine((value) => value.trim().length > 0, `${label} is required`);
+  if (min > 1) schema = schema.refine((value) => value.trim().length >= min, `${label} must be at least ${min} characters`);
+  if (max) schema = schema.refine((value) => value.length <= max, `${label} must be at most ${max} characters`);
+
+  return schema;
+};
+
+/**
+ * One of a fixed list of values
+ * 
+ * @param {string} label - Field name used in the error message
+ * @param {string[]} values - Allowed values
+ * @returns {z.ZodEnum} Schema
+ */
+export const oneOf = (label, values) =>
+  z.enum(values, { error: `${label} must be one of: ${values.join(", ")}` });
+
+// Route parameters of every /api/notes/:id route
+export const noteIdParams = z.object({ id: objectId("note ID") });
@@ -0,0 +1,13 @@
+/**
+ * @fileoverview Event Validators - Request schemas for the /api/events routes
+ * @module validators/events
+ */
+
+import { z } from "zod";
+import { requiredText } from "./common.js";
+
+export const streamEventsSchema = {
+  query: z.strictObject({
+    ticket: requiredText("Ticket", { max: 64 }),
+  }),
+};
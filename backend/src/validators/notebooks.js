@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Notebook Validators - Request schemas for the /api/notebooks routes
+ * @module validators/notebooks
+ */
+
+import { z } from "zod";
+import { MAX_NOTEBOOK_NAME_LENGTH } from "../models/Notebook.js";
+import { objectId, oneOf, requiredText } from "./common.js";
+
+const notebookIdParams = z.object({ id: objectId("notebook ID") });
+
+const name = requiredText("Name", { max: MAX_NOTEBOOK_NAME_LENGTH });
+
+// null (or omitted on create) means the top level
+const parent = objectId("parent notebook ID").nullable();
+
+export const createNotebookSchema = {
+  body: z.strictObject({
+    name,
+    parent: parent.optional(),
+  }),
+};
+
+export const updateNotebookSchema = {
+  params: notebookIdParams,
+  body: z
+    .strictObject({
+      name: name.optional(),
+      parent: parent.optional(),
+    })
+    .refine((body) => body.name !== undefined || body.parent !== undefined, "Nothing to update"),
+};
+
+// The caller must choose what happens to the notes inside the notebook
+export const deleteNotebookSchema = {
+  params: notebookIdParams,
+  query: z.strictObject({
+    notes: oneOf("Notes", ["move", "trash"]),
+  }),
+};
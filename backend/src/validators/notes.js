@@ -0,0 +1,258 @@
+/**
+ * @fileoverview Note Validators - Request schemas for the /api/notes routes
+ * @module validators/notes
+ */
+
+import { z } from "zod";
+import {
+  MAX_CONTENT_LENGTH,
+  MAX_TITLE_LENGTH,
+  NOTE_FORMATS,
+  REMINDER_REPEATS,
+  TEXT_FORMATS,
+} from "../models/Note.js";
+import { MAX_CHECKLIST_ITEMS, MAX_ITEM_LENGTH } from "../utils/checklist.js";
+import { NOTE_PERMISSIONS } from "../utils/noteAccess.js";
+import { NOTE_SORTS } from "../utils/pagination.js";
+import { MAX_TAG_LENGTH, MAX_TAGS_PER_NOTE } from "../utils/tags.js";
+import { noteIdParams, objectId, oneOf, requiredText } from "./common.js";
+
+// Longest expiry an owner can choose; omit expiresInDays for a link that never expires
+const MAX_LINK_EXPIRY_DAYS = 365;
+
+const tags = z
+  .array(
+    z.string({ error: "Tags must be text" }).max(MAX_TAG_LENGTH, `Tags must be at most ${MAX_TAG_LENGTH} characters`),
+    { error: "Tags must be a list" }
+  )
+  .max(MAX_TAGS_PER_NOTE, `A note can have at most ${MAX_TAGS_PER_NOTE} tags`);
+
+// Fields a client may write on a note
+// Checklists are created as such or converted; an edit cannot switch to or from them
+const noteFields = {
+  title: requiredText("Title", { max: MAX_TITLE_LENGTH }),
+  // Content keeps its surrounding whitespace (e.g. Markdown indentation)
+  content: requiredText("Content", { max: MAX_CONTENT_LENGTH, trim: false }),
+  tags: tags.optional(),
+  format: oneOf("Format", TEXT_FORMATS).optional(),
+};
+
+// Each item is one line of the note's text form, so it cannot contain line breaks
+const itemText = requiredText("Item", { max: MAX_ITEM_LENGTH })
+  .refine((value) => !/[\r\n]/.test(value), "Item must be a single line");
+
+// Tag filter accepted as `?tags=a,b` or repeated `?tags=a&tags=b`
+const tagsFilter = z.union([z.string(), z.array(z.string())]).optional();
+
+const limit = z.coerce.number().int().min(1, "Limit must be at least 1").optional();
+
+export const listNotesSchema = {
+  query: z.strictObject({
+    limit,
+    cursor: z.string().optional(),
+    sort: oneOf("Sort", Object.keys(NOTE_SORTS)).optional(),
+    archived: oneOf("Archived", ["true", "false"]).optional(),
+    notebook: objectId("notebook ID").optional(),
+    tags: tagsFilter,
+    match: oneOf("Match", ["all", "any"]).optional(),
+  }),
+};
+
+export const searchNotesSchema = {
+  query: z.strictObject({
+    q: requiredText("Search query", { max: 500 }),
+    limit,
+    tags: tagsFilter,
+    match: oneOf("Match", ["all", "any"]).optional(),
+  }),
+};
+
+export const noteIdSchema = { params: noteIdParams };
+
+// A new note can be filed straight into a notebook; null or omitted means the top level
+// A checklist takes its items from `items`, or else from the lines of `content`
+export const createNoteSchema = {
+  body: z
+    .strictObject({
+      ...noteFields,
+      content: noteFields.content.optional(),
+      format: oneOf("Format", NOTE_FORMATS).optional(),
+      items: z
+        .array(z.strictObject({ text: itemText, done: z.boolean().optional() }), { error: "Items must be a list" })
+        .max(MAX_CHECKLIST_ITEMS, `A checklist can have at most ${MAX_CHECKLIST_ITEMS} items`)
+        .optional(),
+      notebook: objectId("notebook ID").nullish(),
+    })
+    .superRefine((body, ctx) => {
+      if (body.format === "checklist") return;
+      if (body.content === undefined) {
+        ctx.addIssue({ code: "custom", path: ["content"], message: "Content is required" });
+      }
+      if (body.items !== undefined) {
+        ctx.addIssue({ code: "custom", path: ["items"], message: "Only checklist notes have items" });
+      }
+    }),
+};
+
+// PUT replaces title and content, so both are required; the version may come from If-Match instead
+export const updateNoteSchema = {
+  params: noteIdParams,
+  body: z.strictObject({
+    ...noteFields,
+    __v: z.number({ error: "Version must be a number" }).int().min(0).optional(),
+  }),
+};
+
+// PATCH writes only the fields sent, at least one of them
+export const patchNoteSchema = {
+  params: noteIdParams,
+  body: z
+    .strictObject({
+      title: noteFields.title.optional(),
+      content: noteFields.content.optional(),
+      tags: noteFields.tags,
+      format: noteFields.format,
+      __v: z.number({ error: "Version must be a number" }).int().min(0).optional(),
+    })
+    .refine(
+      ({ title, content, tags, format }) => [title, content, tags, format].some((value) => value !== undefined),
+      "Nothing to update"
+    ),
+};
+
+export const restoreRevisionSchema = {
+  params: noteIdParams.extend({
+    rev: z.coerce.number({ error: "Invalid revision number" }).int("Invalid revision number").min(1, "Invalid revision number"),
+  }),
+};
+
+export const shareNoteSchema = {
+  params: noteIdParams,
+  body: z.strictObject({
+    username: requiredText("Username"),
+    permission: oneOf("Permission", NOTE_PERMISSIONS),
+  }),
+};
+
+export const unshareNoteSchema = {
+  params: noteIdParams.extend({ userId: objectId("user ID") }),
+};
+
+export const createPublicLinkSchema = {
+  params: noteIdParams,
+  body: z.strictObject({
+    expiresInDays: z
+      .number({ error: "Expiry must be a number of days" })
+      .int("Expiry must be a whole number of days")
+      .min(1, `Expiry must be between 1 and ${MAX_LINK_EXPIRY_DAYS} days`)
+      .max(MAX_LINK_EXPIRY_DAYS, `Expiry must be between 1 and ${MAX_LINK_EXPIRY_DAYS} days`)
+      .nullish(),
+  }),
+};
+
+export const exportNotesSchema = {
+  query: z.strictObject({
+    format: oneOf("Format", ["json", "markdown"]).optional(),
+  }),
+};
+
+export const importNotesSchema = {
+  body: z.strictObject({
+    duplicates: oneOf("Duplicates", ["skip", "rename"]).optional(),
+  }),
+};
+
+export const moveNoteSchema = {
+  params: noteIdParams,
+  body: z.strictObject({
+    notebook: objectId("notebook ID").nullable(),
+  }),
+};
+
+// A reminder must lie in the future; null clears it
+export const setReminderSchema = {
+  params: noteIdParams,
+  body: z.strictObject({
+    remindAt: z
+      .iso.datetime({ offset: true, error: "Reminder time must be a date and time" })
+      .refine((value) => new Date(value) > new Date(), "Reminder time must be in the future")
+      .nullable(),
+    repeat: oneOf("Repeat", REMINDER_REPEATS).optional(),
+  }),
+};
+
+// Converting turns lines into checklist items or items back into lines
+export const convertNoteSchema = {
+  params: noteIdParams,
+  body: z.strictObject({
+    format: oneOf("Format", NOTE_FORMATS),
+    __v: z.number({ error: "Version must be a number" }).int().min(0).optional(),
+  }),
+};
+
+const itemParams = noteIdParams.extend({ itemId: objectId("item ID") });
+
+// New items go to the end unless a position is given
+export const addItemSchema = {
+  params: noteIdParams,
+  body: z.strictObject({
+    text: itemText,
+    done: z.boolean({ error: "Done must be true or false" }).optional(),
+    position: z.number({ error: "Position must be a number" }).int().min(0, "Position must be at least 0").optional(),
+  }),
+};
+
+export const updateItemSchema = {
+  params: itemParams,
+  body: z
+    .strictObject({
+      text: itemText.optional(),
+      done: z.boolean({ error: "Done must be true or false" }).optional(),
+    })
+    .refine((body) => body.text !== undefined || body.done !== undefined, "Nothing to update"),
+};
+
+export const removeItemSchema = { params: itemParams };
+
+// The new order lists every item ID exactly once
+export const reorderItemsSchema = {
+  params: noteIdParams,
+  body: z.strictObject({
+    order: z
+      .array(objectId("item ID"), { error: "Order must be a list of item IDs" })
+      .max(MAX_CHECKLIST_ITEMS)
+      .refine((ids) => new Set(ids).size === ids.length, "Order lists an item more than once"),
+  }),
+};
+
+export const attachmentIdSchema = {
+  params: noteIdParams.extend({ attachmentId: objectId("attachment ID") }),
+};
+
+// Most notes one bulk request can change
+const MAX_BULK_NOTES = 100;
+
+// Bulk actions and the field each one needs
+const BULK_ACTIONS = ["delete", "archive", "tag", "move"];
+
+// `tags` are added to every note; `notebook` is the target of a move (null for the top level)
+export const bulkNotesSchema = {
+  body: z
+    .strictObject({
+      action: oneOf("Action", BULK_ACTIONS),
+      ids: z
+        .array(objectId("note ID"), { error: "IDs must be a list of note IDs" })
+        .min(1, "Select at least one note")
+        .max(MAX_BULK_NOTES, `At most ${MAX_BULK_NOTES} notes can be changed at once`),
+      tags: tags.min(1, "Enter at least one tag").optional(),
+      notebook: objectId("notebook ID").nullable().optional(),
+    })
+    .superRefine((body, ctx) => {
+      if (body.action === "tag" && body.tags === undefined) {
+        ctx.addIssue({ code: "custom", path: ["tags"], message: "Tags are required" });
+      }
+      if (body.action === "move" && body.notebook === undefined) {
+        ctx.addIssue({ code: "custom", path: ["notebook"], message: "Notebook is required (null for the top level)" });
+      }
+    }),
+};
@@ -0,0 +1,18 @@
+/**
+ * @fileoverview Notification Validators - Request schemas for the /api/notifications routes
+ * @module validators/notifications
+ */
+
+import { z } from "zod";
+import { objectId, oneOf } from "./common.js";
+
+export const listNotificationsSchema = {
+  query: z.strictObject({
+    unread: oneOf("Unread", ["true", "false"]).optional(),
+    limit: z.coerce.number().int().min(1, "Limit must be at least 1").optional(),
+  }),
+};
+
+export const notificationIdSchema = {
+  params: z.object({ id: objectId("notification ID") }),
+};
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Service worker - Keeps the app shell available offline
+ * API data is cached by the app itself (src/lib/offline.js), so /api requests
+ * pass through untouched.
+ */
+
+// Bump to drop every cached file on the next visit
+const CACHE_NAME = "thinkboard-shell-v1";
+const SHELL_URL = "/index.html";
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.add(SHELL_URL)));
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== "GET" || url.origin !== self.location.origin || url.pathname.startsWith("/api/")) {
+    return;
+  }
+
+  // Pages: network first so deploys show up at once, the cached shell when offline
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then((cache) => cache.put(SHELL_URL, copy));
+          return response;
+        })
+        .catch(() => caches.match(SHELL_URL))
+    );
+    return;
+  }
+
+  // Build assets have hashed names and never change: cache first
+  event.respondWith(
+    caches.match(request).then((cached) => cached || fetch(request).then((response) => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+      }
+      return response;
+    }))
+  );
+});
@@ -1,17 +1,27 @@
 import { Route, Routes, Navigate } from "react-router";
 import { AuthProvider, useAuth } from "./context/AuthContext";
+import NotificationAlerts from "./components/NotificationAlerts";
 
 import HomePage from "./pages/HomePage";
 import CreatePage from "./pages/CreatePage";
 import NoteDetailPage from "./pages/NoteDetailPage";
 import Login from "./pages/Login";
 import Register from "./pages/Register";
+import TrashPage from "./pages/TrashPage";
+import ArchivePage from "./pages/ArchivePage";
+import PublicNotePage from "./pages/PublicNotePage";
+import AccountPage from "./pages/AccountPage";
 
 const ProtectedRoute = ({ children }) => {
   const { user, loading } = useAuth();
   if (loading) return <div>Loading...</div>;
   if (!user) return <Navigate to="/login" />;
-  return children;
+  return (
+    <>
+      {children}
+      <NotificationAlerts />
+    </>
+  );
 };
 
 const App = () => {
@@ -22,6 +32,7 @@ const App = () => {
         <Routes>
           <Route path="/login" element={<Login />} />
           <Route path="/register" element={<Register />} />
+          <Route path="/s/:token" element={<PublicNotePage />} />
           <Route path="/" element={
             <ProtectedRoute>
               <HomePage />
@@ -37,6 +48,21 @@ const App = () => {
               <NoteDetailPage />
             </ProtectedRoute>
           } />
+          <Route path="/archive" element={
+            <ProtectedRoute>
+              <ArchivePage />
+            </ProtectedRoute>
+          } />
+          <Route path="/trash" element={
+            <ProtectedRoute>
+              <TrashPage />
+            </ProtectedRoute>
+          } />
+          <Route path="/account" element={
+            <ProtectedRoute>
+              <AccountPage />
+            </ProtectedRoute>
+          } />
         </Routes>
       </div>
     </AuthProvider>
@@ -0,0 +1,221 @@
+/**
+ * @fileoverview Attachment List Component - Files attached to a note, with image previews and uploads
+ * @module components/AttachmentList
+ */
+
+import { DownloadIcon, FileIcon, LoaderIcon, PaperclipIcon, Trash2Icon } from "lucide-react";
+import { memo, useCallback, useEffect, useRef, useState } from "react";
+import toast from "react-hot-toast";
+import api from "../lib/axios";
+
+// Types the server sends inline, previewed as thumbnails
+const IMAGE_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+
+// Matches the types accepted by the server
+const ACCEPT = [...IMAGE_TYPES, "application/pdf", "text/plain"].join(",");
+
+/**
+ * Human readable file size, e.g. "48 KB"
+ * @param {number} bytes
+ * @returns {string}
+ */
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Fetch an attachment with the user's credentials
+ * Download routes need the Authorization header, which `<img src>` and
+ * plain links cannot send, so files are loaded as blobs instead.
+ *
+ * @param {string} noteId - Note ID
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Promise<Blob>} File contents
+ */
+const fetchAttachment = async (noteId, attachmentId) => {
+  const res = await api.get(`/notes/${noteId}/attachments/${attachmentId}`, { responseType: "blob" });
+  return res.data;
+};
+
+/**
+ * Image thumbnail loaded through the API
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.noteId - Note ID
+ * @param {Object} props.attachment - Image attachment
+ * @returns {JSX.Element} Rendered thumbnail
+ */
+const ImagePreview = memo(({ noteId, attachment }) => {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+
+    fetchAttachment(noteId, attachment._id)
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch((error) => console.log("Error loading the image preview:", error));
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [noteId, attachment._id]);
+
+  if (!url) {
+    return (
+      <div className="flex items-center justify-center h-32 bg-base-200 rounded-btn">
+        <LoaderIcon className="animate-spin size-5" />
+      </div>
+    );
+  }
+
+  return <img src={url} alt={attachment.filename} className="max-h-64 rounded-btn object-contain" />;
+});
+
+ImagePreview.displayName = 'ImagePreview';
+
+/**
+ * Attachment List Component
+ * Lists a note's files, previews images inline and lets editors upload and
+ * delete files. Attachments are saved right away, not with the note.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.noteId - Note ID
+ * @param {boolean} [props.readOnly=false] - Hide upload and delete controls
+ * @returns {JSX.Element} Rendered list
+ *
+ * @example
+ * <AttachmentList noteId={id} readOnly={isReadOnly} />
+ */
+const AttachmentList = memo(({ noteId, readOnly = false }) => {
+  const [attachments, setAttachments] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    api.get(`/notes/${noteId}/attachments`)
+      .then((res) => setAttachments(res.data))
+      .catch((error) => console.log("Error fetching attachments:", error));
+  }, [noteId]);
+
+  const handleUpload = useCallback(async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // Let the same file be picked again
+    if (!file) return;
+
+    setUploading(true);
+    try {
+      const formData = new FormData();
+      formData.append("file", file);
+      const res = await api.post(`/notes/${noteId}/attachments`, formData);
+      setAttachments((prev) => [...prev, res.data]);
+      toast.success("File attached");
+    } catch (error) {
+      console.log("Error uploading the attachment:", error);
+      toast.error(error.response?.data?.message || "Failed to attach file");
+    } finally {
+      setUploading(false);
+    }
+  }, [noteId]);
+
+  const handleDownload = useCallback(async (attachment) => {
+    try {
+      const url = URL.createObjectURL(await fetchAttachment(noteId, attachment._id));
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = attachment.filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.log("Error downloading the attachment:", error);
+      toast.error("Failed to download file");
+    }
+  }, [noteId]);
+
+  const handleDelete = useCallback(async (attachment) => {
+    if (!window.confirm(`Delete "${attachment.filename}"?`)) return;
+
+    try {
+      await api.delete(`/notes/${noteId}/attachments/${attachment._id}`);
+      setAttachments((prev) => prev.filter((a) => a._id !== attachment._id));
+      toast.success("Attachment deleted");
+    } catch (error) {
+      console.log("Error deleting the attachment:", error);
+      toast.error("Failed to delete attachment");
+    }
+  }, [noteId]);
+
+  if (readOnly && attachments.length === 0) return null;
+
+  return (
+    <div className="form-control mb-4">
+      <div className="label">
+        <span className="label-text">Attachments</span>
+        {!readOnly && (
+          <>
+            <button
+              type="button"
+              className="btn btn-ghost btn-xs"
+              onClick={() => fileInputRef.current.click()}
+              disabled={uploading}
+            >
+              {uploading ? <LoaderIcon className="animate-spin size-4" /> : <PaperclipIcon className="size-4" />}
+              Attach file
+            </button>
+            <input ref={fileInputRef} type="file" accept={ACCEPT} className="hidden" onChange={handleUpload} />
+          </>
+        )}
+      </div>
+
+      {attachments.length === 0 ? (
+        <p className="text-sm text-base-content/60">Attach images, PDFs or text files</p>
+      ) : (
+        <ul className="space-y-2">
+          {attachments.map((attachment) => (
+            <li key={attachment._id} className="border border-base-content/20 rounded-btn p-2">
+              {IMAGE_TYPES.includes(attachment.contentType) && (
+                <ImagePreview noteId={noteId} attachment={attachment} />
+              )}
+              <div className="flex items-center gap-2 mt-1">
+                <FileIcon className="size-4 shrink-0" />
+                <span className="flex-1 truncate text-sm">{attachment.filename}</span>
+                <span className="text-xs text-base-content/60">{formatSize(attachment.size)}</span>
+                <button
+                  type="button"
+                  className="btn btn-ghost btn-xs"
+                  onClick={() => handleDownload(attachment)}
+                  aria-label={`Download ${attachment.filename}`}
+                >
+                  <DownloadIcon className="size-4" />
+                </button>
+                {!readOnly && (
+                  <button
+                    type="button"
+                    className="btn btn-ghost btn-xs text-error"
+                    onClick={() => handleDelete(attachment)}
+                    aria-label={`Delete ${attachment.filename}`}
+                  >
+                    <Trash2Icon className="size-4" />
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+});
+
+AttachmentList.displayName = 'AttachmentList';
+
+export default AttachmentList;
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Bulk Action Bar Component - Actions for the notes selected on the home page
+ * @module components/BulkActionBar
+ */
+
+import { ArchiveIcon, CheckSquareIcon, TagIcon, Trash2Icon, XIcon } from "lucide-react";
+import { memo, useCallback, useMemo, useState } from "react";
+import { flattenNotebookTree } from "../lib/notebooks";
+
+// Value of the top level in the move select (notebook IDs are never empty)
+const TOP_LEVEL = "top-level";
+
+/**
+ * Bulk Action Bar Component
+ * Shown while notes are being selected. Each action applies to every
+ * selected note through POST /notes/bulk (see HomePage).
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {number} props.count - Number of selected notes
+ * @param {number} props.total - Number of notes that can be selected
+ * @param {Array<Object>} props.notebooks - Flat notebook list from GET /notebooks
+ * @param {Function} props.onAction - Called with the action and its extra fields, e.g. ("tag", { tags: ["work"] })
+ * @param {Function} props.onSelectAll - Select every listed note
+ * @param {Function} props.onCancel - Leave selection mode
+ * @param {boolean} [props.busy] - An action is running
+ * @returns {JSX.Element} Rendered toolbar
+ */
+const BulkActionBar = memo(({ count, total, notebooks, onAction, onSelectAll, onCancel, busy }) => {
+  const [tag, setTag] = useState("");
+  const options = useMemo(() => flattenNotebookTree(notebooks), [notebooks]);
+  const disabled = busy || count === 0;
+
+  const handleTag = useCallback((e) => {
+    e.preventDefault();
+    if (!tag.trim()) return;
+    onAction("tag", { tags: [tag.trim()] });
+    setTag("");
+  }, [tag, onAction]);
+
+  const handleMove = useCallback((e) => {
+    const { value } = e.target;
+    e.target.value = "";
+    if (value) onAction("move", { notebook: value === TOP_LEVEL ? null : value });
+  }, [onAction]);
+
+  const handleDelete = useCallback(() => {
+    if (window.confirm(`Move ${count} note${count === 1 ? "" : "s"} to the trash?`)) {
+      onAction("delete");
+    }
+  }, [count, onAction]);
+
+  return (
+    <div className="sticky top-0 z-10 bg-base-100 border border-base-content/10 rounded-box p-3 mb-6 flex flex-wrap items-center gap-2">
+      <span className="font-medium mr-2">{count} selected</span>
+      <button className="btn btn-ghost btn-sm" onClick={onSelectAll} disabled={busy || count === total}>
+        <CheckSquareIcon className="size-4" />
+        Select all
+      </button>
+
+      <div className="flex-1" />
+
+      <button className="btn btn-outline btn-sm" onClick={() => onAction("archive")} disabled={disabled}>
+        <ArchiveIcon className="size-4" />
+        Archive
+      </button>
+
+      <form onSubmit={handleTag} className="join">
+        <input
+          type="text"
+          className="input input-bordered input-sm join-item w-28"
+          placeholder="Tag"
+          value={tag}
+          onChange={(e) => setTag(e.target.value)}
+          aria-label="Tag to add"
+        />
+        <button type="submit" className="btn btn-outline btn-sm join-item" disabled={disabled || !tag.trim()}>
+          <TagIcon className="size-4" />
+          Add tag
+        </button>
+      </form>
+
+      <select
+        className="select select-bordered select-sm"
+        defaultValue=""
+        onChange={handleMove}
+        disabled={disabled}
+        aria-label="Move selected notes"
+      >
+        <option value="" disabled>Move to…</option>
+        <option value={TOP_LEVEL}>No notebook</option>
+        {options.map(({ notebook, depth }) => (
+          <option key={notebook._id} value={notebook._id}>
+            {"\u00A0\u00A0".repeat(depth)}{notebook.name}
+          </option>
+        ))}
+      </select>
+
+      <button className="btn btn-error btn-outline btn-sm" onClick={handleDelete} disabled={disabled}>
+        <Trash2Icon className="size-4" />
+        Delete
+      </button>
+
+      <button className="btn btn-ghost btn-sm btn-circle" onClick={onCancel} aria-label="Cancel selection">
+        <XIcon className="size-4" />
+      </button>
+    </div>
+  );
+});
+
+BulkActionBar.displayName = 'BulkActionBar';
+
+export default BulkActionBar;
@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Checklist Editor Component - Checkboxes that can be ticked, edited, added, removed and dragged into order
+ * @module components/ChecklistEditor
+ */
+
+import { GripVerticalIcon, PlusIcon, XIcon } from "lucide-react";
+import { memo, useCallback, useState } from "react";
+import toast from "react-hot-toast";
+import api from "../lib/axios";
+import { getFieldErrors } from "../lib/utils";
+import FieldError from "./FieldError";
+
+/**
+ * One checklist row
+ * The text is saved when the input loses focus or Enter is pressed.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.item - Checklist item ({ _id, text, done })
+ * @param {boolean} props.readOnly - Show the item without editing controls
+ * @param {boolean} props.dragging - The item is being dragged
+ * @param {Function} props.onUpdate - Called with the item and the fields to change
+ * @param {Function} props.onRemove - Called with the item
+ * @param {Object} props.dragHandlers - Drag and drop handlers for the row
+ * @returns {JSX.Element} Rendered row
+ */
+const ChecklistItem = memo(({ item, readOnly, dragging, onUpdate, onRemove, dragHandlers }) => {
+  const [text, setText] = useState(item.text);
+  const [lastText, setLastText] = useState(item.text);
+
+  // Take on text changed elsewhere (another tab, a collaborator)
+  if (item.text !== lastText) {
+    setLastText(item.text);
+    setText(item.text);
+  }
+
+  const commitText = useCallback(() => {
+    const trimmed = text.trim();
+    if (!trimmed) {
+      setText(item.text);
+    } else if (trimmed !== item.text) {
+      onUpdate(item, { text: trimmed });
+    }
+  }, [text, item, onUpdate]);
+
+  return (
+    <li
+      className={`flex items-center gap-2 py-1 ${dragging ? "opacity-50" : ""}`}
+      draggable={!readOnly}
+      {...(readOnly ? {} : dragHandlers)}
+    >
+      {!readOnly && <GripVerticalIcon className="size-4 shrink-0 cursor-grab text-base-content/40" aria-hidden="true" />}
+      <input
+        type="checkbox"
+        className="checkbox checkbox-sm checkbox-primary"
+        checked={item.done}
+        onChange={(e) => onUpdate(item, { done: e.target.checked })}
+        disabled={readOnly}
+        aria-label={`Mark "${item.text}" as ${item.done ? "not done" : "done"}`}
+      />
+      {readOnly ? (
+        <span className={`flex-1 ${item.done ? "line-through text-base-content/50" : ""}`}>{item.text}</span>
+      ) : (
+        <>
+          <input
+            type="text"
+            className={`input input-ghost input-sm flex-1 ${item.done ? "line-through text-base-content/50" : ""}`}
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            onBlur={commitText}
+            onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+            aria-label="Item text"
+          />
+          <button
+            type="button"
+            className="btn btn-ghost btn-xs"
+            onClick={() => onRemove(item)}
+            aria-label={`Remove "${item.text}"`}
+          >
+            <XIcon className="size-4" />
+          </button>
+        </>
+      )}
+    </li>
+  );
+});
+
+ChecklistItem.displayName = 'ChecklistItem';
+
+/**
+ * Checklist Editor Component
+ * Each change is saved right away through the item endpoints, so it never
+ * makes the note "unsaved". Items are reordered by dragging their row.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.noteId - Note ID
+ * @param {Object[]} props.items - Checklist items in order
+ * @param {Function} props.onChange - Called with the updated note after each change
+ * @param {boolean} [props.readOnly=false] - Show the items without editing controls
+ * @returns {JSX.Element} Rendered checklist
+ *
+ * @example
+ * <ChecklistEditor noteId={id} items={note.items} onChange={handleItemsChange} />
+ */
+const ChecklistEditor = memo(({ noteId, items, onChange, readOnly = false }) => {
+  const [newItem, setNewItem] = useState("");
+  const [error, setError] = useState(null);
+  const [dragOrder, setDragOrder] = useState(null); // Item IDs while dragging
+  const [draggedId, setDraggedId] = useState(null);
+
+  /**
+   * Send one item change and hand the updated note to the parent
+   *
+   * @param {Function} request - Makes the API call
+   * @param {string} failure - Toast shown when the change fails
+   * @returns {Promise<boolean>} True if the change was saved
+   */
+  const changeItems = useCallback(async (request, failure) => {
+    try {
+      const res = await request();
+      setError(null);
+      onChange(res.data);
+      return true;
+    } catch (error) {
+      const fieldErrors = getFieldErrors(error);
+      if (fieldErrors.text) {
+        setError(fieldErrors.text);
+      } else {
+        console.log("Error changing the checklist:", error);
+        toast.error(error.response?.status === 409 ? error.response.data.message : failure);
+      }
+      return false;
+    }
+  }, [onChange]);
+
+  const handleAdd = useCallback(async (e) => {
+    e.preventDefault();
+    const text = newItem.trim();
+    if (!text) return;
+
+    if (await changeItems(() => api.post(`/notes/${noteId}/items`, { text }), "Failed to add item")) {
+      setNewItem("");
+    }
+  }, [newItem, noteId, changeItems]);
+
+  const handleUpdate = useCallback((item, fields) => {
+    changeItems(() => api.patch(`/notes/${noteId}/items/${item._id}`, fields), "Failed to update item");
+  }, [noteId, changeItems]);
+
+  const handleRemove = useCallback((item) => {
+    changeItems(() => api.delete(`/notes/${noteId}/items/${item._id}`), "Failed to remove item");
+  }, [noteId, changeItems]);
+
+  // The dragged row moves through the list as it passes over other rows;
+  // the new order is saved when it is dropped
+  const handleDragOver = useCallback((e, overId) => {
+    e.preventDefault();
+    if (!draggedId || overId === draggedId) return;
+
+    setDragOrder((prev) => {
+      const order = prev.filter((id) => id !== draggedId);
+      order.splice(prev.indexOf(overId), 0, draggedId);
+      return order;
+    });
+  }, [draggedId]);
+
+  const handleDragEnd = useCallback(() => {
+    const order = dragOrder;
+    setDraggedId(null);
+    setDragOrder(null);
+
+    if (order && order.some((id, index) => id !== items[index]._id)) {
+      changeItems(() => api.put(`/notes/${noteId}/items/order`, { order }), "Failed to reorder items");
+    }
+  }, [dragOrder, items, noteId, changeItems]);
+
+  const byId = new Map(items.map((item) => [item._id, item]));
+  const shownItems = dragOrder ? dragOrder.map((id) => byId.get(id)).filter(Boolean) : items;
+  const doneCount = items.filter((item) => item.done).length;
+
+  return (
+    <div className="form-control mb-4">
+      <label className="label">
+        <span className="label-text">Checklist</span>
+        {items.length > 0 && (
+          <span className="label-text-alt">{doneCount}/{items.length} done</span>
+        )}
+      </label>
+
+      {items.length === 0 && (
+        <p className="text-sm text-base-content/60 mb-2">No items yet</p>
+      )}
+
+      <ul>
+        {shownItems.map((item) => (
+          <ChecklistItem
+            key={item._id}
+            item={item}
+            readOnly={readOnly}
+            dragging={item._id === draggedId}
+            onUpdate={handleUpdate}
+            onRemove={handleRemove}
+            dragHandlers={{
+              onDragStart: (e) => {
+                e.dataTransfer.effectAllowed = "move";
+                setDraggedId(item._id);
+                setDragOrder(items.map(({ _id }) => _id));
+              },
+              onDragOver: (e) => handleDragOver(e, item._id),
+              onDrop: (e) => e.preventDefault(),
+              onDragEnd: handleDragEnd,
+            }}
+          />
+        ))}
+      </ul>
+
+      {!readOnly && (
+        <form onSubmit={handleAdd} className="flex gap-2 mt-2">
+          <input
+            type="text"
+            placeholder="Add an item"
+            className={`input input-bordered input-sm flex-1 ${error ? "input-error" : ""}`}
+            value={newItem}
+            onChange={(e) => setNewItem(e.target.value)}
+          />
+          <button type="submit" className="btn btn-sm btn-outline" disabled={!newItem.trim()}>
+            <PlusIcon className="size-4" />
+            Add
+          </button>
+        </form>
+      )}
+      <FieldError message={error} />
+    </div>
+  );
+});
+
+ChecklistEditor.displayName = 'ChecklistEditor';
+
+export default ChecklistEditor;
@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Conflict Dialog Component - Resolves a save conflict between two versions of a note
+ * @module components/ConflictDialog
+ */
+
+import { memo, useMemo, useState } from "react";
+import { diffLines } from "../lib/diff";
+
+const DIFF_LINE_STYLES = {
+  same: "",
+  added: "bg-success/20",
+  removed: "bg-error/20 line-through opacity-70",
+};
+
+/**
+ * Conflict Dialog Component
+ * Shown when saving fails because the note changed on the server. Offers:
+ * - Keep mine: overwrite the server copy with the local edits
+ * - Take theirs: discard the local edits
+ * - Merge: edit a combined version next to the server copy, then save it
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.mine - Local version the user tried to save
+ * @param {Object} props.theirs - Current server version
+ * @param {Function} props.onKeepMine - Save the local version over the server one
+ * @param {Function} props.onTakeTheirs - Replace the local version with the server one
+ * @param {Function} props.onMerge - Called with `{ title, content }` of the merged version
+ * @param {Function} props.onCancel - Close without resolving (keeps editing)
+ * @param {boolean} [props.saving] - Disable actions while a save is running
+ * @returns {JSX.Element} Rendered modal dialog
+ */
+const ConflictDialog = memo(({ mine, theirs, onKeepMine, onTakeTheirs, onMerge, onCancel, saving }) => {
+  const [merging, setMerging] = useState(false);
+  const [mergedTitle, setMergedTitle] = useState(mine.title);
+  const [mergedContent, setMergedContent] = useState(mine.content);
+
+  // Lines removed = only in theirs, lines added = only in mine
+  const diff = useMemo(() => diffLines(theirs.content, mine.content), [theirs.content, mine.content]);
+
+  return (
+    <div className="modal modal-open" role="dialog" aria-modal="true">
+      <div className="modal-box max-w-5xl">
+        <h3 className="font-bold text-lg">This note was changed somewhere else</h3>
+        <p className="text-sm text-base-content/70 mt-1">
+          Someone saved a newer version (maybe you, in another tab) while you were editing.
+        </p>
+
+        {!merging && (
+          <>
+            <p className="text-xs text-base-content/60 mt-4 mb-1">
+              <span className="bg-error/20 px-1">Only theirs</span>{" "}
+              <span className="bg-success/20 px-1">Only yours</span>
+            </p>
+            {theirs.title !== mine.title && (
+              <p className="text-sm mb-2">
+                Title: <span className="bg-error/20 px-1 line-through">{theirs.title}</span>{" "}
+                <span className="bg-success/20 px-1">{mine.title}</span>
+              </p>
+            )}
+            <pre className="bg-base-200 rounded-box p-2 text-sm overflow-auto max-h-80">
+              {diff.map((line, index) => (
+                <div key={index} className={`whitespace-pre-wrap px-1 ${DIFF_LINE_STYLES[line.type]}`}>
+                  {line.text || " "}
+                </div>
+              ))}
+            </pre>
+          </>
+        )}
+
+        {merging && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+            <div>
+              <h4 className="font-semibold mb-2">Their version</h4>
+              <input className="input input-bordered input-sm w-full mb-2" value={theirs.title} readOnly />
+              <textarea
+                className="textarea textarea-bordered w-full h-72 font-mono text-sm"
+                value={theirs.content}
+                readOnly
+              />
+            </div>
+            <div>
+              <h4 className="font-semibold mb-2">Merged version</h4>
+              <input
+                className="input input-bordered input-sm w-full mb-2"
+                value={mergedTitle}
+                onChange={(e) => setMergedTitle(e.target.value)}
+              />
+              <textarea
+                className="textarea textarea-bordered w-full h-72 font-mono text-sm"
+                value={mergedContent}
+                onChange={(e) => setMergedContent(e.target.value)}
+              />
+            </div>
+          </div>
+        )}
+
+        <div className="modal-action flex-wrap">
+          <button className="btn btn-ghost" onClick={onCancel} disabled={saving}>
+            Cancel
+          </button>
+          {merging ? (
+            <>
+              <button className="btn btn-outline" onClick={() => setMerging(false)} disabled={saving}>
+                Back
+              </button>
+              <button
+                className="btn btn-primary"
+                onClick={() => onMerge({ title: mergedTitle, content: mergedContent })}
+                disabled={saving || !mergedTitle.trim() || !mergedContent.trim()}
+              >
+                Save Merge
+              </button>
+            </>
+          ) : (
+            <>
+              <button className="btn btn-outline" onClick={onTakeTheirs} disabled={saving}>
+                Take Theirs
+              </button>
+              <button className="btn btn-outline" onClick={() => setMerging(true)} disabled={saving}>
+                Merge Side by Side
+              </button>
+              <button className="btn btn-primary" onClick={onKeepMine} disabled={saving}>
+                Keep Mine
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+});
+
+ConflictDialog.displayName = 'ConflictDialog';
+
+export default ConflictDialog;
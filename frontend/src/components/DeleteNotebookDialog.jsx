@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Delete Notebook Dialog Component - Asks what happens to a notebook's notes
+ * @module components/DeleteNotebookDialog
+ */
+
+import { FolderInputIcon, Trash2Icon } from "lucide-react";
+import { memo } from "react";
+
+/**
+ * Delete Notebook Dialog Component
+ * The notes (and nested notebooks) can move up to the parent notebook, or
+ * everything inside is deleted and the notes go to the trash
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.notebook - Notebook being deleted
+ * @param {string} [props.parentName] - Name of the parent notebook (omit for the top level)
+ * @param {Function} props.onConfirm - Called with "move" or "trash"
+ * @param {Function} props.onCancel - Closes the dialog without deleting
+ * @param {boolean} [props.busy] - Disable actions while the delete is running
+ * @returns {JSX.Element} Rendered modal dialog
+ */
+const DeleteNotebookDialog = memo(({ notebook, parentName, onConfirm, onCancel, busy }) => {
+  return (
+    <div className="modal modal-open" role="dialog" aria-modal="true">
+      <div className="modal-box">
+        <h3 className="font-bold text-lg">Delete &ldquo;{notebook.name}&rdquo;?</h3>
+        <p className="text-sm text-base-content/70 mt-1">
+          What should happen to the notes and notebooks inside it?
+        </p>
+
+        <div className="flex flex-col gap-2 mt-4">
+          <button className="btn btn-outline justify-start" onClick={() => onConfirm("move")} disabled={busy}>
+            <FolderInputIcon className="size-4" />
+            {parentName ? `Move them to “${parentName}”` : "Move them out of the notebook"}
+          </button>
+          <button className="btn btn-error btn-outline justify-start" onClick={() => onConfirm("trash")} disabled={busy}>
+            <Trash2Icon className="size-4" />
+            Move the notes to the trash
+          </button>
+        </div>
+
+        <div className="modal-action">
+          <button className="btn" onClick={onCancel} disabled={busy}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+DeleteNotebookDialog.displayName = 'DeleteNotebookDialog';
+
+export default DeleteNotebookDialog;
@@ -0,0 +1,18 @@
+/**
+ * Inline error shown below a form input
+ *
+ * @param {Object} props - Component props
+ * @param {string} [props.message] - Error message; nothing is rendered without one
+ * @returns {JSX.Element|null} Rendered error
+ */
+const FieldError = ({ message }) => {
+  if (!message) return null;
+
+  return (
+    <div className="label">
+      <span className="label-text-alt text-error" role="alert">{message}</span>
+    </div>
+  );
+};
+
+export default FieldError;
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Highlighted Text Component - Marks search matches inside text
+ * @module components/HighlightedText
+ */
+
+import { memo, useMemo } from "react";
+import { escapeRegExp } from "../lib/utils";
+
+/**
+ * Highlighted Text Component
+ * Wraps every word starting with one of the given terms in a <mark>
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.text - Text to render
+ * @param {string[]} [props.terms] - Terms to highlight (case-insensitive)
+ * @returns {JSX.Element} Text with highlighted matches
+ *
+ * @example
+ * <HighlightedText text="Weekly sync notes" terms={["sync"]} />
+ */
+const HighlightedText = memo(({ text, terms = [] }) => {
+  const parts = useMemo(() => {
+    if (!text || terms.length === 0) return [text];
+
+    // Longest terms first so "project plan" wins over "project"
+    const alternatives = [...terms]
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegExp)
+      .join("|");
+
+    // Capturing group keeps the matches in the split result (odd indexes)
+    return text.split(new RegExp(`\\b((?:${alternatives})\\w*)`, "gi"));
+  }, [text, terms]);
+
+  return (
+    <>
+      {parts.map((part, index) =>
+        index % 2 === 1 ? (
+          <mark key={index} className="bg-primary/30 text-inherit rounded px-0.5">
+            {part}
+          </mark>
+        ) : (
+          part
+        )
+      )}
+    </>
+  );
+});
+
+HighlightedText.displayName = 'HighlightedText';
+
+export default HighlightedText;
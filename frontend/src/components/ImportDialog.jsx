@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Import Dialog Component - Uploads an export file and reports what was imported
+ * @module components/ImportDialog
+ */
+
+import { UploadIcon } from "lucide-react";
+import { memo, useCallback, useState } from "react";
+import toast from "react-hot-toast";
+import api from "../lib/axios";
+
+const STATUS_BADGES = {
+  created: "badge-success",
+  renamed: "badge-info",
+  skipped: "badge-ghost",
+  failed: "badge-error",
+};
+
+/**
+ * Import Dialog Component
+ * Accepts a JSON export, a Markdown zip export or a single .md file, lets the user
+ * choose how notes with an existing title are handled and lists the outcome per note
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Function} [props.onImported] - Called after an import created at least one note
+ * @param {Function} props.onClose - Closes the dialog
+ * @returns {JSX.Element} Rendered modal dialog
+ */
+const ImportDialog = memo(({ onImported, onClose }) => {
+  const [file, setFile] = useState(null);
+  const [duplicates, setDuplicates] = useState("skip");
+  const [importing, setImporting] = useState(false);
+  const [report, setReport] = useState(null);
+
+  const handleSubmit = useCallback(async (e) => {
+    e.preventDefault();
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append("duplicates", duplicates);
+    formData.append("file", file);
+
+    setImporting(true);
+    try {
+      const res = await api.post("/notes/import", formData);
+      setReport(res.data);
+
+      const { created, renamed } = res.data.summary;
+      if (created + renamed > 0) {
+        toast.success(`Imported ${created + renamed} note${created + renamed === 1 ? "" : "s"}`);
+        onImported?.();
+      } else {
+        toast("No notes were imported");
+      }
+    } catch (error) {
+      console.log("Error importing notes", error);
+      toast.error(error.response?.data?.message || "Failed to import notes");
+    } finally {
+      setImporting(false);
+    }
+  }, [file, duplicates, onImported]);
+
+  return (
+    <div className="modal modal-open" role="dialog" aria-modal="true">
+      <div className="modal-box max-w-2xl">
+        <h3 className="font-bold text-lg mb-4">Import notes</h3>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <input
+            type="file"
+            accept=".json,.zip,.md"
+            className="file-input file-input-bordered file-input-sm w-full"
+            onChange={(e) => {
+              setFile(e.target.files[0] || null);
+              setReport(null);
+            }}
+          />
+          <p className="text-sm text-base-content/70">
+            Use a ThinkBoard JSON export, a Markdown .zip export or a single .md file (max 10 MB).
+          </p>
+
+          <div className="form-control">
+            <span className="label-text mb-2">When a note with the same title exists</span>
+            <label className="label cursor-pointer justify-start gap-2">
+              <input
+                type="radio"
+                className="radio radio-sm"
+                checked={duplicates === "skip"}
+                onChange={() => setDuplicates("skip")}
+              />
+              <span className="label-text">Skip it</span>
+            </label>
+            <label className="label cursor-pointer justify-start gap-2">
+              <input
+                type="radio"
+                className="radio radio-sm"
+                checked={duplicates === "rename"}
+                onChange={() => setDuplicates("rename")}
+              />
+              <span className="label-text">Import it under a new title</span>
+            </label>
+          </div>
+
+          <button type="submit" className="btn btn-primary btn-sm" disabled={!file || importing}>
+            <UploadIcon className="size-4" />
+            {importing ? "Importing..." : "Import"}
+          </button>
+        </form>
+
+        {report && (
+          <div className="mt-6">
+            <p className="text-sm mb-2">
+              {report.summary.created} created, {report.summary.renamed} renamed,{" "}
+              {report.summary.skipped} skipped, {report.summary.failed} failed
+            </p>
+            <div className="max-h-64 overflow-y-auto">
+              <table className="table table-xs">
+                <thead>
+                  <tr>
+                    <th>Source</th>
+                    <th>Title</th>
+                    <th>Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.results.map((result) => (
+                    <tr key={result.source}>
+                      <td className="truncate max-w-[10rem]">{result.source}</td>
+                      <td className="truncate max-w-[14rem]">{result.title}</td>
+                      <td>
+                        <span className={`badge badge-sm ${STATUS_BADGES[result.status]}`}>
+                          {result.status}
+                        </span>
+                        {result.message && (
+                          <span className="ml-2 text-base-content/60">{result.message}</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        <div className="modal-action">
+          <button className="btn" onClick={onClose} disabled={importing}>Done</button>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+ImportDialog.displayName = 'ImportDialog';
+
+export default ImportDialog;
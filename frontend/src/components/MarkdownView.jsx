@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Markdown View Component - Renders note content as sanitized Markdown
+ * @module components/MarkdownView
+ */
+
+import { memo, useMemo } from "react";
+import { renderMarkdown } from "../lib/markdown";
+
+/**
+ * Markdown View Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.content - Markdown source
+ * @param {string} [props.className] - Extra classes for the wrapper
+ * @returns {JSX.Element} Rendered Markdown
+ *
+ * @example
+ * <MarkdownView content={"# Title\n\nSome *text*"} />
+ */
+const MarkdownView = memo(({ content, className = "" }) => {
+  // renderMarkdown sanitizes its output, so injecting it is safe
+  const html = useMemo(() => renderMarkdown(content), [content]);
+
+  return (
+    <div
+      className={`prose prose-sm max-w-none break-words ${className}`}
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+});
+
+MarkdownView.displayName = 'MarkdownView';
+
+export default MarkdownView;
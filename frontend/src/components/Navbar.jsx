@@ -1,11 +1,44 @@
 import { Link, useNavigate } from "react-router";
-import { PlusIcon, LogOutIcon } from "lucide-react";
+import { PlusIcon, LogOutIcon, Trash2Icon, ArrowDownUpIcon, ArchiveIcon, UserIcon } from "lucide-react";
 import { useAuth } from "../context/AuthContext";
-import { memo, useCallback } from "react";
+import { memo, useCallback, useState } from "react";
+import toast from "react-hot-toast";
+import api from "../lib/axios";
+import ImportDialog from "./ImportDialog";
+import NotificationBell from "./NotificationBell";
+import SyncIndicator from "./SyncIndicator";
 
-const Navbar = memo(() => {
+/**
+ * Download all notes in the given export format
+ * @param {string} format - "json" or "markdown"
+ */
+const downloadExport = async (format) => {
+  try {
+    const res = await api.get("/notes/export", { params: { format }, responseType: "blob" });
+    const fileName = res.headers["content-disposition"]?.match(/filename="(.+)"/)?.[1]
+      || `thinkboard-notes.${format === "json" ? "json" : "zip"}`;
+
+    const url = URL.createObjectURL(res.data);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.log("Error exporting notes", error);
+    toast.error("Failed to export notes");
+  }
+};
+
+/**
+ * @param {Object} props - Component props
+ * @param {Function} [props.onImported] - Called after notes were imported
+ * @param {string|null} [props.notebookId] - Notebook new notes are filed in by default
+ */
+const Navbar = memo(({ onImported, notebookId }) => {
   const { user, logout } = useAuth();
   const navigate = useNavigate();
+  const [showImport, setShowImport] = useState(false);
 
   const handleLogout = useCallback(() => {
     logout();
@@ -20,11 +53,36 @@ const Navbar = memo(() => {
           <div className="flex items-center gap-4">
             {user && (
               <>
+                <SyncIndicator />
+                <NotificationBell />
                 <span className="text-sm mr-2">Hello, {user.username}</span>
-                <Link to={"/create"} className="btn btn-primary btn-sm">
+                <Link to={notebookId ? `/create?notebook=${notebookId}` : "/create"} className="btn btn-primary btn-sm">
                   <PlusIcon className="size-4" />
                   <span>New Note</span>
                 </Link>
+                <div className="dropdown dropdown-end">
+                  <div tabIndex={0} role="button" className="btn btn-ghost btn-sm">
+                    <ArrowDownUpIcon className="size-4" />
+                    <span>Export / Import</span>
+                  </div>
+                  <ul tabIndex={0} className="dropdown-content menu bg-base-200 rounded-box z-10 w-52 p-2 shadow">
+                    <li><button onClick={() => downloadExport("json")}>Export as JSON</button></li>
+                    <li><button onClick={() => downloadExport("markdown")}>Export as Markdown (.zip)</button></li>
+                    <li><button onClick={() => setShowImport(true)}>Import...</button></li>
+                  </ul>
+                </div>
+                <Link to={"/archive"} className="btn btn-ghost btn-sm">
+                  <ArchiveIcon className="size-4" />
+                  <span>Archive</span>
+                </Link>
+                <Link to={"/trash"} className="btn btn-ghost btn-sm">
+                  <Trash2Icon className="size-4" />
+                  <span>Trash</span>
+                </Link>
+                <Link to={"/account"} className="btn btn-ghost btn-sm">
+                  <UserIcon className="size-4" />
+                  <span>Account</span>
+                </Link>
                 <button onClick={handleLogout} className="btn btn-ghost btn-sm">
                   <LogOutIcon className="size-4" />
                   <span>Logout</span>
@@ -34,6 +92,10 @@ const Navbar = memo(() => {
           </div>
         </div>
       </div>
+
+      {showImport && (
+        <ImportDialog onImported={onImported} onClose={() => setShowImport(false)} />
+      )}
     </header>
   );
 });
@@ -3,12 +3,24 @@
  * @module components/NoteCard
  */
 
-import { PenSquareIcon, Trash2Icon } from "lucide-react";
+import {
+  ArchiveIcon,
+  ArchiveRestoreIcon,
+  BellIcon,
+  PenSquareIcon,
+  PinIcon,
+  PinOffIcon,
+  Trash2Icon,
+  UsersIcon
+} from "lucide-react";
 import { Link } from "react-router";
-import { formatDate } from "../lib/utils";
+import { formatDate, formatDateTime } from "../lib/utils";
 import api from "../lib/axios";
+import { isQueued } from "../lib/offline";
 import toast from "react-hot-toast";
-import { memo, useCallback } from "react";
+import { memo, useCallback, useMemo } from "react";
+import HighlightedText from "./HighlightedText";
+import { markdownToPlainText } from "../lib/markdown";
 
 /**
  * Note Card Component
@@ -20,8 +32,20 @@ import { memo, useCallback } from "react";
  * @param {string} props.note._id - Unique note identifier
  * @param {string} props.note.title - Note title
  * @param {string} props.note.content - Note content
+ * @param {string} [props.note.format] - "markdown", "checklist" or "plain" (default)
+ * @param {Object[]} [props.note.items] - Checklist items ({ text, done })
+ * @param {string[]} [props.note.tags] - Note tags
+ * @param {boolean} [props.note.pinned] - Note is pinned to the top of the list
+ * @param {boolean} [props.note.archived] - Note is archived
+ * @param {string|null} [props.note.remindAt] - Next reminder time
  * @param {string} props.note.createdAt - Note creation timestamp
  * @param {Function} props.setNotes - State setter function to update notes list
+ * @param {Function} [props.onPinnedChange] - Called after pinning or unpinning, e.g. to reload the sorted list
+ * @param {string[]} [props.highlightTerms] - Search terms to highlight in title and content
+ * @param {boolean} [props.shared] - Note is shared with (not owned by) the user; hides owner actions
+ * @param {boolean} [props.selectable] - Clicking selects the note instead of opening it; hides actions
+ * @param {boolean} [props.selected] - Note is selected
+ * @param {Function} [props.onSelect] - Called with the note ID and whether Shift was held
  * @returns {JSX.Element} Rendered note card
  * 
  * @example
@@ -30,10 +54,30 @@ import { memo, useCallback } from "react";
  *   setNotes={setNotes} 
  * />
  */
-const NoteCard = memo(({ note, setNotes }) => {
+const NoteCard = memo(({
+  note,
+  setNotes,
+  onPinnedChange,
+  highlightTerms,
+  shared = false,
+  selectable = false,
+  selected = false,
+  onSelect,
+}) => {
+  // Markdown syntax is noise in a three-line preview, so show the text only
+  const excerpt = useMemo(
+    () => (note.format === "markdown" ? markdownToPlainText(note.content) : note.content),
+    [note.format, note.content]
+  );
+
+  const isChecklist = note.format === "checklist";
+  const itemCount = note.items?.length ?? 0;
+  const doneCount = note.items?.filter((item) => item.done).length ?? 0;
+
   /**
    * Handle note deletion
-   * Prompts user for confirmation, then deletes note from backend and updates local state
+   * Moves the note to the trash (it can be restored from the Trash page)
+   * and removes it from local state
    * 
    * @param {Event} e - Click event
    * @param {string} id - Note ID to delete
@@ -42,59 +86,192 @@ const NoteCard = memo(({ note, setNotes }) => {
     // Prevent navigation when clicking delete button
     e.preventDefault();
 
-    // Confirm deletion with user
-    if (!window.confirm("Are you sure you want to delete this note?")) {
-      return;
-    }
-
     try {
-      // Delete from backend
-      await api.delete(`/notes/${id}`);
+      // Move to trash on the backend
+      const res = await api.delete(`/notes/${id}`);
 
       // Update local state by filtering out deleted note
       setNotes((prevNotes) => prevNotes.filter((note) => note._id !== id));
 
       // Show success notification
-      toast.success("Note deleted successfully");
+      toast.success(isQueued(res)
+        ? "Note will move to trash when you're back online"
+        : "Note moved to trash");
     } catch (error) {
       console.error("Error deleting note:", error);
       toast.error("Failed to delete note");
     }
   }, [setNotes]);
 
+  /**
+   * Pin or unpin the note
+   * The flag is updated in place; the parent decides whether to re-sort
+   *
+   * @param {Event} e - Click event
+   */
+  const handleTogglePin = useCallback(async (e) => {
+    e.preventDefault();
+
+    try {
+      const res = await (note.pinned
+        ? api.delete(`/notes/${note._id}/pin`)
+        : api.post(`/notes/${note._id}/pin`));
+
+      setNotes((prevNotes) => prevNotes.map((n) => (
+        n._id === note._id ? { ...n, pinned: res.data.pinned } : n
+      )));
+      onPinnedChange?.();
+    } catch (error) {
+      console.error("Error pinning note:", error);
+      toast.error(note.pinned ? "Failed to unpin note" : "Failed to pin note");
+    }
+  }, [note._id, note.pinned, setNotes, onPinnedChange]);
+
+  /**
+   * Archive or unarchive the note
+   * Either way the note leaves the current list (main list or Archive view)
+   *
+   * @param {Event} e - Click event
+   */
+  const handleToggleArchive = useCallback(async (e) => {
+    e.preventDefault();
+
+    try {
+      await (note.archived
+        ? api.delete(`/notes/${note._id}/archive`)
+        : api.post(`/notes/${note._id}/archive`));
+
+      setNotes((prevNotes) => prevNotes.filter((n) => n._id !== note._id));
+      toast.success(note.archived ? "Note moved back to your notes" : "Note archived");
+    } catch (error) {
+      console.error("Error archiving note:", error);
+      toast.error(note.archived ? "Failed to unarchive note" : "Failed to archive note");
+    }
+  }, [note._id, note.archived, setNotes]);
+
+  // In selection mode a click (or Shift+click for a range) selects the note
+  const handleClick = useCallback((e) => {
+    if (!selectable) return;
+    e.preventDefault();
+    onSelect(note._id, e.shiftKey);
+  }, [selectable, onSelect, note._id]);
+
   return (
     <Link
       to={`/note/${note._id}`}
-      className="card bg-base-100 hover:shadow-lg transition-all duration-200 
-      border-t-4 border-solid border-[#00FF9D]"
+      onClick={handleClick}
+      aria-pressed={selectable ? selected : undefined}
+      className={`card bg-base-100 hover:shadow-lg transition-all duration-200 
+      border-t-4 border-solid border-[#00FF9D] ${selectable ? "select-none" : ""} ${selected ? "ring-2 ring-primary" : ""}`}
     >
       <div className="card-body">
         {/* Note Title */}
-        <h3 className="card-title text-base-content">{note.title}</h3>
+        <h3 className="card-title text-base-content">
+          {selectable && (
+            <input
+              type="checkbox"
+              className="checkbox checkbox-sm checkbox-primary pointer-events-none"
+              checked={selected}
+              readOnly
+              tabIndex={-1}
+              aria-hidden="true"
+            />
+          )}
+          {note.pinned && <PinIcon className="size-4 shrink-0 text-primary" aria-label="Pinned" />}
+          <HighlightedText text={note.title} terms={highlightTerms} />
+        </h3>
 
-        {/* Note Content Preview - Limited to 3 lines */}
-        <p className="text-base-content/70 line-clamp-3">{note.content}</p>
+        {/* Note Content Preview - Limited to 3 lines; checklists show their first items */}
+        {isChecklist ? (
+          <ul className="text-base-content/70 text-sm">
+            {note.items?.slice(0, 3).map((item) => (
+              <li key={item._id} className={`truncate ${item.done ? "line-through" : ""}`}>
+                {item.done ? "☑" : "☐"} <HighlightedText text={item.text} terms={highlightTerms} />
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-base-content/70 line-clamp-3">
+            <HighlightedText text={excerpt} terms={highlightTerms} />
+          </p>
+        )}
+
+        {/* Checklist Progress */}
+        {isChecklist && itemCount > 0 && (
+          <div className="flex items-center gap-2 mt-2">
+            <progress className="progress progress-primary flex-1" value={doneCount} max={itemCount} />
+            <span className="text-xs text-base-content/60 whitespace-nowrap">{doneCount}/{itemCount} done</span>
+          </div>
+        )}
+
+        {/* Tags */}
+        {note.tags?.length > 0 && (
+          <div className="flex flex-wrap gap-1 mt-2">
+            {note.tags.map((tag) => (
+              <span key={tag} className="badge badge-sm badge-outline">{tag}</span>
+            ))}
+          </div>
+        )}
+
+        {/* Next Reminder */}
+        {note.remindAt && (
+          <span className="text-sm text-primary flex items-center gap-1 mt-2">
+            <BellIcon className="size-3" />
+            {formatDateTime(new Date(note.remindAt))}
+            {note.remindRepeat && note.remindRepeat !== "none" && ` · ${note.remindRepeat}`}
+          </span>
+        )}
 
         {/* Card Footer - Date and Actions */}
         <div className="card-actions justify-between items-center mt-4">
-          {/* Creation Date */}
-          <span className="text-sm text-base-content/60">
+          {/* Creation Date, or owner for shared notes */}
+          <span className="text-sm text-base-content/60 flex items-center gap-1">
+            {shared && (
+              <>
+                <UsersIcon className="size-3" />
+                {note.owner?.username} &middot;{" "}
+              </>
+            )}
             {formatDate(new Date(note.createdAt))}
           </span>
 
           {/* Action Buttons */}
-          <div className="flex items-center gap-1">
+          <div className={`flex items-center gap-1 ${selectable ? "invisible" : ""}`}>
             {/* Edit Icon (visual only, navigation handled by Link) */}
             <PenSquareIcon className="size-4" />
 
-            {/* Delete Button */}
-            <button
-              className="btn btn-ghost btn-xs text-error"
-              onClick={(e) => handleDelete(e, note._id)}
-              aria-label="Delete note"
-            >
-              <Trash2Icon className="size-4" />
-            </button>
+            {/* Pin Button - archived notes are unpinned */}
+            {!shared && !note.archived && (
+              <button
+                className={`btn btn-ghost btn-xs ${note.pinned ? "text-primary" : ""}`}
+                onClick={handleTogglePin}
+                aria-label={note.pinned ? "Unpin note" : "Pin note"}
+              >
+                {note.pinned ? <PinOffIcon className="size-4" /> : <PinIcon className="size-4" />}
+              </button>
+            )}
+
+            {/* Archive Button */}
+            {!shared && (
+              <button
+                className="btn btn-ghost btn-xs"
+                onClick={handleToggleArchive}
+                aria-label={note.archived ? "Unarchive note" : "Archive note"}
+              >
+                {note.archived ? <ArchiveRestoreIcon className="size-4" /> : <ArchiveIcon className="size-4" />}
+              </button>
+            )}
+
+            {/* Delete Button - only owners can delete */}
+            {!shared && (
+              <button
+                className="btn btn-ghost btn-xs text-error"
+                onClick={(e) => handleDelete(e, note._id)}
+                aria-label="Move note to trash"
+              >
+                <Trash2Icon className="size-4" />
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Note Content Editor Component - Textarea with optional Markdown preview
+ * @module components/NoteContentEditor
+ */
+
+import { memo, useState } from "react";
+import FieldError from "./FieldError";
+import MarkdownView from "./MarkdownView";
+
+const MODES = [
+  { value: "write", label: "Write" },
+  { value: "split", label: "Split" },
+  { value: "preview", label: "Preview" },
+];
+
+/**
+ * Note Content Editor Component
+ * Plain notes get a simple textarea. Markdown notes get Write / Split / Preview
+ * tabs, where Split shows the editor next to a live preview. A new checklist
+ * is written as text, one item per line.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.content - Current content
+ * @param {string} props.format - "plain", "markdown" or "checklist"
+ * @param {Function} props.onContentChange - Change handler for the textarea
+ * @param {Function} props.onFormatChange - Called with the new format
+ * @param {string} [props.initialMode="write"] - Initial Markdown mode
+ * @param {boolean} [props.readOnly=false] - Show the content without editing controls
+ * @param {string} [props.error] - Validation error shown below the editor
+ * @returns {JSX.Element} Rendered editor
+ */
+const NoteContentEditor = memo(({
+  content,
+  format,
+  onContentChange,
+  onFormatChange,
+  initialMode = "write",
+  readOnly = false,
+  error,
+}) => {
+  const [mode, setMode] = useState(initialMode);
+  const isMarkdown = format === "markdown";
+  const isChecklist = format === "checklist";
+
+  const textarea = (
+    <textarea
+      placeholder={isMarkdown
+        ? "Write your note here... (Markdown supported)"
+        : isChecklist ? "One item per line" : "Write your note here..."}
+      className={`textarea textarea-bordered w-full ${isMarkdown ? "h-64 font-mono text-sm" : "h-32"} ${error ? "textarea-error" : ""}`}
+      value={content}
+      onChange={onContentChange}
+      readOnly={readOnly}
+    />
+  );
+
+  if (readOnly) {
+    return (
+      <div className="form-control mb-4">
+        <div className="label">
+          <span className="label-text">Content</span>
+        </div>
+        {isMarkdown
+          ? <MarkdownView content={content} className="border border-base-content/20 rounded-btn p-3 min-h-32" />
+          : textarea}
+      </div>
+    );
+  }
+
+  return (
+    <div className="form-control mb-4">
+      <div className="label">
+        <span className="label-text">Content</span>
+        <div className="flex items-center gap-3">
+          {isMarkdown && (
+            <div role="tablist" className="tabs tabs-boxed tabs-xs">
+              {MODES.map(({ value, label }) => (
+                <button
+                  key={value}
+                  type="button"
+                  role="tab"
+                  className={`tab ${mode === value ? "tab-active" : ""}`}
+                  onClick={() => setMode(value)}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+          {!isChecklist && (
+            <label className="label cursor-pointer gap-2 p-0">
+              <span className="label-text-alt">Markdown</span>
+              <input
+                type="checkbox"
+                className="toggle toggle-primary toggle-xs"
+                checked={isMarkdown}
+                onChange={(e) => onFormatChange(e.target.checked ? "markdown" : "plain")}
+              />
+            </label>
+          )}
+        </div>
+      </div>
+
+      {!isMarkdown && textarea}
+
+      {isMarkdown && mode === "write" && textarea}
+
+      {isMarkdown && mode === "split" && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {textarea}
+          <MarkdownView content={content} className="border border-base-content/20 rounded-btn p-3 h-64 overflow-y-auto" />
+        </div>
+      )}
+
+      {isMarkdown && mode === "preview" && (
+        <MarkdownView content={content} className="border border-base-content/20 rounded-btn p-3 min-h-32" />
+      )}
+
+      <FieldError message={error} />
+    </div>
+  );
+});
+
+NoteContentEditor.displayName = 'NoteContentEditor';
+
+export default NoteContentEditor;
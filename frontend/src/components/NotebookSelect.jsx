@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Notebook Select Component - Picks the notebook a note is filed in
+ * @module components/NotebookSelect
+ */
+
+import { memo, useMemo } from "react";
+import { flattenNotebookTree } from "../lib/notebooks";
+
+/**
+ * Notebook Select Component
+ * Nested notebooks are indented below their parent (with non-breaking
+ * spaces, as browsers drop leading whitespace in options)
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.notebooks - Flat notebook list from GET /notebooks
+ * @param {string|null} props.value - Selected notebook ID (null for no notebook)
+ * @param {Function} props.onChange - Called with the new notebook ID or null
+ * @param {boolean} [props.disabled] - Disable the select
+ * @returns {JSX.Element} Rendered select
+ */
+const NotebookSelect = memo(({ notebooks, value, onChange, disabled }) => {
+  const options = useMemo(() => flattenNotebookTree(notebooks), [notebooks]);
+
+  return (
+    <select
+      className="select select-bordered"
+      value={value || ""}
+      onChange={(e) => onChange(e.target.value || null)}
+      disabled={disabled}
+    >
+      <option value="">No notebook</option>
+      {options.map(({ notebook, depth }) => (
+        <option key={notebook._id} value={notebook._id}>
+          {"\u00A0\u00A0".repeat(depth)}{notebook.name}
+        </option>
+      ))}
+    </select>
+  );
+});
+
+NotebookSelect.displayName = 'NotebookSelect';
+
+export default NotebookSelect;
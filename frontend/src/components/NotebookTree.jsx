@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Notebook Tree Component - Lists notebooks as a tree and scopes the notes grid
+ * @module components/NotebookTree
+ */
+
+import { FolderIcon, FolderOpenIcon, FolderPlusIcon, LibraryIcon, PencilIcon, Trash2Icon } from "lucide-react";
+import { memo, useCallback, useMemo, useState } from "react";
+import toast from "react-hot-toast";
+import api from "../lib/axios";
+import { flattenNotebookTree } from "../lib/notebooks";
+import DeleteNotebookDialog from "./DeleteNotebookDialog";
+
+/**
+ * Notebook Tree Component
+ * Selecting a notebook shows only the notes filed directly in it; "All notes"
+ * clears the selection. The selected notebook can be renamed, deleted or get
+ * a notebook of its own.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.notebooks - Flat notebook list from GET /notebooks
+ * @param {string|null} props.selected - Selected notebook ID (null for all notes)
+ * @param {Function} props.onSelect - Called with a notebook ID or null
+ * @param {Function} props.onChange - Called after a notebook was created or renamed
+ * @param {Function} props.onDeleted - Called after a notebook was deleted, since notes moved or were trashed
+ * @returns {JSX.Element} Rendered sidebar section
+ */
+const NotebookTree = memo(({ notebooks, selected, onSelect, onChange, onDeleted }) => {
+  const [deleting, setDeleting] = useState(null); // Notebook awaiting the delete choice
+  const [busy, setBusy] = useState(false);
+
+  const rows = useMemo(() => flattenNotebookTree(notebooks), [notebooks]);
+  const selectedNotebook = notebooks.find((notebook) => notebook._id === selected);
+
+  /**
+   * Ask for a name and create a notebook
+   *
+   * @param {string|null} parent - Parent notebook ID, or null for the top level
+   */
+  const handleCreate = useCallback(async (parent) => {
+    const name = window.prompt("Notebook name")?.trim();
+    if (!name) return;
+
+    try {
+      const res = await api.post("/notebooks", { name, parent });
+      onChange();
+      onSelect(res.data._id);
+    } catch (error) {
+      console.log("Error creating notebook", error);
+      toast.error(error.response?.data?.message || "Failed to create notebook");
+    }
+  }, [onChange, onSelect]);
+
+  const handleRename = useCallback(async () => {
+    const name = window.prompt("Rename notebook", selectedNotebook.name)?.trim();
+    if (!name || name === selectedNotebook.name) return;
+
+    try {
+      await api.patch(`/notebooks/${selectedNotebook._id}`, { name });
+      onChange();
+    } catch (error) {
+      console.log("Error renaming notebook", error);
+      toast.error(error.response?.data?.message || "Failed to rename notebook");
+    }
+  }, [selectedNotebook, onChange]);
+
+  const handleDelete = useCallback(async (notes) => {
+    setBusy(true);
+    try {
+      const res = await api.delete(`/notebooks/${deleting._id}`, { params: { notes } });
+      toast.success(notes === "trash"
+        ? `Notebook deleted, ${res.data.trashed} notes moved to trash`
+        : "Notebook deleted");
+      setDeleting(null);
+      onSelect(notes === "move" ? deleting.parent : null);
+      onDeleted();
+    } catch (error) {
+      console.log("Error deleting notebook", error);
+      toast.error(error.response?.data?.message || "Failed to delete notebook");
+    } finally {
+      setBusy(false);
+    }
+  }, [deleting, onSelect, onDeleted]);
+
+  return (
+    <section className="mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="font-semibold flex items-center gap-2">
+          <LibraryIcon className="size-4" />
+          Notebooks
+        </h2>
+        <button className="btn btn-ghost btn-xs" onClick={() => handleCreate(null)} aria-label="New notebook">
+          <FolderPlusIcon className="size-4" />
+        </button>
+      </div>
+
+      <ul className="menu menu-sm bg-base-100 rounded-box p-2">
+        <li>
+          <button className={selected ? "" : "active"} onClick={() => onSelect(null)} aria-pressed={!selected}>
+            All notes
+          </button>
+        </li>
+        {rows.map(({ notebook, depth }) => {
+          const isSelected = notebook._id === selected;
+          const Icon = isSelected ? FolderOpenIcon : FolderIcon;
+
+          return (
+            <li key={notebook._id}>
+              <button
+                className={isSelected ? "active" : ""}
+                style={{ paddingLeft: `${0.75 + depth}rem` }}
+                onClick={() => onSelect(notebook._id)}
+                aria-pressed={isSelected}
+              >
+                <Icon className="size-4 shrink-0" />
+                <span className="truncate">{notebook.name}</span>
+                <span className="badge badge-sm badge-ghost ml-auto">{notebook.noteCount}</span>
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+
+      {/* Actions on the selected notebook */}
+      {selectedNotebook && (
+        <div className="flex gap-1 mt-2">
+          <button className="btn btn-ghost btn-xs" onClick={() => handleCreate(selectedNotebook._id)}>
+            <FolderPlusIcon className="size-3" />
+            New inside
+          </button>
+          <button className="btn btn-ghost btn-xs" onClick={handleRename}>
+            <PencilIcon className="size-3" />
+            Rename
+          </button>
+          <button className="btn btn-ghost btn-xs text-error" onClick={() => setDeleting(selectedNotebook)}>
+            <Trash2Icon className="size-3" />
+            Delete
+          </button>
+        </div>
+      )}
+
+      {deleting && (
+        <DeleteNotebookDialog
+          notebook={deleting}
+          parentName={notebooks.find((notebook) => notebook._id === deleting.parent)?.name}
+          onConfirm={handleDelete}
+          onCancel={() => setDeleting(null)}
+          busy={busy}
+        />
+      )}
+    </section>
+  );
+});
+
+NotebookTree.displayName = 'NotebookTree';
+
+export default NotebookTree;
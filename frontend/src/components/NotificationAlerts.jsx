@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Notification Alerts Component - Announces reminders as they go off, on any page
+ * @module components/NotificationAlerts
+ */
+
+import { memo, useEffect } from "react";
+import toast from "react-hot-toast";
+import { NOTIFICATION_EVENT, subscribeToEvents } from "../lib/eventStream";
+
+/**
+ * Notification Alerts Component
+ * Renders nothing. While the tab is visible a reminder is shown as a toast;
+ * otherwise as a browser notification, if the user allowed them. Browser
+ * notifications share a tag per reminder, so several open tabs show it once.
+ *
+ * @component
+ * @returns {null}
+ */
+const NotificationAlerts = memo(() => {
+  useEffect(() => subscribeToEvents((event) => {
+    if (event.type !== NOTIFICATION_EVENT) return;
+    const { notification } = event;
+
+    if (document.visibilityState === "visible") {
+      toast(`Reminder: ${notification.title}`, { icon: "🔔", duration: 6000 });
+    } else if (typeof Notification !== "undefined" && Notification.permission === "granted") {
+      const browserNotification = new Notification("Reminder", {
+        body: notification.title,
+        tag: notification._id,
+      });
+      browserNotification.onclick = () => {
+        window.focus();
+        window.location.assign(`/note/${notification.note}`);
+      };
+    }
+  }), []);
+
+  return null;
+});
+
+NotificationAlerts.displayName = 'NotificationAlerts';
+
+export default NotificationAlerts;
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Notification Bell Component - Lists reminders that went off, with an unread badge
+ * @module components/NotificationBell
+ */
+
+import { BellIcon } from "lucide-react";
+import { memo, useCallback, useState } from "react";
+import { useNavigate } from "react-router";
+import { useNotifications } from "../hooks/useNotifications";
+import { formatDateTime } from "../lib/utils";
+
+const canNotify = () => typeof Notification !== "undefined";
+
+/**
+ * Notification Bell Component
+ * Opening a notification marks it as read and opens its note. Also offers to
+ * turn on browser notifications (see NotificationAlerts).
+ *
+ * @component
+ * @returns {JSX.Element} Rendered bell with dropdown
+ */
+const NotificationBell = memo(() => {
+  const { notifications, unreadCount, markRead, markAllRead } = useNotifications();
+  const [permission, setPermission] = useState(() => (canNotify() ? Notification.permission : "denied"));
+  const navigate = useNavigate();
+
+  const handleOpen = useCallback((notification) => {
+    markRead(notification);
+    navigate(`/note/${notification.note}`);
+  }, [markRead, navigate]);
+
+  const handleEnableBrowserNotifications = useCallback(async () => {
+    setPermission(await Notification.requestPermission());
+  }, []);
+
+  return (
+    <div className="dropdown dropdown-end">
+      <div tabIndex={0} role="button" className="btn btn-ghost btn-sm indicator" aria-label="Notifications">
+        {unreadCount > 0 && (
+          <span className="indicator-item badge badge-primary badge-xs">{unreadCount}</span>
+        )}
+        <BellIcon className="size-4" />
+      </div>
+      <div tabIndex={0} className="dropdown-content bg-base-200 rounded-box z-10 w-80 p-2 shadow">
+        <div className="flex items-center justify-between px-2 py-1">
+          <span className="font-semibold">Notifications</span>
+          {unreadCount > 0 && (
+            <button className="btn btn-ghost btn-xs" onClick={markAllRead}>Mark all as read</button>
+          )}
+        </div>
+
+        {permission === "default" && (
+          <button className="btn btn-ghost btn-xs w-full justify-start" onClick={handleEnableBrowserNotifications}>
+            Show reminders as browser notifications
+          </button>
+        )}
+
+        {notifications.length === 0 ? (
+          <p className="px-2 py-4 text-sm text-base-content/70">No notifications yet</p>
+        ) : (
+          <ul className="menu max-h-96 overflow-y-auto flex-nowrap">
+            {notifications.map((notification) => (
+              <li key={notification._id}>
+                <button
+                  className={`flex flex-col items-start gap-0 ${notification.readAt ? "opacity-70" : "font-semibold"}`}
+                  onClick={() => handleOpen(notification)}
+                >
+                  <span>{notification.title}</span>
+                  <span className="text-xs font-normal text-base-content/70">
+                    Reminder &middot; {formatDateTime(new Date(notification.dueAt))}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+});
+
+NotificationBell.displayName = 'NotificationBell';
+
+export default NotificationBell;
@@ -1,6 +1,41 @@
 import { ZapIcon } from "lucide-react";
+import { useEffect, useState } from "react";
+
+/**
+ * Seconds left until the given time, never negative
+ * @param {number} time - Milliseconds since epoch
+ * @returns {number} Whole seconds remaining
+ */
+const secondsUntil = (time) => Math.max(0, Math.ceil((time - Date.now()) / 1000));
+
+/**
+ * @param {Object} props - Component props
+ * @param {number|null} [props.retryAt] - Time (ms since epoch) when requests are allowed again
+ * @param {Function} [props.onRetry] - Called once the countdown reaches zero
+ */
+const RateLimitedUI = ({ retryAt, onRetry }) => {
+  const [secondsLeft, setSecondsLeft] = useState(() => (retryAt ? secondsUntil(retryAt) : null));
+
+  // Restart the countdown whenever a new 429 arrives
+  useEffect(() => {
+    if (!retryAt) {
+      setSecondsLeft(null);
+      return;
+    }
+
+    setSecondsLeft(secondsUntil(retryAt));
+    const timer = setInterval(() => {
+      const left = secondsUntil(retryAt);
+      setSecondsLeft(left);
+      if (left === 0) {
+        clearInterval(timer);
+        onRetry?.();
+      }
+    }, 1000);
+
+    return () => clearInterval(timer);
+  }, [retryAt, onRetry]);
 
-const RateLimitedUI = () => {
   return (
     <div className="max-w-6xl mx-auto px-4 py-8">
       <div className="bg-primary/10 border border-primary/30 rounded-lg shadow-md">
@@ -14,7 +49,11 @@ const RateLimitedUI = () => {
               You've made too many requests in a short period. Please wait a moment.
             </p>
             <p className="text-sm text-base-content/70">
-              Try again in a few seconds for the best experience.
+              {secondsLeft == null
+                ? "Try again in a few seconds for the best experience."
+                : secondsLeft > 0
+                  ? `Retrying in ${secondsLeft} second${secondsLeft === 1 ? "" : "s"}...`
+                  : "Retrying..."}
             </p>
           </div>
         </div>
@@ -23,4 +62,4 @@ const RateLimitedUI = () => {
   );
 };
 
-export default RateLimitedUI;
\ No newline at end of file
+export default RateLimitedUI;
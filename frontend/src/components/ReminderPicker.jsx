@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Reminder Picker Component - Sets, repeats or clears a note's reminder
+ * @module components/ReminderPicker
+ */
+
+import { BellOffIcon } from "lucide-react";
+import { memo, useCallback, useState } from "react";
+import toast from "react-hot-toast";
+import api from "../lib/axios";
+import { getFieldErrors } from "../lib/utils";
+import FieldError from "./FieldError";
+
+const REPEAT_OPTIONS = [
+  { value: "none", label: "Once" },
+  { value: "daily", label: "Every day" },
+  { value: "weekly", label: "Every week" },
+];
+
+/**
+ * Value for a datetime-local input, which has no time zone
+ * @param {string|null} date - ISO date
+ * @returns {string} Local "YYYY-MM-DDTHH:mm", or "" when there is no date
+ */
+const toLocalInputValue = (date) => {
+  if (!date) return "";
+  const value = new Date(date);
+  return new Date(value.getTime() - value.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+/**
+ * Reminder Picker Component
+ * Changes are saved right away, like moving the note to another notebook
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.noteId - Note ID
+ * @param {string|null} props.remindAt - Current reminder time (ISO date)
+ * @param {string} [props.remindRepeat] - "none", "daily" or "weekly"
+ * @param {Function} props.onChange - Called with the updated note
+ * @returns {JSX.Element} Rendered picker
+ */
+const ReminderPicker = memo(({ noteId, remindAt, remindRepeat = "none", onChange }) => {
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const saveReminder = useCallback(async (at, repeat) => {
+    setSaving(true);
+
+    try {
+      const res = await api.put(`/notes/${noteId}/reminder`, { remindAt: at, repeat });
+      setError(null);
+      onChange(res.data);
+    } catch (error) {
+      const fieldErrors = getFieldErrors(error);
+      if (fieldErrors.remindAt || fieldErrors.repeat) {
+        setError(fieldErrors.remindAt || fieldErrors.repeat);
+      } else {
+        console.log("Error saving the reminder:", error);
+        toast.error("Failed to save reminder");
+      }
+    } finally {
+      setSaving(false);
+    }
+  }, [noteId, onChange]);
+
+  // datetime-local values are read as local time
+  const handleTimeChange = useCallback((e) => {
+    if (e.target.value) {
+      saveReminder(new Date(e.target.value).toISOString(), remindRepeat);
+    }
+  }, [saveReminder, remindRepeat]);
+
+  const handleRepeatChange = useCallback((e) => {
+    saveReminder(remindAt, e.target.value);
+  }, [saveReminder, remindAt]);
+
+  const handleClear = useCallback(() => saveReminder(null), [saveReminder]);
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="datetime-local"
+          className={`input input-bordered ${error ? "input-error" : ""}`}
+          value={toLocalInputValue(remindAt)}
+          onChange={handleTimeChange}
+          disabled={saving}
+          aria-label="Reminder time"
+        />
+        {remindAt && (
+          <>
+            <select
+              className="select select-bordered"
+              value={remindRepeat}
+              onChange={handleRepeatChange}
+              disabled={saving}
+              aria-label="Repeat reminder"
+            >
+              {REPEAT_OPTIONS.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <button type="button" className="btn btn-ghost btn-sm" onClick={handleClear} disabled={saving}>
+              <BellOffIcon className="size-4" />
+              Clear
+            </button>
+          </>
+        )}
+      </div>
+      <FieldError message={error} />
+    </div>
+  );
+});
+
+ReminderPicker.displayName = 'ReminderPicker';
+
+export default ReminderPicker;
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Revision History Component - Lists previous versions of a note with a diff view
+ * @module components/RevisionHistory
+ */
+
+import { HistoryIcon, RotateCcwIcon } from "lucide-react";
+import { memo, useCallback, useEffect, useMemo, useState } from "react";
+import toast from "react-hot-toast";
+import api from "../lib/axios";
+import { diffLines } from "../lib/diff";
+import { formatDate } from "../lib/utils";
+
+const DIFF_LINE_STYLES = {
+  same: "text-base-content/70",
+  added: "bg-success/20 text-success",
+  removed: "bg-error/20 text-error",
+};
+
+const DIFF_LINE_PREFIX = { same: " ", added: "+", removed: "-" };
+
+/**
+ * Revision History Component
+ * Loads the note's revisions and shows a line diff between the selected
+ * revision and the current content, with an option to restore it
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.noteId - Note ID
+ * @param {string} props.currentContent - Content to compare revisions against
+ * @param {string} [props.updatedAt] - Last save time of the note; history reloads when it changes
+ * @param {number} props.version - Version (__v) of the note the restore replaces
+ * @param {Function} props.onRestored - Called with the restored note
+ * @param {boolean} [props.canRestore=true] - Whether the user may restore revisions
+ * @returns {JSX.Element} Rendered history panel
+ */
+const RevisionHistory = memo(({ noteId, currentContent, updatedAt, version, onRestored, canRestore = true }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [selectedRev, setSelectedRev] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [restoring, setRestoring] = useState(false);
+
+  useEffect(() => {
+    const fetchRevisions = async () => {
+      try {
+        const res = await api.get(`/notes/${noteId}/revisions`);
+        setRevisions(res.data);
+        setSelectedRev((prev) => prev ?? res.data[0]?.rev ?? null);
+      } catch (error) {
+        console.log("Error fetching revisions", error);
+        toast.error("Failed to load history");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchRevisions();
+  }, [noteId, updatedAt]);
+
+  const selected = revisions.find((revision) => revision.rev === selectedRev);
+
+  const diff = useMemo(
+    () => (selected ? diffLines(selected.content, currentContent) : []),
+    [selected, currentContent]
+  );
+
+  const handleRestore = useCallback(async () => {
+    if (!selected) return;
+    if (!window.confirm(`Restore revision ${selected.rev}? The current version will be kept in history.`)) {
+      return;
+    }
+
+    setRestoring(true);
+    try {
+      const res = await api.post(`/notes/${noteId}/revisions/${selected.rev}/restore`, null, {
+        headers: { "If-Match": `"${version}"` },
+      });
+      toast.success(`Restored revision ${selected.rev}`);
+      setSelectedRev(null);
+      onRestored(res.data);
+    } catch (error) {
+      console.log("Error restoring revision", error);
+      toast.error(error.response?.status === 409
+        ? "The note was changed meanwhile, reload it before restoring"
+        : "Failed to restore revision");
+    } finally {
+      setRestoring(false);
+    }
+  }, [noteId, selected, version, onRestored]);
+
+  if (loading) {
+    return <div className="text-center py-6"><span className="loading loading-spinner" /></div>;
+  }
+
+  if (revisions.length === 0) {
+    return (
+      <p className="text-base-content/70 text-sm py-4">
+        No previous versions yet. A revision is saved every time you change this note.
+      </p>
+    );
+  }
+
+  return (
+    <div className="flex flex-col md:flex-row gap-4">
+      {/* Revision List */}
+      <ul className="menu menu-sm bg-base-200 rounded-box md:w-48 shrink-0 max-h-80 overflow-y-auto flex-nowrap">
+        {revisions.map((revision) => (
+          <li key={revision.rev}>
+            <button
+              className={revision.rev === selectedRev ? "active" : ""}
+              onClick={() => setSelectedRev(revision.rev)}
+            >
+              <HistoryIcon className="size-3" />
+              <span>
+                Rev {revision.rev}
+                <span className="block text-xs opacity-70">
+                  {formatDate(new Date(revision.createdAt))}{" "}
+                  {new Date(revision.createdAt).toLocaleTimeString("en-US", { hour: "numeric", minute: "2-digit" })}
+                </span>
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {/* Diff View */}
+      {selected && (
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center justify-between mb-2 gap-2">
+            <h4 className="font-semibold truncate">{selected.title}</h4>
+            {canRestore && (
+              <button className="btn btn-sm btn-outline" onClick={handleRestore} disabled={restoring}>
+                <RotateCcwIcon className="size-4" />
+                {restoring ? "Restoring..." : "Restore"}
+              </button>
+            )}
+          </div>
+          <p className="text-xs text-base-content/60 mb-2">
+            Changes from revision {selected.rev} to the current content
+          </p>
+          <pre className="bg-base-200 rounded-box p-2 text-sm overflow-auto max-h-80">
+            {diff.map((line, index) => (
+              <div key={index} className={`whitespace-pre-wrap px-1 ${DIFF_LINE_STYLES[line.type]}`}>
+                {DIFF_LINE_PREFIX[line.type]} {line.text}
+              </div>
+            ))}
+          </pre>
+        </div>
+      )}
+    </div>
+  );
+});
+
+RevisionHistory.displayName = 'RevisionHistory';
+
+export default RevisionHistory;
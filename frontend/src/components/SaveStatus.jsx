@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Save Status Component - Shows whether the note being edited is saved
+ * @module components/SaveStatus
+ */
+
+import { CheckIcon, CircleDotIcon, LoaderIcon } from "lucide-react";
+import { memo } from "react";
+
+/**
+ * Save Status Component
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.status - "saved", "saving" or "unsaved"
+ * @returns {JSX.Element} Rendered status
+ */
+const SaveStatus = memo(({ status }) => {
+  if (status === "saving") {
+    return (
+      <span className="flex items-center gap-1 text-sm text-base-content/70" role="status">
+        <LoaderIcon className="size-4 animate-spin" />
+        Saving...
+      </span>
+    );
+  }
+
+  if (status === "unsaved") {
+    return (
+      <span className="flex items-center gap-1 text-sm text-warning" role="status">
+        <CircleDotIcon className="size-4" />
+        Unsaved changes
+      </span>
+    );
+  }
+
+  return (
+    <span className="flex items-center gap-1 text-sm text-success" role="status">
+      <CheckIcon className="size-4" />
+      Saved
+    </span>
+  );
+});
+
+SaveStatus.displayName = 'SaveStatus';
+
+export default SaveStatus;
@@ -0,0 +1,245 @@
+/**
+ * @fileoverview Share Dialog Component - Manages who a note is shared with
+ * @module components/ShareDialog
+ */
+
+import { CopyIcon, LinkIcon, UserPlusIcon, XIcon } from "lucide-react";
+import { memo, useCallback, useState } from "react";
+import toast from "react-hot-toast";
+import api from "../lib/axios";
+import { formatDate } from "../lib/utils";
+
+const PERMISSION_LABELS = {
+  viewer: "Can view",
+  editor: "Can edit",
+};
+
+// Expiry choices for public links, in days ("" = never)
+const LINK_EXPIRY_OPTIONS = [
+  { value: "", label: "Never expires" },
+  { value: "1", label: "Expires in 1 day" },
+  { value: "7", label: "Expires in 7 days" },
+  { value: "30", label: "Expires in 30 days" },
+];
+
+/**
+ * Share Dialog Component
+ * Lets the owner add collaborators by username, change their permission or remove them,
+ * and create or revoke a read-only public link for people without an account
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.noteId - Note ID
+ * @param {Array<{ user: string, username: string, permission: string }>} props.collaborators - Current collaborators
+ * @param {Function} props.onChange - Called with the updated collaborator list
+ * @param {Object|null} props.publicLink - Current public link ({ token, expiresAt }) or null
+ * @param {Function} props.onPublicLinkChange - Called with the new public link or null
+ * @param {Function} props.onClose - Closes the dialog
+ * @returns {JSX.Element} Rendered modal dialog
+ */
+const ShareDialog = memo(({ noteId, collaborators, onChange, publicLink, onPublicLinkChange, onClose }) => {
+  const [username, setUsername] = useState("");
+  const [permission, setPermission] = useState("viewer");
+  const [linkExpiry, setLinkExpiry] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const publicUrl = publicLink ? `${window.location.origin}/s/${publicLink.token}` : "";
+  const linkExpired = publicLink?.expiresAt && new Date(publicLink.expiresAt) < new Date();
+
+  const share = useCallback(async (shareWith, shareAs) => {
+    setBusy(true);
+    try {
+      const res = await api.post(`/notes/${noteId}/share`, {
+        username: shareWith,
+        permission: shareAs,
+      });
+      onChange(res.data.collaborators);
+      return true;
+    } catch (error) {
+      console.log("Error sharing note", error);
+      toast.error(error.response?.data?.message || "Failed to share note");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }, [noteId, onChange]);
+
+  const handleAdd = useCallback(async (e) => {
+    e.preventDefault();
+    if (!username.trim()) return;
+
+    if (await share(username.trim(), permission)) {
+      toast.success(`Shared with ${username.trim()}`);
+      setUsername("");
+    }
+  }, [share, username, permission]);
+
+  const handleRemove = useCallback(async (collaborator) => {
+    setBusy(true);
+    try {
+      const res = await api.delete(`/notes/${noteId}/share/${collaborator.user}`);
+      onChange(res.data.collaborators);
+      toast.success(`Stopped sharing with ${collaborator.username}`);
+    } catch (error) {
+      console.log("Error unsharing note", error);
+      toast.error("Failed to remove access");
+    } finally {
+      setBusy(false);
+    }
+  }, [noteId, onChange]);
+
+  const handleCreateLink = useCallback(async () => {
+    setBusy(true);
+    try {
+      const res = await api.post(`/notes/${noteId}/public-link`, {
+        expiresInDays: linkExpiry ? Number(linkExpiry) : undefined,
+      });
+      onPublicLinkChange(res.data);
+      toast.success(publicLink ? "New link created, the old one no longer works" : "Public link created");
+    } catch (error) {
+      console.log("Error creating public link", error);
+      toast.error("Failed to create link");
+    } finally {
+      setBusy(false);
+    }
+  }, [noteId, linkExpiry, publicLink, onPublicLinkChange]);
+
+  const handleRevokeLink = useCallback(async () => {
+    setBusy(true);
+    try {
+      await api.delete(`/notes/${noteId}/public-link`);
+      onPublicLinkChange(null);
+      toast.success("Public link revoked");
+    } catch (error) {
+      console.log("Error revoking public link", error);
+      toast.error("Failed to revoke link");
+    } finally {
+      setBusy(false);
+    }
+  }, [noteId, onPublicLinkChange]);
+
+  const handleCopyLink = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(publicUrl);
+      toast.success("Link copied");
+    } catch {
+      toast.error("Could not copy, please copy the link manually");
+    }
+  }, [publicUrl]);
+
+  return (
+    <div className="modal modal-open" role="dialog" aria-modal="true">
+      <div className="modal-box">
+        <h3 className="font-bold text-lg mb-4">Share note</h3>
+
+        <form onSubmit={handleAdd} className="flex gap-2 mb-6">
+          <input
+            type="text"
+            className="input input-bordered input-sm flex-1"
+            placeholder="Username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+          />
+          <select
+            className="select select-bordered select-sm"
+            value={permission}
+            onChange={(e) => setPermission(e.target.value)}
+          >
+            {Object.entries(PERMISSION_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <button type="submit" className="btn btn-primary btn-sm" disabled={busy || !username.trim()}>
+            <UserPlusIcon className="size-4" />
+            Share
+          </button>
+        </form>
+
+        {collaborators.length === 0 ? (
+          <p className="text-sm text-base-content/70">This note is not shared with anyone yet.</p>
+        ) : (
+          <ul className="space-y-2">
+            {collaborators.map((collaborator) => (
+              <li key={collaborator.user} className="flex items-center gap-2">
+                <span className="flex-1 truncate">{collaborator.username}</span>
+                <select
+                  className="select select-bordered select-xs"
+                  value={collaborator.permission}
+                  onChange={(e) => share(collaborator.username, e.target.value)}
+                  disabled={busy}
+                >
+                  {Object.entries(PERMISSION_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <button
+                  className="btn btn-ghost btn-xs"
+                  onClick={() => handleRemove(collaborator)}
+                  disabled={busy}
+                  aria-label={`Stop sharing with ${collaborator.username}`}
+                >
+                  <XIcon className="size-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="divider" />
+
+        {/* Public Link */}
+        <h4 className="font-semibold flex items-center gap-2 mb-2">
+          <LinkIcon className="size-4" />
+          Public link
+        </h4>
+        <p className="text-sm text-base-content/70 mb-3">
+          Anyone with the link can read this note without an account.
+        </p>
+
+        {publicLink && (
+          <div className="mb-3">
+            <div className="join w-full">
+              <input className="input input-bordered input-sm join-item flex-1" value={publicUrl} readOnly />
+              <button className="btn btn-sm join-item" onClick={handleCopyLink} aria-label="Copy link">
+                <CopyIcon className="size-4" />
+              </button>
+            </div>
+            <p className={`text-xs mt-1 ${linkExpired ? "text-error" : "text-base-content/60"}`}>
+              {publicLink.expiresAt
+                ? `${linkExpired ? "Expired" : "Expires"} ${formatDate(new Date(publicLink.expiresAt))}`
+                : "Never expires"}
+            </p>
+          </div>
+        )}
+
+        <div className="flex gap-2">
+          <select
+            className="select select-bordered select-sm flex-1"
+            value={linkExpiry}
+            onChange={(e) => setLinkExpiry(e.target.value)}
+          >
+            {LINK_EXPIRY_OPTIONS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <button className="btn btn-outline btn-sm" onClick={handleCreateLink} disabled={busy}>
+            {publicLink ? "Replace Link" : "Create Link"}
+          </button>
+          {publicLink && (
+            <button className="btn btn-ghost btn-sm text-error" onClick={handleRevokeLink} disabled={busy}>
+              Revoke
+            </button>
+          )}
+        </div>
+
+        <div className="modal-action">
+          <button className="btn" onClick={onClose}>Done</button>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+ShareDialog.displayName = 'ShareDialog';
+
+export default ShareDialog;
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Sync Indicator Component - Shows when the app is offline or syncing queued changes
+ * @module components/SyncIndicator
+ */
+
+import { CloudOffIcon, RefreshCwIcon } from "lucide-react";
+import { memo, useEffect } from "react";
+import toast from "react-hot-toast";
+import { useSyncStatus } from "../hooks/useSyncStatus";
+
+// Sync and sync error already reported, so remounting the Navbar on navigation does not repeat the toast
+let reportedSyncAt = null;
+let reportedErrorAt = null;
+
+/**
+ * Sync Indicator Component
+ * Hidden while online with nothing queued. Reports changes the server
+ * rejected during the last sync, edits that conflicted with a newer
+ * version (kept as drafts until the note is opened), and syncs that broke off.
+ *
+ * @component
+ * @returns {JSX.Element|null} Rendered badge
+ */
+const SyncIndicator = memo(() => {
+  const { online, syncing, pending, lastSyncedAt, lastSyncFailed, lastSyncConflicts, syncErrorAt } = useSyncStatus();
+
+  useEffect(() => {
+    if (!lastSyncedAt || lastSyncedAt === reportedSyncAt) return;
+    reportedSyncAt = lastSyncedAt;
+
+    if (lastSyncFailed > 0) {
+      toast.error(`${lastSyncFailed} offline ${lastSyncFailed === 1 ? "change" : "changes"} could not be saved`);
+    }
+    if (lastSyncConflicts > 0) {
+      toast.error(
+        `${lastSyncConflicts} offline ${lastSyncConflicts === 1 ? "edit conflicts" : "edits conflict"} with a newer version. `
+          + "Open the note to choose what to keep.",
+        { duration: 8000 }
+      );
+    }
+  }, [lastSyncedAt, lastSyncFailed, lastSyncConflicts]);
+
+  useEffect(() => {
+    if (!syncErrorAt || syncErrorAt === reportedErrorAt) return;
+    reportedErrorAt = syncErrorAt;
+    toast.error("Offline changes could not be synced, they will be tried again");
+  }, [syncErrorAt]);
+
+  if (syncing) {
+    return (
+      <span className="badge badge-info gap-1" role="status">
+        <RefreshCwIcon className="size-3 animate-spin" />
+        Syncing{pending > 0 && ` ${pending}`}
+      </span>
+    );
+  }
+
+  if (!online) {
+    return (
+      <span className="badge badge-warning gap-1" role="status" title="Changes are saved on this device and sync when you are back online">
+        <CloudOffIcon className="size-3" />
+        Offline{pending > 0 && ` · ${pending} pending`}
+      </span>
+    );
+  }
+
+  return null;
+});
+
+SyncIndicator.displayName = 'SyncIndicator';
+
+export default SyncIndicator;
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Tag Input Component - Chip-style tag editor with autocomplete
+ * @module components/TagInput
+ */
+
+import { XIcon } from "lucide-react";
+import { memo, useCallback, useMemo, useState } from "react";
+
+// Keep in sync with the backend limits in utils/tags.js
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 32;
+
+/**
+ * Tag Input Component
+ * Shows the current tags as removable chips and suggests existing tags while typing.
+ * Enter or comma adds the typed tag, Backspace on an empty input removes the last one.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string[]} props.tags - Current tags
+ * @param {Function} props.onChange - Called with the new tags array
+ * @param {string[]} [props.suggestions] - Known tags offered for autocomplete
+ * @returns {JSX.Element} Rendered tag input
+ *
+ * @example
+ * <TagInput tags={tags} onChange={setTags} suggestions={["work", "ideas"]} />
+ */
+const TagInput = memo(({ tags, onChange, suggestions = [] }) => {
+  const [input, setInput] = useState("");
+  const [focused, setFocused] = useState(false);
+
+  const matches = useMemo(() => {
+    const query = input.trim().toLowerCase();
+    return suggestions
+      .filter((tag) => !tags.includes(tag) && (!query || tag.startsWith(query)))
+      .slice(0, 8);
+  }, [input, suggestions, tags]);
+
+  const addTag = useCallback((value) => {
+    const tag = value.trim().toLowerCase().slice(0, MAX_TAG_LENGTH);
+    if (tag && !tags.includes(tag) && tags.length < MAX_TAGS) {
+      onChange([...tags, tag]);
+    }
+    setInput("");
+  }, [tags, onChange]);
+
+  const removeTag = useCallback((tag) => {
+    onChange(tags.filter((t) => t !== tag));
+  }, [tags, onChange]);
+
+  const handleKeyDown = useCallback((e) => {
+    if (e.key === "Enter" || e.key === ",") {
+      // Enter would otherwise submit the surrounding form
+      e.preventDefault();
+      addTag(input);
+    } else if (e.key === "Backspace" && !input && tags.length > 0) {
+      removeTag(tags[tags.length - 1]);
+    }
+  }, [addTag, removeTag, input, tags]);
+
+  return (
+    <div className="relative">
+      <div className="input input-bordered flex flex-wrap items-center gap-1 h-auto min-h-12 py-2">
+        {tags.map((tag) => (
+          <span key={tag} className="badge badge-primary badge-outline gap-1">
+            {tag}
+            <button
+              type="button"
+              onClick={() => removeTag(tag)}
+              aria-label={`Remove tag ${tag}`}
+            >
+              <XIcon className="size-3" />
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          className="grow min-w-24 bg-transparent outline-none"
+          placeholder={tags.length ? "" : "Add tags..."}
+          value={input}
+          onChange={(e) => setInput(e.target.value.replace(",", ""))}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setFocused(true)}
+          // Delay so a click on a suggestion registers before the list closes
+          onBlur={() => setTimeout(() => {
+            setFocused(false);
+            if (input.trim()) addTag(input);
+          }, 150)}
+          disabled={tags.length >= MAX_TAGS}
+        />
+      </div>
+
+      {focused && matches.length > 0 && (
+        <ul className="menu menu-sm bg-base-200 rounded-box shadow absolute z-10 mt-1 w-full">
+          {matches.map((tag) => (
+            <li key={tag}>
+              <button type="button" onMouseDown={(e) => e.preventDefault()} onClick={() => addTag(tag)}>
+                {tag}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+});
+
+TagInput.displayName = 'TagInput';
+
+export default TagInput;
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Tag Sidebar Component - Lists tags with counts and toggles filters
+ * @module components/TagSidebar
+ */
+
+import { TagIcon } from "lucide-react";
+import { memo } from "react";
+
+/**
+ * Tag Sidebar Component
+ * Clicking a tag toggles it in the active filter; notes must carry every selected tag
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<{ tag: string, count: number }>} props.tags - Tags with note counts
+ * @param {string[]} props.selected - Currently selected tags
+ * @param {Function} props.onToggle - Called with a tag when it is clicked
+ * @param {Function} props.onClear - Called to clear the selection
+ * @returns {JSX.Element|null} Rendered sidebar section, or null when there are no tags
+ */
+const TagSidebar = memo(({ tags, selected, onToggle, onClear }) => {
+  if (tags.length === 0) return null;
+
+  return (
+    <section>
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="font-semibold flex items-center gap-2">
+          <TagIcon className="size-4" />
+          Tags
+        </h2>
+        {selected.length > 0 && (
+          <button className="btn btn-ghost btn-xs" onClick={onClear}>
+            Clear
+          </button>
+        )}
+      </div>
+      <ul className="menu menu-sm bg-base-100 rounded-box p-2">
+        {tags.map(({ tag, count }) => (
+          <li key={tag}>
+            <button
+              className={selected.includes(tag) ? "active" : ""}
+              onClick={() => onToggle(tag)}
+              aria-pressed={selected.includes(tag)}
+            >
+              <span className="truncate">{tag}</span>
+              <span className="badge badge-sm badge-ghost ml-auto">{count}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+});
+
+TagSidebar.displayName = 'TagSidebar';
+
+export default TagSidebar;
@@ -4,7 +4,15 @@
  */
 
 import { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
-import axiosInstance from '../lib/axios';
+import toast from 'react-hot-toast';
+import axiosInstance, {
+    clearOfflineData,
+    clearSession,
+    onSessionExpired,
+    resumeOfflineData,
+    storeSession
+} from '../lib/axios';
+import { isNetworkError } from '../lib/offline';
 
 /**
  * Authentication Context
@@ -19,6 +27,8 @@ const AuthContext = createContext();
  * @returns {Function} login - Function to log in a user
  * @returns {Function} register - Function to register a new user
  * @returns {Function} logout - Function to log out current user
+ * @returns {Function} changePassword - Function to change the current user's password
+ * @returns {Function} deleteAccount - Function to delete the current user's account
  * @returns {boolean} loading - Loading state of authentication
  * @example
  * const { user, login, logout } = useAuth();
@@ -40,25 +50,65 @@ export const AuthProvider = ({ children }) => {
     const [loading, setLoading] = useState(true);
 
     /**
-     * Initialize authentication state from localStorage on mount
-     * Checks for existing token and user data
+     * Initialize authentication state on mount
+     * A stored token is checked against GET /auth/me (refreshing it if it
+     * expired), so a revoked session or deleted account is logged out. The
+     * stored user is only trusted as is when the server cannot be reached,
+     * so offline notes stay available.
      */
     useEffect(() => {
         const token = localStorage.getItem('token');
         const storedUser = localStorage.getItem('user');
 
-        if (token && storedUser) {
-            try {
-                setUser(JSON.parse(storedUser));
-            } catch (error) {
-                console.error('Failed to parse stored user data:', error);
-                // Clear invalid data
-                localStorage.removeItem('token');
-                localStorage.removeItem('user');
-            }
+        if (!token || !storedUser) {
+            setLoading(false);
+            return;
         }
 
-        setLoading(false);
+        let cancelled = false;
+
+        axiosInstance.get('/auth/me')
+            .then((res) => {
+                if (cancelled) return;
+                const { id, username } = res.data.user;
+                localStorage.setItem('user', JSON.stringify({ id, username }));
+                resumeOfflineData({ id, username });
+                setUser({ id, username });
+            })
+            .catch((error) => {
+                if (cancelled) return;
+                if (isNetworkError(error)) {
+                    try {
+                        setUser(JSON.parse(storedUser));
+                        return;
+                    } catch (parseError) {
+                        console.error('Failed to parse stored user data:', parseError);
+                    }
+                } else {
+                    console.error('Stored session is no longer valid:', error);
+                }
+                // Clear invalid data
+                clearSession();
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    /**
+     * Log out locally when the axios interceptor fails to refresh the session
+     * (refresh token expired or revoked). Offline changes and drafts are kept
+     * for when the user signs in again.
+     */
+    useEffect(() => {
+        return onSessionExpired(() => {
+            setUser(null);
+            toast.error('Your session has expired. Please log in again.');
+        });
     }, []);
 
     /**
@@ -68,23 +118,25 @@ export const AuthProvider = ({ children }) => {
      * @returns {Promise<Object>} Result object with success status and optional message
      * @returns {boolean} result.success - Whether login was successful
      * @returns {string} [result.message] - Error message if login failed
+     * @returns {Object} [result.errors] - Per-field validation errors if login failed
      */
     const login = useCallback(async (username, password) => {
         try {
             const res = await axiosInstance.post('/auth/login', { username, password });
-            const { token, user } = res.data;
 
-            // Persist authentication data
-            localStorage.setItem('token', token);
-            localStorage.setItem('user', JSON.stringify(user));
-            setUser(user);
+            // Persist access token, refresh token and user data
+            storeSession(res.data);
+            // Replays changes left from an expired session, or drops another account's
+            await resumeOfflineData(res.data.user);
+            setUser(res.data.user);
 
             return { success: true };
         } catch (error) {
             console.error('Login failed:', error);
             return {
                 success: false,
-                message: error.response?.data?.message || 'Login failed'
+                message: error.response?.data?.message || 'Login failed',
+                errors: error.response?.data?.errors || {}
             };
         }
     }, []);
@@ -96,6 +148,7 @@ export const AuthProvider = ({ children }) => {
      * @returns {Promise<Object>} Result object with success status and optional message
      * @returns {boolean} result.success - Whether registration was successful
      * @returns {string} [result.message] - Error message if registration failed
+     * @returns {Object} [result.errors] - Per-field validation errors if registration failed
      */
     const register = useCallback(async (username, password) => {
         try {
@@ -105,21 +158,80 @@ export const AuthProvider = ({ children }) => {
             console.error('Registration failed:', error);
             return {
                 success: false,
-                message: error.response?.data?.message || 'Registration failed'
+                message: error.response?.data?.message || 'Registration failed',
+                errors: error.response?.data?.errors || {}
             };
         }
     }, []);
 
     /**
      * Log out current user
-     * Clears authentication data from localStorage and state
+     * Revokes the refresh token on the server (best effort) and clears
+     * authentication data, offline changes and drafts from the browser
      */
     const logout = useCallback(() => {
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (refreshToken) {
+            axiosInstance.post('/auth/logout', { refreshToken }).catch((error) => {
+                console.error('Logout request failed:', error);
+            });
+        }
+
+        clearSession();
+        clearOfflineData();
         setUser(null);
     }, []);
 
+    /**
+     * Change the current user's password
+     * Other sessions are signed out; this one continues with the new tokens
+     * @param {string} currentPassword - Current password
+     * @param {string} newPassword - New password
+     * @returns {Promise<Object>} Result object with success status and optional message
+     * @returns {boolean} result.success - Whether the password was changed
+     * @returns {string} [result.message] - Error message if the change failed
+     * @returns {Object} [result.errors] - Per-field validation errors if the change failed
+     */
+    const changePassword = useCallback(async (currentPassword, newPassword) => {
+        try {
+            const res = await axiosInstance.put('/auth/password', { currentPassword, newPassword });
+            storeSession(res.data);
+            return { success: true };
+        } catch (error) {
+            console.error('Password change failed:', error);
+            return {
+                success: false,
+                message: error.response?.data?.message || 'Failed to change password',
+                errors: error.response?.data?.errors || {}
+            };
+        }
+    }, []);
+
+    /**
+     * Delete the current user's account with all of its notes, then log out
+     * @param {string} password - Current password, to confirm
+     * @returns {Promise<Object>} Result object with success status and optional message
+     * @returns {boolean} result.success - Whether the account was deleted
+     * @returns {string} [result.message] - Error message if deletion failed
+     * @returns {Object} [result.errors] - Per-field validation errors if deletion failed
+     */
+    const deleteAccount = useCallback(async (password) => {
+        try {
+            await axiosInstance.delete('/auth/account', { data: { password } });
+            clearSession();
+            clearOfflineData();
+            setUser(null);
+            return { success: true };
+        } catch (error) {
+            console.error('Account deletion failed:', error);
+            return {
+                success: false,
+                message: error.response?.data?.message || 'Failed to delete account',
+                errors: error.response?.data?.errors || {}
+            };
+        }
+    }, []);
+
     /**
      * Memoized context value to prevent unnecessary re-renders
      * @type {Object}
@@ -129,8 +241,10 @@ export const AuthProvider = ({ children }) => {
         login,
         register,
         logout,
+        changePassword,
+        deleteAccount,
         loading
-    }), [user, login, register, logout, loading]);
+    }), [user, login, register, logout, changePassword, deleteAccount, loading]);
 
     // Don't render children until initial auth check is complete
     return (
@@ -0,0 +1,27 @@
+/**
+ * @fileoverview Debounce hook - delays propagating a rapidly changing value
+ * @module hooks/useDebounce
+ */
+
+import { useEffect, useState } from "react";
+
+/**
+ * Return `value` only after it has stopped changing for `delay` milliseconds
+ *
+ * @param {*} value - Value to debounce
+ * @param {number} [delay=300] - Delay in milliseconds
+ * @returns {*} Debounced value
+ *
+ * @example
+ * const debouncedQuery = useDebounce(query, 300);
+ */
+export function useDebounce(value, delay = 300) {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedValue(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debouncedValue;
+}
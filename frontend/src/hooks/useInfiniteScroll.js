@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Infinite scroll hook - triggers a callback when a sentinel scrolls into view
+ * @module hooks/useInfiniteScroll
+ */
+
+import { useEffect, useRef } from "react";
+
+/**
+ * Call `onLoadMore` whenever the returned sentinel element nears the viewport
+ * The observer is recreated when `onLoadMore` changes, so a sentinel that is
+ * still visible after a short page immediately requests the next one.
+ *
+ * @param {Function} onLoadMore - Loads the next page
+ * @param {boolean} enabled - Whether more pages are available
+ * @returns {React.RefObject<HTMLElement>} Ref to attach to the sentinel element
+ *
+ * @example
+ * const sentinelRef = useInfiniteScroll(loadMore, Boolean(nextCursor));
+ * return <div ref={sentinelRef} />;
+ */
+export function useInfiniteScroll(onLoadMore, enabled) {
+  const sentinelRef = useRef(null);
+
+  useEffect(() => {
+    const node = sentinelRef.current;
+    if (!enabled || !node) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) onLoadMore();
+      },
+      // Start loading before the user actually hits the bottom
+      { rootMargin: "400px" }
+    );
+
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [onLoadMore, enabled]);
+
+  return sentinelRef;
+}
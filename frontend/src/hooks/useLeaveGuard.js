@@ -0,0 +1,29 @@
+/**
+ * @fileoverview Leave guard hook - asks before closing or reloading a page with unsaved changes
+ * @module hooks/useLeaveGuard
+ */
+
+import { useEffect } from "react";
+
+/**
+ * Show the browser's "leave site?" prompt while `active` is true
+ * Navigation inside the app is not blocked; editors keep a local draft for that.
+ *
+ * @param {boolean} active - Whether there are unsaved changes
+ *
+ * @example
+ * useLeaveGuard(status === "unsaved");
+ */
+export function useLeaveGuard(active) {
+  useEffect(() => {
+    if (!active) return;
+
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = ""; // Required by some browsers to show the prompt
+    };
+
+    window.addEventListener("beforeunload", handleBeforeUnload);
+    return () => window.removeEventListener("beforeunload", handleBeforeUnload);
+  }, [active]);
+}
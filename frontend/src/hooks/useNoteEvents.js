@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Note events hook - applies note changes made in other tabs and devices as they happen
+ * @module hooks/useNoteEvents
+ */
+
+import { useEffect, useRef } from "react";
+import { NOTE_EVENTS, subscribeToEvents } from "../lib/eventStream";
+
+export { NOTE_EVENTS };
+
+const NOTE_EVENT_TYPES = Object.values(NOTE_EVENTS);
+
+/**
+ * Listen to the user's note events while the component is mounted
+ * Events caused by this tab are skipped (see lib/eventStream).
+ *
+ * @param {Function} onEvent - Called with { type, note, origin }; a deleted note only has its `_id`
+ *
+ * @example
+ * useNoteEvents((event) => {
+ *   if (event.type === NOTE_EVENTS.deleted) removeNote(event.note._id);
+ * });
+ */
+export function useNoteEvents(onEvent) {
+  // The latest callback is used without resubscribing
+  const onEventRef = useRef(onEvent);
+  useEffect(() => {
+    onEventRef.current = onEvent;
+  });
+
+  useEffect(() => subscribeToEvents((event) => {
+    if (NOTE_EVENT_TYPES.includes(event.type)) onEventRef.current(event);
+  }), []);
+}
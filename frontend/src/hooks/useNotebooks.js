@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Notebooks hook - loads the user's notebooks with their note counts
+ * @module hooks/useNotebooks
+ */
+
+import { useCallback, useEffect, useState } from "react";
+import api from "../lib/axios";
+
+/**
+ * Fetch the current user's notebooks from GET /notebooks
+ *
+ * @returns {{ notebooks: Array<{ _id: string, name: string, parent: string|null, noteCount: number }>, refreshNotebooks: Function }}
+ *
+ * @example
+ * const { notebooks, refreshNotebooks } = useNotebooks();
+ */
+export function useNotebooks() {
+  const [notebooks, setNotebooks] = useState([]);
+
+  const refreshNotebooks = useCallback(async () => {
+    try {
+      const res = await api.get("/notebooks");
+      setNotebooks(res.data);
+    } catch (error) {
+      // Without notebooks every note is still reachable from the main list
+      console.log("Error fetching notebooks", error);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshNotebooks();
+  }, [refreshNotebooks]);
+
+  return { notebooks, refreshNotebooks };
+}
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Notifications hook - loads the user's notifications and keeps them up to date
+ * @module hooks/useNotifications
+ */
+
+import { useCallback, useEffect, useState } from "react";
+import api from "../lib/axios";
+import { NOTIFICATION_EVENT, subscribeToEvents } from "../lib/eventStream";
+
+/**
+ * Fetch the latest notifications from GET /notifications and add new ones as they arrive
+ *
+ * @returns {{
+ *   notifications: Array<Object>,
+ *   unreadCount: number,
+ *   markRead: Function,
+ *   markAllRead: Function
+ * }}
+ *
+ * @example
+ * const { notifications, unreadCount, markRead } = useNotifications();
+ */
+export function useNotifications() {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  useEffect(() => {
+    const fetchNotifications = async () => {
+      try {
+        const res = await api.get("/notifications");
+        setNotifications(res.data.notifications);
+        setUnreadCount(res.data.unreadCount);
+      } catch (error) {
+        console.log("Error fetching notifications", error);
+      }
+    };
+
+    fetchNotifications();
+
+    return subscribeToEvents((event) => {
+      if (event.type !== NOTIFICATION_EVENT) return;
+      setNotifications((prev) => [event.notification, ...prev]);
+      setUnreadCount((prev) => prev + 1);
+    });
+  }, []);
+
+  /**
+   * Mark one notification as read
+   * @param {Object} notification - Notification from the list
+   */
+  const markRead = useCallback(async (notification) => {
+    if (notification.readAt) return;
+
+    try {
+      const res = await api.post(`/notifications/${notification._id}/read`);
+      setNotifications((prev) => prev.map((item) => (item._id === notification._id ? res.data : item)));
+      setUnreadCount((prev) => Math.max(0, prev - 1));
+    } catch (error) {
+      console.log("Error marking notification as read", error);
+    }
+  }, []);
+
+  const markAllRead = useCallback(async () => {
+    try {
+      await api.post("/notifications/read-all");
+      const readAt = new Date().toISOString();
+      setNotifications((prev) => prev.map((item) => (item.readAt ? item : { ...item, readAt })));
+      setUnreadCount(0);
+    } catch (error) {
+      console.log("Error marking notifications as read", error);
+    }
+  }, []);
+
+  return { notifications, unreadCount, markRead, markAllRead };
+}
@@ -0,0 +1,27 @@
+/**
+ * @fileoverview Sync status hook - follows connectivity and the offline change queue
+ * @module hooks/useSyncStatus
+ */
+
+import { useEffect, useState } from "react";
+import { getSyncStatus, onSyncStatusChange } from "../lib/offline";
+
+/**
+ * Current connectivity and sync state, updated as it changes
+ *
+ * @returns {{ online: boolean, syncing: boolean, pending: number, lastSyncedAt: number|null, lastSyncFailed: number, lastSyncConflicts: number, syncErrorAt: number|null }}
+ *
+ * @example
+ * const { online, pending } = useSyncStatus();
+ */
+export function useSyncStatus() {
+  const [status, setStatus] = useState(getSyncStatus);
+
+  useEffect(() => {
+    // The status may have changed between render and subscribing
+    setStatus(getSyncStatus());
+    return onSyncStatusChange(setStatus);
+  }, []);
+
+  return status;
+}
@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Tags hook - loads the user's tags with their note counts
+ * @module hooks/useTags
+ */
+
+import { useCallback, useEffect, useState } from "react";
+import api from "../lib/axios";
+
+/**
+ * Fetch the current user's tags from GET /notes/tags
+ *
+ * @returns {{ tags: Array<{ tag: string, count: number }>, refreshTags: Function }}
+ *
+ * @example
+ * const { tags, refreshTags } = useTags();
+ */
+export function useTags() {
+  const [tags, setTags] = useState([]);
+
+  const refreshTags = useCallback(async () => {
+    try {
+      const res = await api.get("/notes/tags");
+      setTags(res.data);
+    } catch (error) {
+      // Tags are a convenience; the page keeps working without them
+      console.log("Error fetching tags", error);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshTags();
+  }, [refreshTags]);
+
+  return { tags, refreshTags };
+}
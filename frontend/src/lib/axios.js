@@ -1,20 +1,183 @@
 import axios from "axios";
+import {
+  cacheResponse,
+  getOfflineResponse,
+  getSyncStatus,
+  isNetworkError,
+  setOnline,
+  syncOfflineQueue,
+} from "./offline";
+import { clearOfflineStore } from "./offlineStore";
+import { clearAllDrafts } from "./drafts";
 
 // in production, there's no localhost so we have to make this dynamic
-const BASE_URL = import.meta.env.MODE === "development" ? "http://localhost:5001/api" : "/api";
+export const BASE_URL = import.meta.env.MODE === "development" ? "http://localhost:5001/api" : "/api";
+
+// Identifies this tab on every request, so it can skip live events about its own changes
+export const CLIENT_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
 
 const api = axios.create({
   baseURL: BASE_URL,
 });
 
+// Auth endpoints answer 401 for bad credentials; never try to refresh those
+const AUTH_ENDPOINTS = ["/auth/login", "/auth/register", "/auth/refresh", "/auth/logout"];
+
+// ID of the user the offline queue, cached notes and drafts belong to. They
+// outlive an expired session so they can be replayed once that user signs in again
+const OFFLINE_USER_KEY = 'offlineUser';
+
+// Listeners notified when the session cannot be refreshed anymore
+const sessionExpiredListeners = new Set();
+
+/**
+ * Subscribe to session expiry (refresh token missing, expired or revoked)
+ * @param {Function} listener - Called with no arguments
+ * @returns {Function} Unsubscribe function
+ */
+export const onSessionExpired = (listener) => {
+  sessionExpiredListeners.add(listener);
+  return () => sessionExpiredListeners.delete(listener);
+};
+
+/**
+ * Store the tokens returned by login or refresh
+ * @param {Object} data - Response body with token, refreshToken and user
+ */
+export const storeSession = ({ token, refreshToken, user }) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+  localStorage.setItem('user', JSON.stringify(user));
+};
+
+/**
+ * Remove every stored authentication value
+ * Offline data and drafts are kept; see clearOfflineData
+ */
+export const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+};
+
+/**
+ * Delete the offline queue, cached notes and drafts (on logout or account deletion)
+ * @returns {Promise<void>}
+ */
+export const clearOfflineData = async () => {
+  localStorage.removeItem(OFFLINE_USER_KEY);
+  clearAllDrafts();
+  await clearOfflineStore().catch(() => {});
+};
+
+/**
+ * Give the offline data to the user who is signed in
+ * Data left by another account is deleted first, so it is never sent under
+ * this one; changes the same user queued before their session expired are
+ * replayed.
+ *
+ * @param {Object} user - Signed-in user ({ id, username })
+ * @returns {Promise<void>}
+ */
+export const resumeOfflineData = async (user) => {
+  const offlineUser = localStorage.getItem(OFFLINE_USER_KEY);
+  if (offlineUser && offlineUser !== user.id) await clearOfflineData();
+  localStorage.setItem(OFFLINE_USER_KEY, user.id);
+  if (navigator.onLine) syncOfflineQueue(api);
+};
+
+// Shared by all requests that fail while a refresh is already in flight
+let refreshPromise = null;
+
+/**
+ * Rotate the refresh token and store the new session
+ * Uses plain axios so this request never goes through the interceptors below
+ * @returns {Promise<string>} New access token
+ */
+const refreshSession = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) throw new Error("No refresh token");
+
+  try {
+    const res = await axios.post(`${BASE_URL}/auth/refresh`, { refreshToken });
+    storeSession(res.data);
+    return res.data.token;
+  } catch (error) {
+    // Another tab may have rotated the token first; use its session if so
+    const latestRefreshToken = localStorage.getItem('refreshToken');
+    if (latestRefreshToken && latestRefreshToken !== refreshToken) {
+      return localStorage.getItem('token');
+    }
+    throw error;
+  }
+};
+
 api.interceptors.request.use((config) => {
   const token = localStorage.getItem('token');
   if (token) {
     config.headers.Authorization = `Bearer ${token}`;
   }
+  config.headers["X-Client-Id"] = CLIENT_ID;
   return config;
 }, (error) => {
   return Promise.reject(error);
 });
 
-export default api;
\ No newline at end of file
+// On 401, refresh the access token once and retry the original request
+api.interceptors.response.use((response) => response, async (error) => {
+  const original = error.config;
+  const isAuthEndpoint = AUTH_ENDPOINTS.some((url) => original?.url?.startsWith(url));
+
+  if (error.response?.status !== 401 || !original || original._retried || isAuthEndpoint) {
+    return Promise.reject(error);
+  }
+
+  original._retried = true;
+
+  try {
+    refreshPromise = refreshPromise || refreshSession().finally(() => {
+      refreshPromise = null;
+    });
+    const token = await refreshPromise;
+
+    original.headers.Authorization = `Bearer ${token}`;
+    return api(original);
+  } catch {
+    clearSession();
+    sessionExpiredListeners.forEach((listener) => listener());
+    return Promise.reject(error);
+  }
+});
+
+/**
+ * Replay changes queued while offline
+ * Without a session they wait until the user signs in again (see resumeOfflineData)
+ */
+const goOnline = () => {
+  setOnline(true);
+  if (localStorage.getItem('token')) syncOfflineQueue(api);
+};
+
+// Offline support: cache reads, and when the server cannot be reached answer
+// reads from the cache and queue note changes (see lib/offline.js)
+api.interceptors.response.use((response) => {
+  if (!getSyncStatus().online) goOnline();
+  cacheResponse(response);
+  return response;
+}, async (error) => {
+  if (!isNetworkError(error) || error.config._replay) {
+    return Promise.reject(error);
+  }
+
+  setOnline(false);
+  const response = await getOfflineResponse(error.config).catch(() => null);
+  return response || Promise.reject(error);
+});
+
+window.addEventListener("online", goOnline);
+window.addEventListener("offline", () => setOnline(false));
+
+// Changes may still be queued from a previous visit
+if (navigator.onLine && localStorage.getItem('token')) syncOfflineQueue(api);
+
+export default api;
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Line diff - computes a line-by-line diff between two texts
+ * @module lib/diff
+ */
+
+// Above this many line pairs the LCS table gets too large to build in the browser
+const MAX_DIFF_CELLS = 4_000_000;
+
+/**
+ * Compute a line diff between two strings using the longest common subsequence
+ *
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @returns {Array<{ type: "same"|"added"|"removed", text: string }>} Diff lines in order
+ *
+ * @example
+ * diffLines("a\nb", "a\nc")
+ * // => [{ type: "same", text: "a" }, { type: "removed", text: "b" }, { type: "added", text: "c" }]
+ */
+export function diffLines(oldText, newText) {
+  const a = (oldText || "").split("\n");
+  const b = (newText || "").split("\n");
+
+  // Fall back to a whole-text replacement for very large inputs
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map((text) => ({ type: "removed", text })),
+      ...b.map((text) => ({ type: "added", text })),
+    ];
+  }
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: "same", text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: "removed", text: a[i++] });
+    } else {
+      result.push({ type: "added", text: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ type: "removed", text: a[i++] });
+  while (j < b.length) result.push({ type: "added", text: b[j++] });
+
+  return result;
+}
@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Drafts - Unsaved note edits kept in localStorage so they survive a reload or crash
+ * @module lib/drafts
+ */
+
+const DRAFT_PREFIX = "draft:";
+
+// Draft key of the note being written on the create page
+export const NEW_NOTE_DRAFT = "new";
+
+/**
+ * Read a draft
+ * @param {string} key - Note ID, or NEW_NOTE_DRAFT
+ * @returns {Object|null} Draft fields with `savedAt`, or null if there is none
+ */
+export const loadDraft = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(`${DRAFT_PREFIX}${key}`));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Store a draft, replacing the previous one
+ * Storage may be full or disabled; the draft is then simply not kept
+ *
+ * @param {string} key - Note ID, or NEW_NOTE_DRAFT
+ * @param {Object} draft - Note fields being edited (and the version they are based on)
+ */
+export const saveDraft = (key, draft) => {
+  try {
+    localStorage.setItem(`${DRAFT_PREFIX}${key}`, JSON.stringify({ ...draft, savedAt: Date.now() }));
+  } catch (error) {
+    console.log("Error saving draft", error);
+  }
+};
+
+/**
+ * Delete a draft once its changes are saved or discarded
+ * @param {string} key - Note ID, or NEW_NOTE_DRAFT
+ */
+export const clearDraft = (key) => {
+  localStorage.removeItem(`${DRAFT_PREFIX}${key}`);
+};
+
+/**
+ * Delete every draft (e.g. on logout)
+ */
+export const clearAllDrafts = () => {
+  Object.keys(localStorage)
+    .filter((key) => key.startsWith(DRAFT_PREFIX))
+    .forEach((key) => localStorage.removeItem(key));
+};
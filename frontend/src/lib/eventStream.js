@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Event stream - One shared server-sent events connection per tab for live updates
+ * @module lib/eventStream
+ */
+
+import api, { BASE_URL, CLIENT_ID } from "./axios";
+
+// Event types sent by GET /api/events
+export const NOTE_EVENTS = {
+  created: "note.created",
+  updated: "note.updated",
+  deleted: "note.deleted",
+};
+export const NOTIFICATION_EVENT = "notification.created";
+
+const EVENT_TYPES = [...Object.values(NOTE_EVENTS), NOTIFICATION_EVENT];
+
+// Reconnect delays double after each failed attempt, up to the maximum
+const MIN_RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 30 * 1000;
+
+// Moving between pages unsubscribes and resubscribes; keep the stream open meanwhile
+const DISCONNECT_DELAY_MS = 5000;
+
+const listeners = new Set();
+let source = null;
+let reconnectTimer = null;
+let disconnectTimer = null;
+let attempts = 0;
+// Incremented on disconnect so a connection attempt still in flight gives up
+let generation = 0;
+
+const dispatch = (message) => {
+  const event = JSON.parse(message.data);
+  // Changes made by this tab are already on screen
+  if (event.origin === CLIENT_ID) return;
+  listeners.forEach((listener) => listener(event));
+};
+
+const scheduleReconnect = () => {
+  const delay = Math.min(MIN_RECONNECT_DELAY_MS * 2 ** attempts, MAX_RECONNECT_DELAY_MS);
+  attempts++;
+  reconnectTimer = setTimeout(connect, delay);
+};
+
+/**
+ * Open the stream with a fresh single-use ticket
+ * EventSource cannot send the Authorization header, hence the ticket
+ */
+const connect = async () => {
+  const current = generation;
+
+  try {
+    const res = await api.post("/events/ticket");
+    if (current !== generation) return;
+
+    source = new EventSource(`${BASE_URL}/events?ticket=${encodeURIComponent(res.data.ticket)}`);
+    source.onopen = () => {
+      attempts = 0;
+    };
+    source.onerror = () => {
+      // The browser would retry with the same, already used ticket
+      source.close();
+      scheduleReconnect();
+    };
+    EVENT_TYPES.forEach((type) => source.addEventListener(type, dispatch));
+  } catch (error) {
+    // Signed out: the session has ended, so there is nothing to listen to
+    if (current !== generation || error.response?.status === 401) return;
+    scheduleReconnect();
+  }
+};
+
+const disconnect = () => {
+  generation++;
+  clearTimeout(reconnectTimer);
+  source?.close();
+  source = null;
+  attempts = 0;
+};
+
+/**
+ * Receive live events for the signed-in user
+ * The connection is opened for the first listener and closed shortly after the last one leaves
+ *
+ * @param {Function} listener - Called with { type, note | notification, origin }
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToEvents = (listener) => {
+  listeners.add(listener);
+  clearTimeout(disconnectTimer);
+  if (!source && listeners.size === 1) {
+    disconnect(); // Drop a reconnect that may still be pending
+    connect();
+  }
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      disconnectTimer = setTimeout(disconnect, DISCONNECT_DELAY_MS);
+    }
+  };
+};
@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Markdown rendering - converts note content to sanitized HTML or plain text
+ * @module lib/markdown
+ */
+
+import { Marked } from "marked";
+import { markedHighlight } from "marked-highlight";
+import DOMPurify from "dompurify";
+import hljs from "highlight.js/lib/common";
+import "highlight.js/styles/github-dark.css";
+
+const markdown = new Marked(
+  markedHighlight({
+    emptyLangClass: "hljs",
+    langPrefix: "hljs language-",
+    highlight(code, lang) {
+      const language = hljs.getLanguage(lang) ? lang : "plaintext";
+      return hljs.highlight(code, { language }).value;
+    },
+  }),
+  { gfm: true, breaks: true }
+);
+
+/**
+ * Render Markdown to HTML that is safe to inject into the page
+ * Raw HTML in the source is allowed by Markdown, so the output is always
+ * sanitized to strip scripts, event handlers and javascript: URLs
+ *
+ * @param {string} content - Markdown source
+ * @returns {string} Sanitized HTML
+ */
+export function renderMarkdown(content) {
+  return DOMPurify.sanitize(markdown.parse(content || ""));
+}
+
+/**
+ * Convert Markdown to plain text, e.g. for card excerpts
+ *
+ * @param {string} content - Markdown source
+ * @returns {string} Text without Markdown syntax, whitespace collapsed
+ */
+export function markdownToPlainText(content) {
+  const html = renderMarkdown(content);
+  const text = new DOMParser().parseFromString(html, "text/html").body.textContent || "";
+  return text.replace(/\s+/g, " ").trim();
+}
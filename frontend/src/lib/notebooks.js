@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Notebook helpers - Builds the notebook tree from the flat list returned by the API
+ * @module lib/notebooks
+ */
+
+/**
+ * Order notebooks depth-first, each followed by the notebooks nested inside it
+ * Siblings keep the order of the input (the API sorts by name)
+ *
+ * @param {Array<{ _id: string, parent: string|null }>} notebooks - Flat notebook list
+ * @returns {Array<{ notebook: Object, depth: number }>} Notebooks with their nesting depth (0 at the top level)
+ *
+ * @example
+ * flattenNotebookTree([{ _id: "1", parent: null }, { _id: "2", parent: "1" }])
+ * // [{ notebook: { _id: "1", ... }, depth: 0 }, { notebook: { _id: "2", ... }, depth: 1 }]
+ */
+export const flattenNotebookTree = (notebooks) => {
+  const ids = new Set(notebooks.map((notebook) => notebook._id));
+  const children = new Map();
+  for (const notebook of notebooks) {
+    // Notebooks whose parent is missing are shown at the top level
+    const parent = ids.has(notebook.parent) ? notebook.parent : null;
+    children.set(parent, [...(children.get(parent) || []), notebook]);
+  }
+
+  const result = [];
+  const visit = (parent, depth) => {
+    for (const notebook of children.get(parent) || []) {
+      result.push({ notebook, depth });
+      visit(notebook._id, depth + 1);
+    }
+  };
+  visit(null, 0);
+
+  return result;
+};
@@ -0,0 +1,347 @@
+/**
+ * @fileoverview Offline support - Serves cached reads, queues note changes and replays them once back online
+ * @module lib/offline
+ */
+
+import axios from "axios";
+import { loadDraft, saveDraft } from "./drafts";
+import {
+  dequeueRequest,
+  enqueueRequest,
+  getCachedResponse,
+  getQueuedRequests,
+  putCachedResponse,
+  putQueuedRequest,
+  updateCachedResponses,
+} from "./offlineStore";
+
+// GET requests whose responses are kept for offline reads: the note lists,
+// single notes and notebooks. Searches and later list pages are not kept,
+// since every query or cursor would add an entry that is never read again.
+const CACHEABLE_PATH = /^\/(notes(\/(shared|tags|trash|[a-f\d]{24}|offline-\w+))?|notebooks)$/;
+const UNCACHEABLE_PARAMS = ["cursor"];
+
+// Notes created offline get a temporary ID until the server assigns one
+const TEMP_ID_PREFIX = "offline-";
+
+// Note changes that are queued while offline; anything else fails as usual
+// (IDs are matched strictly so e.g. DELETE /notes/trash is never queued)
+const QUEUEABLE_REQUESTS = [
+  { kind: "create", method: "post", pattern: /^\/notes$/ },
+  { kind: "update", method: "put", pattern: /^\/notes\/([a-f\d]{24}|offline-\w+)$/ },
+  { kind: "update", method: "patch", pattern: /^\/notes\/([a-f\d]{24}|offline-\w+)$/ },
+  { kind: "delete", method: "delete", pattern: /^\/notes\/([a-f\d]{24}|offline-\w+)$/ },
+];
+
+let status = {
+  online: typeof navigator === "undefined" ? true : navigator.onLine,
+  syncing: false,
+  pending: 0,
+  lastSyncedAt: null,
+  lastSyncFailed: 0,
+  lastSyncConflicts: 0,
+  syncErrorAt: null,
+};
+const statusListeners = new Set();
+
+const setStatus = (changes) => {
+  status = { ...status, ...changes };
+  statusListeners.forEach((listener) => listener(status));
+};
+
+/**
+ * Current connectivity and sync state
+ * @returns {{ online: boolean, syncing: boolean, pending: number, lastSyncedAt: number|null, lastSyncFailed: number, lastSyncConflicts: number, syncErrorAt: number|null }}
+ */
+export const getSyncStatus = () => status;
+
+/**
+ * Subscribe to connectivity and sync state changes
+ * @param {Function} listener - Called with the new status
+ * @returns {Function} Unsubscribe function
+ */
+export const onSyncStatusChange = (listener) => {
+  statusListeners.add(listener);
+  return () => statusListeners.delete(listener);
+};
+
+/**
+ * Record whether the API is reachable
+ * @param {boolean} online
+ */
+export const setOnline = (online) => {
+  if (status.online !== online) setStatus({ online });
+};
+
+/**
+ * Whether a request failed because the server could not be reached
+ * @param {Object} error - Axios error
+ * @returns {boolean}
+ */
+export const isNetworkError = (error) =>
+  Boolean(error.config) && !error.response && error.code !== "ERR_CANCELED";
+
+/**
+ * Whether a response was queued for later instead of reaching the server
+ * @param {Object} response - Axios response
+ * @returns {boolean}
+ */
+export const isQueued = (response) => Boolean(response?.queued);
+
+// Path and query string of a request, e.g. "/notes?limit=24&sort=created"
+const getRequestKey = (config) => axios.getUri({ url: config.url, params: config.params });
+
+const isCacheable = (key) => {
+  const [path, query = ""] = key.split("?");
+  const params = new URLSearchParams(query);
+  return CACHEABLE_PATH.test(path) && !UNCACHEABLE_PARAMS.some((name) => params.has(name));
+};
+
+const parseBody = (data) => (typeof data === "string" ? JSON.parse(data) : data || {});
+
+const createTempId = () => `${TEMP_ID_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Keep the body of a successful GET for offline reads
+ * Caching is best effort; failures are ignored
+ *
+ * @param {Object} response - Axios response
+ */
+export const cacheResponse = (response) => {
+  const { config } = response;
+  if (config.method !== "get" || config.responseType === "blob") return;
+
+  const key = getRequestKey(config);
+  if (isCacheable(key)) {
+    putCachedResponse(key, response.data).catch(() => {});
+  }
+};
+
+/**
+ * Reflect a queued change in every cached list and note so offline reads show it
+ *
+ * @param {string} kind - "create", "update" or "delete"
+ * @param {string} id - Note ID
+ * @param {Object} [note] - New note (create) or changed fields (update)
+ * @returns {Promise<void>}
+ */
+const patchCachedNotes = (kind, id, note) => updateCachedResponses((data, key) => {
+  const [path, query = ""] = key.split("?");
+
+  if (path === `/notes/${id}`) {
+    return kind === "update" ? { ...data, ...note } : data;
+  }
+
+  const list = Array.isArray(data) ? data : data?.notes;
+  if (!path.startsWith("/notes") || !Array.isArray(list)) return data;
+
+  let next = list;
+  if (kind === "create") {
+    // New notes are unarchived and only belong to their own notebook's list
+    const params = new URLSearchParams(query);
+    const notebook = params.get("notebook");
+    if (path === "/notes" && params.get("archived") !== "true" && (!notebook || notebook === note.notebook)) {
+      next = [note, ...list];
+    }
+  } else if (list.some((item) => item._id === id)) {
+    next = kind === "update"
+      ? list.map((item) => (item._id === id ? { ...item, ...note } : item))
+      : list.filter((item) => item._id !== id);
+  }
+
+  if (next === list) return data;
+  return Array.isArray(data) ? next : { ...data, notes: next };
+});
+
+/**
+ * Queue a note change and build the response the server would have sent
+ *
+ * @param {Object} rule - Matching entry of QUEUEABLE_REQUESTS
+ * @param {Object} config - Axios request config
+ * @returns {Promise<Object>} Synthetic response with status 202 and `queued: true`
+ */
+const queueRequest = async (rule, config) => {
+  const body = parseBody(config.data);
+  const ifMatch = axios.AxiosHeaders.from(config.headers).get("If-Match");
+  const entry = {
+    method: config.method,
+    url: config.url,
+    data: config.method === "delete" ? undefined : body,
+    headers: ifMatch ? { "If-Match": ifMatch } : {},
+  };
+  const now = new Date().toISOString();
+  let data;
+
+  if (rule.kind === "create") {
+    const note = {
+      tags: [],
+      format: "plain",
+      notebook: null,
+      ...body,
+      _id: createTempId(),
+      pinned: false,
+      archived: false,
+      createdAt: now,
+      updatedAt: now,
+      __v: 0,
+    };
+    entry.tempId = note._id;
+    await enqueueRequest(entry);
+    await patchCachedNotes("create", note._id, note);
+    await putCachedResponse(`/notes/${note._id}`, {
+      ...note, access: "owner", owner: null, collaborators: [], publicLink: null,
+    });
+    data = note;
+  } else {
+    const id = config.url.match(rule.pattern)[1];
+    await enqueueRequest(entry);
+
+    if (rule.kind === "update") {
+      // The next offline edit must be based on the version this one will create
+      const version = Number(String(ifMatch ?? "").replace(/\D/g, ""));
+      data = { ...body, _id: id, updatedAt: now, ...(ifMatch && { __v: version + 1 }) };
+      await patchCachedNotes("update", id, data);
+    } else {
+      data = { message: "Note moved to trash" };
+      await patchCachedNotes("delete", id);
+    }
+  }
+
+  setStatus({ pending: status.pending + 1 });
+  return { data, status: 202, statusText: "Queued", headers: {}, config, queued: true };
+};
+
+/**
+ * Answer a request that failed because the network is down
+ * GETs are served from the cache; note changes are queued.
+ *
+ * @param {Object} config - Axios request config
+ * @returns {Promise<Object|null>} Response, or null if the request cannot be handled offline
+ */
+export const getOfflineResponse = async (config) => {
+  if (config.method === "get") {
+    const key = getRequestKey(config);
+    if (!isCacheable(key) || config.responseType === "blob") return null;
+
+    const data = await getCachedResponse(key);
+    return data === undefined
+      ? null
+      : { data, status: 200, statusText: "OK", headers: {}, config, fromCache: true };
+  }
+
+  const rule = QUEUEABLE_REQUESTS.find(({ method, pattern }) =>
+    method === config.method && pattern.test(config.url));
+  return rule ? queueRequest(rule, config) : null;
+};
+
+/**
+ * Send a queued request
+ *
+ * @param {Object} api - Axios instance
+ * @param {Object} entry - Queue entry
+ * @returns {Promise<Object>} Axios response
+ */
+const sendQueued = (api, { method, url, data, headers }) =>
+  api.request({ method, url, data, headers, _replay: true });
+
+/**
+ * Keep an offline edit that conflicts with a newer server version
+ * It is not forced over the server copy: it becomes the note's draft, based
+ * on the version it was made against, so opening the note shows the
+ * conflict dialog (see NoteDetailPage). Later conflicting edits to the same
+ * note are added to that draft; edits typed after the queued ones (an
+ * ordinary draft) are kept on top.
+ *
+ * @param {Object} entry - Queue entry of the rejected edit
+ */
+const keepConflictingEdit = (entry) => {
+  const id = entry.url.split("/").pop();
+  const draft = loadDraft(id);
+  const version = Number(String(entry.headers["If-Match"] ?? "").replace(/\D/g, ""));
+
+  saveDraft(id, draft?.offlineConflict
+    ? { ...draft, ...entry.data }
+    : { ...entry.data, ...draft, __v: version, offlineConflict: true });
+};
+
+/**
+ * Replay queued requests in order
+ * Stops at the first network error or expired session and leaves the rest
+ * queued. Edits that conflict with a newer server version are kept as drafts
+ * and counted in `lastSyncConflicts`; other requests the server rejects are
+ * dropped and counted in `lastSyncFailed`.
+ *
+ * @param {Object} api - Axios instance
+ * @returns {Promise<void>}
+ */
+const replayQueue = async (api) => {
+  const entries = await getQueuedRequests();
+  setStatus({ pending: entries.length });
+  if (entries.length === 0) return;
+
+  setStatus({ syncing: true });
+  let failed = 0;
+  let conflicts = 0;
+
+  try {
+    for (const [index, entry] of entries.entries()) {
+      try {
+        if (entry.url.includes(TEMP_ID_PREFIX)) {
+          // A change to a note whose offline creation was rejected cannot be sent
+          failed++;
+        } else {
+          const res = await sendQueued(api, entry);
+
+          // Point later changes to the note at the ID the server assigned
+          if (entry.tempId) {
+            for (const later of entries.slice(index + 1)) {
+              if (!later.url.includes(entry.tempId)) continue;
+              later.url = later.url.replace(entry.tempId, res.data._id);
+              await putQueuedRequest(later);
+            }
+          }
+        }
+      } catch (error) {
+        if (isNetworkError(error)) {
+          setOnline(false);
+          return;
+        }
+        // The session expired; the rest is replayed once the user signs in again
+        if (error.response?.status === 401) return;
+        if (error.response?.status === 409 && entry.data) {
+          keepConflictingEdit(entry);
+          conflicts++;
+        } else {
+          failed++;
+        }
+      }
+
+      await dequeueRequest(entry.id);
+      setStatus({ pending: entries.length - index - 1 });
+    }
+
+    setStatus({ lastSyncedAt: Date.now(), lastSyncFailed: failed, lastSyncConflicts: conflicts });
+  } finally {
+    setStatus({ syncing: false });
+  }
+};
+
+let syncPromise = null;
+
+/**
+ * Replay the queue unless a replay is already running
+ * A replay that breaks off (e.g. the offline store cannot be read) is
+ * reported through `syncErrorAt`; whatever is still queued is tried again
+ * on the next replay.
+ *
+ * @param {Object} api - Axios instance (passed in to avoid a circular import)
+ * @returns {Promise<void>}
+ */
+export const syncOfflineQueue = (api) => {
+  syncPromise = syncPromise || replayQueue(api)
+    .catch(() => setStatus({ syncErrorAt: Date.now() }))
+    .finally(() => {
+      syncPromise = null;
+    });
+  return syncPromise;
+};
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Offline store - IndexedDB storage for cached API responses and queued requests
+ * @module lib/offlineStore
+ */
+
+const DB_NAME = "thinkboard-offline";
+const DB_VERSION = 1;
+
+// Response bodies of GET requests, keyed by request path and query string
+const RESPONSES = "responses";
+// Mutations made while offline, replayed in insertion order
+const QUEUE = "queue";
+
+let dbPromise = null;
+
+/**
+ * Open (and on first use create) the database
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDb = () => {
+  dbPromise = dbPromise || new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(RESPONSES);
+      request.result.createObjectStore(QUEUE, { keyPath: "id", autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  return dbPromise;
+};
+
+/**
+ * Run one operation in its own transaction
+ * @param {string} storeName - Object store to use
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+ * @param {Function} operation - Called with the object store, may return an IDBRequest
+ * @returns {Promise<*>} Result of the returned request once the transaction completes
+ */
+const run = async (storeName, mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Read a cached response body
+ * @param {string} key - Request path with query string, e.g. "/notes?limit=24"
+ * @returns {Promise<*>} Cached body, or undefined
+ */
+export const getCachedResponse = (key) => run(RESPONSES, "readonly", (store) => store.get(key));
+
+/**
+ * Cache a response body
+ * @param {string} key - Request path with query string
+ * @param {*} data - Response body
+ * @returns {Promise<void>}
+ */
+export const putCachedResponse = (key, data) => run(RESPONSES, "readwrite", (store) => store.put(data, key));
+
+/**
+ * Rewrite every cached response body, e.g. to reflect a change made offline
+ * @param {Function} updater - Called with (data, key); returns the new body (or the same one to leave it)
+ * @returns {Promise<void>}
+ */
+export const updateCachedResponses = (updater) => run(RESPONSES, "readwrite", (store) => {
+  const request = store.openCursor();
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+
+    const next = updater(cursor.value, cursor.key);
+    if (next !== cursor.value) cursor.update(next);
+    cursor.continue();
+  };
+});
+
+/**
+ * Append a request to the queue
+ * @param {Object} entry - Serializable request ({ method, url, data, headers })
+ * @returns {Promise<number>} Queue entry ID
+ */
+export const enqueueRequest = (entry) => run(QUEUE, "readwrite", (store) => store.add(entry));
+
+/**
+ * Read the whole queue, oldest first
+ * @returns {Promise<Array<Object>>} Queue entries with their `id`
+ */
+export const getQueuedRequests = () => run(QUEUE, "readonly", (store) => store.getAll());
+
+/**
+ * Replace a queued request, e.g. to swap a temporary note ID for the real one
+ * @param {Object} entry - Queue entry including its `id`
+ * @returns {Promise<void>}
+ */
+export const putQueuedRequest = (entry) => run(QUEUE, "readwrite", (store) => store.put(entry));
+
+/**
+ * Remove a request from the queue
+ * @param {number} id - Queue entry ID
+ * @returns {Promise<void>}
+ */
+export const dequeueRequest = (id) => run(QUEUE, "readwrite", (store) => store.delete(id));
+
+/**
+ * Delete all cached responses and queued requests (e.g. on logout)
+ * @returns {Promise<void>}
+ */
+export const clearOfflineStore = async () => {
+  await run(RESPONSES, "readwrite", (store) => store.clear());
+  await run(QUEUE, "readwrite", (store) => store.clear());
+};
@@ -4,4 +4,92 @@ export function formatDate(date) {
     day: "numeric",
     year: "numeric",
   });
-}
\ No newline at end of file
+}
+
+/**
+ * Turn what the user typed into a query for GET /notes/search
+ * The word being typed is sent as a prefix (`word*`) so results update as you type.
+ *
+ * @param {string} input - Raw search box value
+ * @returns {string} Query string for the search endpoint
+ */
+export function buildSearchQuery(input) {
+  const query = input.trim();
+  if (!query || /\s$/.test(input)) return query;
+
+  // Leave phrases, exclusions and explicit prefixes alone
+  const lastToken = query.split(/\s+/).pop();
+  if (/["*]/.test(lastToken) || lastToken.startsWith("-")) return query;
+
+  return `${query}*`;
+}
+
+/**
+ * Extract the words and phrases to highlight from a search query
+ * Excluded terms (`-word`) are skipped since they never appear in results.
+ *
+ * @param {string} query - Search query
+ * @returns {string[]} Terms to highlight
+ */
+export function getHighlightTerms(query) {
+  const terms = [];
+  const tokenPattern = /"([^"]+)"|(\S+)/g;
+  let match;
+
+  while ((match = tokenPattern.exec(query)) !== null) {
+    const term = (match[1] ?? match[2]).replace(/["*]/g, "").trim();
+    if (term && !(match[2] && match[2].startsWith("-"))) {
+      terms.push(term);
+    }
+  }
+
+  return terms;
+}
+
+/**
+ * Escape characters that have a special meaning in regular expressions
+ *
+ * @param {string} value - Raw string
+ * @returns {string} String safe to embed in a RegExp
+ */
+export function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Read how long to wait after a 429 response
+ * Uses the Retry-After header, falling back to the retryAfter field of the body
+ *
+ * @param {Object} error - Axios error
+ * @returns {number|null} Seconds to wait, or null when unknown
+ */
+export function getRetryAfter(error) {
+  const value = Number(error.response?.headers?.["retry-after"] ?? error.response?.data?.retryAfter);
+  return Number.isFinite(value) && value >= 0 ? Math.ceil(value) : null;
+}
+
+/**
+ * Read the per-field error map of a 400/422 validation response
+ *
+ * @param {Object} error - Axios error
+ * @returns {Object<string, string>} Field name to message (empty when there are none)
+ */
+export function getFieldErrors(error) {
+  return error.response?.data?.errors || {};
+}
+
+/**
+ * Format a date with its time of day, e.g. "May 1, 2025, 9:00 AM"
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatDateTime(date) {
+  return date.toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+}
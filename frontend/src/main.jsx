@@ -12,4 +12,14 @@ createRoot(document.getElementById("root")).render(
       <Toaster />
     </BrowserRouter>
   </StrictMode>
-);
\ No newline at end of file
+);
+
+// Keep the app shell available offline (production builds only, so the dev
+// server's hot reloading is never served from a stale cache)
+if ("serviceWorker" in navigator && import.meta.env.PROD) {
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch((error) => {
+      console.log("Service worker registration failed", error);
+    });
+  });
+}
@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Account Page - Profile, sign-in history, password change and account deletion
+ * @module pages/AccountPage
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import { Link, useNavigate } from "react-router";
+import { ArrowLeftIcon, CheckCircleIcon, KeyRoundIcon, Trash2Icon, XCircleIcon } from "lucide-react";
+import toast from "react-hot-toast";
+import Navbar from "../components/Navbar";
+import FieldError from "../components/FieldError";
+import { useAuth } from "../context/AuthContext";
+import api from "../lib/axios";
+import { formatDate, formatDateTime } from "../lib/utils";
+
+// Shown for failed sign-ins, by the failure reason from the server
+const FAILURE_LABELS = {
+  password: "Wrong password",
+  locked: "Refused, too many failed attempts",
+};
+
+/**
+ * Account Page Component
+ * Shows the signed-in user's profile and recent sign-ins, and lets them
+ * change their password or delete their account. Deleting the account also
+ * deletes all of its notes.
+ *
+ * @component
+ * @returns {JSX.Element} Rendered account page
+ */
+const AccountPage = () => {
+  const { user, changePassword, deleteAccount } = useAuth();
+  const navigate = useNavigate();
+  const [profile, setProfile] = useState(null);
+  const [logins, setLogins] = useState([]);
+
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [passwordErrors, setPasswordErrors] = useState({});
+  const [changing, setChanging] = useState(false);
+
+  const [deletePassword, setDeletePassword] = useState("");
+  const [deleteErrors, setDeleteErrors] = useState({});
+  const [deleting, setDeleting] = useState(false);
+
+  useEffect(() => {
+    api.get("/auth/me")
+      .then((res) => setProfile(res.data.user))
+      .catch((error) => console.log("Error fetching account", error));
+
+    api.get("/auth/logins")
+      .then((res) => setLogins(res.data.logins))
+      .catch((error) => console.log("Error fetching sign-in history", error));
+  }, []);
+
+  const handleChangePassword = useCallback(async (e) => {
+    e.preventDefault();
+    if (newPassword !== confirmPassword) {
+      setPasswordErrors({ confirmPassword: "Passwords do not match" });
+      return;
+    }
+
+    setChanging(true);
+    const result = await changePassword(currentPassword, newPassword);
+    setChanging(false);
+
+    if (result.success) {
+      setCurrentPassword("");
+      setNewPassword("");
+      setConfirmPassword("");
+      setPasswordErrors({});
+      toast.success("Password changed, other sessions were signed out");
+    } else if (Object.keys(result.errors).length > 0) {
+      setPasswordErrors(result.errors);
+    } else {
+      setPasswordErrors({});
+      toast.error(result.message);
+    }
+  }, [currentPassword, newPassword, confirmPassword, changePassword]);
+
+  const handleDeleteAccount = useCallback(async (e) => {
+    e.preventDefault();
+    if (!window.confirm("Delete your account and all of your notes? This cannot be undone.")) return;
+
+    setDeleting(true);
+    const result = await deleteAccount(deletePassword);
+    setDeleting(false);
+
+    if (result.success) {
+      toast.success("Account deleted");
+      navigate("/login");
+    } else if (Object.keys(result.errors).length > 0) {
+      setDeleteErrors(result.errors);
+    } else {
+      setDeleteErrors({});
+      toast.error(result.message);
+    }
+  }, [deletePassword, deleteAccount, navigate]);
+
+  return (
+    <div className="min-h-screen">
+      <Navbar />
+
+      <div className="max-w-2xl mx-auto p-4 mt-6 space-y-6">
+        <Link to="/" className="btn btn-ghost">
+          <ArrowLeftIcon className="size-5" />
+          Back to Notes
+        </Link>
+
+        <div className="card bg-base-100">
+          <div className="card-body">
+            <h2 className="card-title">Account</h2>
+            <p><span className="text-base-content/60">Username:</span> {profile?.username || user.username}</p>
+            {profile && (
+              <p><span className="text-base-content/60">Member since:</span> {formatDate(new Date(profile.createdAt))}</p>
+            )}
+          </div>
+        </div>
+
+        <div className="card bg-base-100">
+          <div className="card-body">
+            <h2 className="card-title">Recent sign-ins</h2>
+            {logins.length === 0 ? (
+              <p className="text-sm text-base-content/60">No sign-ins recorded yet</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="table table-sm">
+                  <thead>
+                    <tr>
+                      <th>Time</th>
+                      <th>Result</th>
+                      <th>IP address</th>
+                      <th>Device</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {logins.map((login) => (
+                      <tr key={login._id}>
+                        <td className="whitespace-nowrap">{formatDateTime(new Date(login.createdAt))}</td>
+                        <td>
+                          {login.success ? (
+                            <span className="flex items-center gap-1 text-success">
+                              <CheckCircleIcon className="size-4" />
+                              Signed in
+                            </span>
+                          ) : (
+                            <span className="flex items-center gap-1 text-error">
+                              <XCircleIcon className="size-4" />
+                              {FAILURE_LABELS[login.failureReason] || "Failed"}
+                            </span>
+                          )}
+                        </td>
+                        <td>{login.ip || "Unknown"}</td>
+                        <td className="max-w-xs truncate" title={login.userAgent}>{login.userAgent || "Unknown"}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            <p className="text-xs text-base-content/60">Sign-ins you do not recognize? Change your password.</p>
+          </div>
+        </div>
+
+        <div className="card bg-base-100">
+          <div className="card-body">
+            <h2 className="card-title">Change password</h2>
+            <p className="text-sm text-base-content/60">You will stay signed in here; other devices are signed out.</p>
+            <form onSubmit={handleChangePassword}>
+              <div className="form-control">
+                <label className="label">
+                  <span className="label-text">Current password</span>
+                </label>
+                <input
+                  type="password"
+                  autoComplete="current-password"
+                  className={`input input-bordered ${passwordErrors.currentPassword ? "input-error" : ""}`}
+                  value={currentPassword}
+                  onChange={(e) => setCurrentPassword(e.target.value)}
+                  required
+                />
+                <FieldError message={passwordErrors.currentPassword} />
+              </div>
+              <div className="form-control mt-2">
+                <label className="label">
+                  <span className="label-text">New password</span>
+                </label>
+                <input
+                  type="password"
+                  autoComplete="new-password"
+                  className={`input input-bordered ${passwordErrors.newPassword ? "input-error" : ""}`}
+                  value={newPassword}
+                  onChange={(e) => setNewPassword(e.target.value)}
+                  required
+                  minLength={8}
+                />
+                <FieldError message={passwordErrors.newPassword} />
+                {!passwordErrors.newPassword && (
+                  <div className="label">
+                    <span className="label-text-alt">At least 8 characters, with a letter and a number or symbol</span>
+                  </div>
+                )}
+              </div>
+              <div className="form-control mt-2">
+                <label className="label">
+                  <span className="label-text">Confirm new password</span>
+                </label>
+                <input
+                  type="password"
+                  autoComplete="new-password"
+                  className={`input input-bordered ${passwordErrors.confirmPassword ? "input-error" : ""}`}
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  required
+                />
+                <FieldError message={passwordErrors.confirmPassword} />
+              </div>
+              <div className="card-actions justify-end mt-4">
+                <button type="submit" className="btn btn-primary" disabled={changing}>
+                  <KeyRoundIcon className="size-4" />
+                  {changing ? "Changing..." : "Change password"}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+
+        <div className="card bg-base-100 border border-error/40">
+          <div className="card-body">
+            <h2 className="card-title text-error">Delete account</h2>
+            <p className="text-sm text-base-content/60">
+              Your account and all of your notes are deleted permanently. Notes shared with you are kept for their owners.
+            </p>
+            <form onSubmit={handleDeleteAccount}>
+              <div className="form-control">
+                <label className="label">
+                  <span className="label-text">Password</span>
+                </label>
+                <input
+                  type="password"
+                  autoComplete="current-password"
+                  className={`input input-bordered ${deleteErrors.password ? "input-error" : ""}`}
+                  value={deletePassword}
+                  onChange={(e) => setDeletePassword(e.target.value)}
+                  required
+                />
+                <FieldError message={deleteErrors.password} />
+              </div>
+              <div className="card-actions justify-end mt-4">
+                <button type="submit" className="btn btn-error" disabled={deleting}>
+                  <Trash2Icon className="size-4" />
+                  {deleting ? "Deleting..." : "Delete account"}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AccountPage;
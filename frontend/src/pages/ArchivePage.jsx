@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Archive Page - Lists archived notes
+ * @module pages/ArchivePage
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import { Link } from "react-router";
+import { ArchiveIcon, ArrowLeftIcon } from "lucide-react";
+import toast from "react-hot-toast";
+import Navbar from "../components/Navbar";
+import NoteCard from "../components/NoteCard";
+import api from "../lib/axios";
+import { useInfiniteScroll } from "../hooks/useInfiniteScroll";
+
+// Number of notes requested per page
+const PAGE_SIZE = 24;
+
+/**
+ * Archive Page Component
+ * Archived notes are kept out of the main list, tags and search; they can be
+ * opened, edited or moved back from here. Notes are loaded page by page.
+ *
+ * @component
+ * @returns {JSX.Element} Archive page
+ */
+const ArchivePage = () => {
+  const [notes, setNotes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  /**
+   * Fetch a page of archived notes
+   * Without a cursor the list is replaced, with one the page is appended
+   *
+   * @param {string} [cursor] - Cursor returned with the previous page
+   */
+  const fetchArchive = useCallback(async (cursor) => {
+    if (cursor) setLoadingMore(true);
+
+    try {
+      const res = await api.get("/notes", {
+        params: { limit: PAGE_SIZE, cursor, archived: true },
+      });
+      setNotes((prev) => (cursor ? [...prev, ...res.data.notes] : res.data.notes));
+      setNextCursor(res.data.nextCursor);
+    } catch (error) {
+      console.log("Error fetching archive", error);
+      toast.error("Failed to load archive");
+    } finally {
+      setLoading(false);
+      setLoadingMore(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchArchive();
+  }, [fetchArchive]);
+
+  const loadMore = useCallback(() => {
+    if (nextCursor && !loadingMore) {
+      fetchArchive(nextCursor);
+    }
+  }, [fetchArchive, nextCursor, loadingMore]);
+
+  const sentinelRef = useInfiniteScroll(loadMore, Boolean(nextCursor) && !loadingMore);
+
+  return (
+    <div className="min-h-screen">
+      <Navbar />
+
+      <div className="max-w-7xl mx-auto p-4 mt-6">
+        <div className="flex items-center justify-between mb-6">
+          <Link to="/" className="btn btn-ghost">
+            <ArrowLeftIcon className="size-5" />
+            Back to Notes
+          </Link>
+        </div>
+
+        <h2 className="text-2xl font-bold mb-1">Archive</h2>
+        <p className="text-sm text-base-content/70 mb-6">
+          Archived notes are hidden from your notes, tags and search.
+        </p>
+
+        {loading && (
+          <div className="text-center text-primary py-10">Loading archive...</div>
+        )}
+
+        {!loading && notes.length === 0 && (
+          <div className="flex flex-col items-center py-16 text-base-content/70">
+            <ArchiveIcon className="size-10 mb-4" />
+            No archived notes
+          </div>
+        )}
+
+        {notes.length > 0 && (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {notes.map((note) => (
+              <NoteCard key={note._id} note={note} setNotes={setNotes} />
+            ))}
+          </div>
+        )}
+
+        {/* Infinite Scroll Sentinel */}
+        {nextCursor && (
+          <div ref={sentinelRef} className="flex justify-center py-8">
+            {loadingMore && <span className="loading loading-spinner text-primary" />}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ArchivePage;
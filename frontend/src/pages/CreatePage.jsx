@@ -1,37 +1,93 @@
-import { ArrowLeftIcon } from "lucide-react";
-import { useState } from "react";
+import { ArrowLeftIcon, HistoryIcon } from "lucide-react";
+import { useEffect, useState } from "react";
 import toast from "react-hot-toast";
-import { Link, useNavigate } from "react-router";
+import { Link, useNavigate, useSearchParams } from "react-router";
 import api from "../lib/axios";
+import { clearDraft, loadDraft, NEW_NOTE_DRAFT, saveDraft } from "../lib/drafts";
+import { isQueued } from "../lib/offline";
+import { getFieldErrors, getRetryAfter } from "../lib/utils";
+import FieldError from "../components/FieldError";
+import NoteContentEditor from "../components/NoteContentEditor";
+import NotebookSelect from "../components/NotebookSelect";
+import TagInput from "../components/TagInput";
+import { useLeaveGuard } from "../hooks/useLeaveGuard";
+import { useNotebooks } from "../hooks/useNotebooks";
+import { useTags } from "../hooks/useTags";
 
 const CreatePage = () => {
-  const [title, setTitle] = useState("");
-  const [content, setContent] = useState("");
+  // A note that was started but never created is picked up where it was left
+  const [draft] = useState(() => loadDraft(NEW_NOTE_DRAFT));
+  const [title, setTitle] = useState(draft?.title ?? "");
+  const [content, setContent] = useState(draft?.content ?? "");
+  const [tags, setTags] = useState(draft?.tags ?? []);
+  const [format, setFormat] = useState(draft?.format ?? "markdown");
+  const [searchParams] = useSearchParams();
+  const [notebook, setNotebook] = useState(searchParams.get("notebook") ?? draft?.notebook ?? null);
   const [loading, setLoading] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [showRecovered, setShowRecovered] = useState(Boolean(draft));
 
   const navigate = useNavigate();
+  const { tags: knownTags } = useTags();
+  const { notebooks } = useNotebooks();
+
+  const hasContent = Boolean(title.trim() || content.trim() || tags.length > 0);
+
+  useLeaveGuard(hasContent && !loading);
+
+  // Keep the draft on this device until the note is created
+  useEffect(() => {
+    if (hasContent) {
+      saveDraft(NEW_NOTE_DRAFT, { title, content, tags, format, notebook });
+    } else {
+      clearDraft(NEW_NOTE_DRAFT);
+    }
+  }, [hasContent, title, content, tags, format, notebook]);
+
+  const handleDiscardDraft = () => {
+    setTitle("");
+    setContent("");
+    setTags([]);
+    setFormat("markdown");
+    setErrors({});
+    setShowRecovered(false);
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
 
-    if (!title.trim() || !content.trim()) {
-      toast.error("All fields are required");
-      return;
-    }
+    const missing = {};
+    if (!title.trim()) missing.title = "Title is required";
+    // A checklist may start out empty
+    if (format !== "checklist" && !content.trim()) missing.content = "Content is required";
+    setErrors(missing);
+    if (Object.keys(missing).length > 0) return;
 
     setLoading(true);
     try {
-      await api.post("/notes", {
+      const res = await api.post("/notes", {
         title,
-        content,
+        content: content.trim() ? content : undefined, // An empty checklist has no content
+        tags,
+        format,
+        notebook,
       });
 
-      toast.success("Note created successfully!");
+      clearDraft(NEW_NOTE_DRAFT);
+      toast.success(isQueued(res)
+        ? "Note saved offline, it will sync when you're back online"
+        : "Note created successfully!");
       navigate("/");
     } catch (error) {
       console.log("Error creating note", error);
-      if (error.response.status === 429) {
-        toast.error("Slow down! You're creating notes too fast", {
+      const fieldErrors = getFieldErrors(error);
+      if (Object.keys(fieldErrors).length > 0) {
+        setErrors(fieldErrors);
+      } else if (error.response?.status === 429) {
+        const retryAfter = getRetryAfter(error);
+        toast.error(retryAfter == null
+          ? "Slow down! You're creating notes too fast"
+          : `Slow down! You're creating notes too fast, try again in ${retryAfter}s`, {
           duration: 4000,
           icon: "💀",
         });
@@ -55,6 +111,18 @@ const CreatePage = () => {
           <div className="card bg-base-100">
             <div className="card-body">
               <h2 className="card-title text-2xl mb-4">Create New Note</h2>
+
+              {/* Recovered Draft Notice */}
+              {showRecovered && (
+                <div role="alert" className="alert mb-4">
+                  <HistoryIcon className="size-5" />
+                  <span>Recovered the note you were writing.</span>
+                  <button type="button" className="btn btn-sm btn-ghost" onClick={handleDiscardDraft}>
+                    Discard draft
+                  </button>
+                </div>
+              )}
+
               <form onSubmit={handleSubmit}>
                 <div className="form-control mb-4">
                   <label className="label">
@@ -63,25 +131,55 @@ const CreatePage = () => {
                   <input
                     type="text"
                     placeholder="Note Title"
-                    className="input input-bordered"
+                    className={`input input-bordered ${errors.title ? "input-error" : ""}`}
                     value={title}
                     onChange={(e) => setTitle(e.target.value)}
                   />
+                  <FieldError message={errors.title} />
                 </div>
 
+                <label className="label cursor-pointer justify-start gap-2">
+                  <input
+                    type="checkbox"
+                    className="checkbox checkbox-sm checkbox-primary"
+                    checked={format === "checklist"}
+                    onChange={(e) => setFormat(e.target.checked ? "checklist" : "markdown")}
+                  />
+                  <span className="label-text">Checklist (each line becomes an item)</span>
+                </label>
+
+                <NoteContentEditor
+                  content={content}
+                  format={format}
+                  onContentChange={(e) => setContent(e.target.value)}
+                  onFormatChange={setFormat}
+                  error={errors.content}
+                />
+
                 <div className="form-control mb-4">
                   <label className="label">
-                    <span className="label-text">Content</span>
+                    <span className="label-text">Tags</span>
                   </label>
-                  <textarea
-                    placeholder="Write your note here..."
-                    className="textarea textarea-bordered h-32"
-                    value={content}
-                    onChange={(e) => setContent(e.target.value)}
+                  <TagInput
+                    tags={tags}
+                    onChange={setTags}
+                    suggestions={knownTags.map(({ tag }) => tag)}
                   />
+                  <FieldError message={errors.tags} />
+                </div>
+
+                <div className="form-control mb-4">
+                  <label className="label">
+                    <span className="label-text">Notebook</span>
+                  </label>
+                  <NotebookSelect notebooks={notebooks} value={notebook} onChange={setNotebook} />
+                  <FieldError message={errors.notebook} />
                 </div>
 
-                <div className="card-actions justify-end">
+                <div className="card-actions justify-between items-center">
+                  <span className="text-sm text-base-content/70">
+                    {hasContent && "Draft saved on this device"}
+                  </span>
                   <button type="submit" className="btn btn-primary" disabled={loading}>
                     {loading ? "Creating..." : "Create Note"}
                   </button>
@@ -3,18 +3,51 @@
  * @module pages/HomePage
  */
 
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
+import { ListChecksIcon, SearchIcon, XIcon } from "lucide-react";
+import BulkActionBar from "../components/BulkActionBar";
 import Navbar from "../components/Navbar";
 import RateLimitedUI from "../components/RateLimitedUI";
 import api from "../lib/axios";
 import toast from "react-hot-toast";
 import NoteCard from "../components/NoteCard";
+import NotebookTree from "../components/NotebookTree";
 import NotesNotFound from "../components/NotesNotFound";
+import TagSidebar from "../components/TagSidebar";
+import { useAuth } from "../context/AuthContext";
+import { useDebounce } from "../hooks/useDebounce";
+import { useInfiniteScroll } from "../hooks/useInfiniteScroll";
+import { NOTE_EVENTS, useNoteEvents } from "../hooks/useNoteEvents";
+import { useNotebooks } from "../hooks/useNotebooks";
+import { useSyncStatus } from "../hooks/useSyncStatus";
+import { useTags } from "../hooks/useTags";
+import { isNetworkError } from "../lib/offline";
+import { buildSearchQuery, getHighlightTerms, getRetryAfter } from "../lib/utils";
+
+// Number of notes requested per page
+const PAGE_SIZE = 24;
+
+// Sort orders offered by GET /notes; pinned notes always come first
+const SORT_OPTIONS = [
+  { value: "created", label: "Newest first" },
+  { value: "updated", label: "Recently updated" },
+  { value: "title", label: "Title A–Z" },
+];
+
+// The chosen sort is remembered across visits
+const SORT_STORAGE_KEY = "noteSort";
+
+const getStoredSort = () => {
+  const stored = localStorage.getItem(SORT_STORAGE_KEY);
+  return SORT_OPTIONS.some(({ value }) => value === stored) ? stored : "created";
+};
 
 /**
  * Home Page Component
  * Displays a grid of user's notes with create/edit/delete functionality
- * Handles loading states, empty states, and rate limiting
+ * Notes are loaded page by page as the user scrolls
+ * Handles loading states, empty states, rate limiting, full-text search,
+ * notebooks, tag filters and selecting notes for bulk actions
  * 
  * @component
  * @returns {JSX.Element} Home page with notes grid
@@ -22,18 +55,72 @@ import NotesNotFound from "../components/NotesNotFound";
 const HomePage = () => {
   // State management
   const [isRateLimited, setIsRateLimited] = useState(false);
+  const [retryAt, setRetryAt] = useState(null);
   const [notes, setNotes] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [searchInput, setSearchInput] = useState("");
+  const [searchResults, setSearchResults] = useState(null); // null when not searching
+  const [searching, setSearching] = useState(false);
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [sort, setSort] = useState(getStoredSort);
+  const [selectedNotebook, setSelectedNotebook] = useState(null); // null shows every notebook
+  const [sharedNotes, setSharedNotes] = useState([]);
+  const [selecting, setSelecting] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const { tags, refreshTags } = useTags();
+  const { notebooks, refreshNotebooks } = useNotebooks();
+  const { lastSyncedAt } = useSyncStatus();
+  const { user } = useAuth();
+
+  const searchQuery = buildSearchQuery(useDebounce(searchInput, 300));
+  const highlightTerms = useMemo(() => getHighlightTerms(searchQuery), [searchQuery]);
+
+  // Tags are sent comma-separated; the backend requires notes to carry all of them
+  const tagsParam = selectedTags.join(",");
+
+  // Incremented for every first-page fetch so pages from an older filter are dropped
+  const requestIdRef = useRef(0);
+
+  /**
+   * Show the rate limit notice, counting down to the time given by Retry-After
+   *
+   * @param {Object} error - Axios error for the 429 response
+   */
+  const setRateLimited = useCallback((error) => {
+    const seconds = getRetryAfter(error);
+    setRetryAt(seconds == null ? null : Date.now() + seconds * 1000);
+    setIsRateLimited(true);
+  }, []);
 
   /**
-   * Fetch all notes for the authenticated user
+   * Fetch a page of notes for the authenticated user, filtered by the selected
+   * notebook and tags and ordered by the selected sort
+   * Without a cursor the list is replaced, with one the page is appended
    * Memoized to prevent unnecessary re-renders
+   *
+   * @param {string} [cursor] - Cursor returned with the previous page
    */
-  const fetchNotes = useCallback(async () => {
+  const fetchNotes = useCallback(async (cursor) => {
+    const requestId = cursor ? requestIdRef.current : ++requestIdRef.current;
+    if (cursor) setLoadingMore(true);
+
     try {
-      const res = await api.get("/notes");
-      console.log(res.data);
-      setNotes(res.data);
+      const res = await api.get("/notes", {
+        params: {
+          limit: PAGE_SIZE,
+          cursor,
+          sort,
+          notebook: selectedNotebook || undefined,
+          tags: tagsParam || undefined,
+        },
+      });
+      if (requestId !== requestIdRef.current) return;
+
+      setNotes((prev) => (cursor ? [...prev, ...res.data.notes] : res.data.notes));
+      setNextCursor(res.data.nextCursor);
       setIsRateLimited(false);
     } catch (error) {
       console.log("Error fetching notes");
@@ -41,48 +128,435 @@ const HomePage = () => {
 
       // Check if error is due to rate limiting
       if (error.response?.status === 429) {
-        setIsRateLimited(true);
+        setRateLimited(error);
+      } else if (isNetworkError(error)) {
+        toast.error("You're offline and these notes aren't saved on this device yet");
       } else {
         toast.error("Failed to load notes");
       }
     } finally {
-      setLoading(false);
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+        setLoadingMore(false);
+      }
+    }
+  }, [tagsParam, sort, selectedNotebook, setRateLimited]);
+
+  // Fetch the first page on mount and whenever the notebook, tag filter or sort changes
+  useEffect(() => {
+    fetchNotes();
+  }, [fetchNotes]);
+
+  // Changes made offline were just saved; show the server's version of everything
+  const syncedAtRef = useRef(lastSyncedAt);
+  useEffect(() => {
+    if (lastSyncedAt === syncedAtRef.current) return;
+    syncedAtRef.current = lastSyncedAt;
+    fetchNotes();
+    refreshTags();
+    refreshNotebooks();
+  }, [lastSyncedAt, fetchNotes, refreshTags, refreshNotebooks]);
+
+  // Notes shared with the user are few and listed separately, so they are not paginated
+  const fetchSharedNotes = useCallback(async () => {
+    try {
+      const res = await api.get("/notes/shared");
+      setSharedNotes(res.data);
+    } catch (error) {
+      console.log("Error fetching shared notes", error);
     }
   }, []);
 
-  // Fetch notes on component mount
   useEffect(() => {
+    fetchSharedNotes();
+  }, [fetchSharedNotes]);
+
+  /**
+   * Load the next page, unless one is already loading or this was the last page
+   */
+  const loadMore = useCallback(() => {
+    if (nextCursor && !loadingMore && !isRateLimited) {
+      fetchNotes(nextCursor);
+    }
+  }, [fetchNotes, nextCursor, loadingMore, isRateLimited]);
+
+  const sentinelRef = useInfiniteScroll(loadMore, Boolean(nextCursor) && !loadingMore);
+
+  /**
+   * Run the search whenever the debounced query changes
+   * Responses for outdated queries are ignored
+   */
+  useEffect(() => {
+    if (!searchQuery) {
+      setSearchResults(null);
+      return;
+    }
+
+    let cancelled = false;
+    setSearching(true);
+
+    api.get("/notes/search", {
+      params: tagsParam ? { q: searchQuery, tags: tagsParam } : { q: searchQuery },
+    })
+      .then((res) => {
+        if (!cancelled) setSearchResults(res.data);
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.log("Error searching notes", error);
+        if (error.response?.status === 429) {
+          setRateLimited(error);
+        } else {
+          toast.error("Search failed");
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setSearching(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [searchQuery, tagsParam, setRateLimited]);
+
+  /**
+   * Apply a state update (e.g. a deletion from NoteCard) to both the full
+   * notes list and the current search results
+   */
+  const updateNotes = useCallback((updater) => {
+    setNotes(updater);
+    setSearchResults((prev) => (prev ? updater(prev) : prev));
+    // Tag and notebook counts may have changed
+    refreshTags();
+    refreshNotebooks();
+  }, [refreshTags, refreshNotebooks]);
+
+  /**
+   * Apply a note change made in another tab or on another device
+   * Changes are merged in place; a note that may have changed position (or
+   * is new) reloads the first page so the sort order stays right.
+   *
+   * @param {Object} event - { type, note } from the event stream
+   */
+  const handleNoteEvent = useCallback(({ type, note }) => {
+    const removeNote = (list) => list.filter((item) => item._id !== note._id);
+    const mergeNote = (list) => list.map((item) => (item._id === note._id ? { ...item, ...note } : item));
+
+    if (type === NOTE_EVENTS.deleted) {
+      updateNotes(removeNote);
+      setSharedNotes(removeNote);
+      return;
+    }
+
+    // Notes shared with the user are listed apart from their own
+    if (note.user !== user?.id) {
+      if (type === NOTE_EVENTS.created) {
+        fetchSharedNotes();
+      } else {
+        setSharedNotes(mergeNote);
+      }
+      return;
+    }
+
+    // Search results are ranked by relevance, so they are only kept up to date
+    setSearchResults((prev) => (prev && (note.archived ? removeNote(prev) : mergeNote(prev))));
+
+    const current = notes.find((item) => item._id === note._id);
+    const isListed = !note.archived
+      && (!selectedNotebook || note.notebook === selectedNotebook)
+      && selectedTags.every((tag) => note.tags.includes(tag));
+    const mayMove = !current
+      || current.pinned !== note.pinned
+      || sort === "updated"
+      || (sort === "title" && current.title !== note.title);
+
+    if (!isListed) {
+      setNotes(removeNote);
+    } else if (type === NOTE_EVENTS.created || mayMove) {
+      fetchNotes();
+    } else {
+      setNotes(mergeNote);
+    }
+
+    refreshTags();
+    refreshNotebooks();
+  }, [
+    notes, sort, selectedNotebook, selectedTags, user, fetchNotes, fetchSharedNotes,
+    updateNotes, refreshTags, refreshNotebooks,
+  ]);
+
+  useNoteEvents(handleNoteEvent);
+
+  // Reload the first page, e.g. after the rate limit window or once a note is pinned
+  const reloadNotes = useCallback(() => {
     fetchNotes();
   }, [fetchNotes]);
 
+  // Deleting a notebook moves or trashes its notes, so everything is reloaded
+  const handleNotebookDeleted = useCallback(() => {
+    refreshNotebooks();
+    refreshTags();
+    fetchNotes();
+  }, [refreshNotebooks, refreshTags, fetchNotes]);
+
+  // Reload from the first page so imported notes show up in order
+  const handleImported = useCallback(() => {
+    fetchNotes();
+    refreshTags();
+  }, [fetchNotes, refreshTags]);
+
+  const toggleTag = useCallback((tag) => {
+    setSelectedTags((prev) =>
+      prev.includes(tag) ? prev.filter((t) => t !== tag) : [...prev, tag]
+    );
+  }, []);
+
+  const clearTags = useCallback(() => setSelectedTags([]), []);
+
+  const handleSortChange = useCallback((e) => {
+    setSort(e.target.value);
+    localStorage.setItem(SORT_STORAGE_KEY, e.target.value);
+  }, []);
+
+  const isSearching = searchResults !== null;
+  const isFiltered = selectedTags.length > 0 || Boolean(selectedNotebook);
+  const visibleNotes = isSearching ? searchResults : notes;
+
+  // Note clicked last in selection mode, where a Shift+click range starts
+  const selectionAnchorRef = useRef(null);
+
+  /**
+   * Select or unselect a note; with Shift, select every note between the
+   * previously clicked one and this one, as listed
+   *
+   * @param {string} id - Note ID
+   * @param {boolean} range - Shift was held
+   */
+  const handleSelect = useCallback((id, range) => {
+    const anchorIndex = visibleNotes.findIndex((note) => note._id === selectionAnchorRef.current);
+    const index = visibleNotes.findIndex((note) => note._id === id);
+
+    if (range && anchorIndex !== -1) {
+      const [from, to] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+      const rangeIds = visibleNotes.slice(from, to + 1).map((note) => note._id);
+      setSelectedIds((prev) => [...new Set([...prev, ...rangeIds])]);
+    } else {
+      setSelectedIds((prev) => (prev.includes(id) ? prev.filter((selected) => selected !== id) : [...prev, id]));
+    }
+    selectionAnchorRef.current = id;
+  }, [visibleNotes]);
+
+  const handleSelectAll = useCallback(() => {
+    setSelectedIds(visibleNotes.map((note) => note._id));
+  }, [visibleNotes]);
+
+  const exitSelection = useCallback(() => {
+    setSelecting(false);
+    setSelectedIds([]);
+    selectionAnchorRef.current = null;
+  }, []);
+
+  /**
+   * Apply an action to every selected note in one request
+   * Notes that could not be changed stay selected so the action can be retried
+   *
+   * @param {string} action - "delete", "archive", "tag" or "move"
+   * @param {Object} [fields] - Extra fields for the action, e.g. { tags } or { notebook }
+   */
+  const handleBulkAction = useCallback(async (action, fields = {}) => {
+    setBulkBusy(true);
+
+    try {
+      const res = await api.post("/notes/bulk", { action, ids: selectedIds, ...fields });
+      const { summary, results } = res.data;
+
+      if (summary.failed === 0) {
+        toast.success(`${summary.done} note${summary.done === 1 ? "" : "s"} updated`);
+        exitSelection();
+      } else {
+        toast.error(`${summary.failed} of ${results.length} notes could not be updated`);
+        setSelectedIds(results.filter((r) => r.status === "failed").map((r) => r.id));
+      }
+
+      fetchNotes();
+      setSearchResults((prev) => (prev && ["delete", "archive"].includes(action)
+        ? prev.filter((note) => !results.some((r) => r.id === note._id && r.status === "done"))
+        : prev));
+      refreshTags();
+      refreshNotebooks();
+    } catch (error) {
+      console.log("Error updating notes", error);
+      toast.error(error.response?.data?.message || "Failed to update notes");
+    } finally {
+      setBulkBusy(false);
+    }
+  }, [selectedIds, exitSelection, fetchNotes, refreshTags, refreshNotebooks]);
+
   return (
     <div className="min-h-screen">
       {/* Navigation Bar */}
-      <Navbar />
+      <Navbar onImported={handleImported} notebookId={selectedNotebook} />
 
       {/* Rate Limit Warning */}
-      {isRateLimited && <RateLimitedUI />}
+      {isRateLimited && <RateLimitedUI retryAt={retryAt} onRetry={reloadNotes} />}
 
       {/* Main Content Area */}
-      <div className="max-w-7xl mx-auto p-4 mt-6">
-        {/* Loading State */}
-        {loading && (
-          <div className="text-center text-primary py-10">
-            Loading notes...
-          </div>
+      <div className="max-w-7xl mx-auto p-4 mt-6 flex flex-col lg:flex-row gap-6">
+        {/* Notebook and Tag Sidebar */}
+        {!isRateLimited && (
+          <aside className="lg:w-56 shrink-0">
+            <NotebookTree
+              notebooks={notebooks}
+              selected={selectedNotebook}
+              onSelect={setSelectedNotebook}
+              onChange={refreshNotebooks}
+              onDeleted={handleNotebookDeleted}
+            />
+            <TagSidebar
+              tags={tags}
+              selected={selectedTags}
+              onToggle={toggleTag}
+              onClear={clearTags}
+            />
+          </aside>
         )}
 
-        {/* Empty State - No notes found */}
-        {notes.length === 0 && !isRateLimited && <NotesNotFound />}
+        <div className="flex-1 min-w-0">
+          {/* Search Bar and Sort - search results are ranked by relevance instead */}
+          {(notes.length > 0 || searchInput || isFiltered) && !isRateLimited && (
+            <div className="flex gap-2 mb-6">
+              <label className="input input-bordered flex flex-1 items-center gap-2">
+                <SearchIcon className="size-4 opacity-70" />
+                <input
+                  type="search"
+                  className="grow"
+                  placeholder='Search notes... (use "quotes" for phrases)'
+                  value={searchInput}
+                  onChange={(e) => setSearchInput(e.target.value)}
+                  aria-label="Search notes"
+                />
+                {searching && <span className="loading loading-spinner loading-xs" />}
+                {searchInput && (
+                  <button
+                    type="button"
+                    className="btn btn-ghost btn-xs btn-circle"
+                    onClick={() => setSearchInput("")}
+                    aria-label="Clear search"
+                  >
+                    <XIcon className="size-4" />
+                  </button>
+                )}
+              </label>
+              <button
+                type="button"
+                className={`btn ${selecting ? "btn-active" : "btn-ghost"}`}
+                onClick={() => (selecting ? exitSelection() : setSelecting(true))}
+                aria-pressed={selecting}
+              >
+                <ListChecksIcon className="size-4" />
+                Select
+              </button>
+              {!isSearching && (
+                <select
+                  className="select select-bordered"
+                  value={sort}
+                  onChange={handleSortChange}
+                  aria-label="Sort notes"
+                >
+                  {SORT_OPTIONS.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              )}
+            </div>
+          )}
 
-        {/* Notes Grid - Display all notes */}
-        {notes.length > 0 && !isRateLimited && (
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-            {notes.map((note) => (
-              <NoteCard key={note._id} note={note} setNotes={setNotes} />
-            ))}
-          </div>
-        )}
+          {/* Bulk Actions - for the user's own notes */}
+          {selecting && !isRateLimited && (
+            <BulkActionBar
+              count={selectedIds.length}
+              total={visibleNotes.length}
+              notebooks={notebooks}
+              onAction={handleBulkAction}
+              onSelectAll={handleSelectAll}
+              onCancel={exitSelection}
+              busy={bulkBusy}
+            />
+          )}
+
+          {/* Loading State */}
+          {loading && (
+            <div className="text-center text-primary py-10">
+              Loading notes...
+            </div>
+          )}
+
+          {/* Shared With Me - hidden while searching, selecting or filtering by notebook or tags */}
+          {!isSearching && !isFiltered && !selecting && sharedNotes.length > 0 && !isRateLimited && (
+            <section className="mb-8">
+              <h2 className="text-lg font-semibold mb-4">Shared with me</h2>
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                {sharedNotes.map((note) => (
+                  <NoteCard key={note._id} note={note} setNotes={setSharedNotes} shared />
+                ))}
+              </div>
+            </section>
+          )}
+          {!isSearching && !isFiltered && !selecting && sharedNotes.length > 0 && notes.length > 0 && !isRateLimited && (
+            <h2 className="text-lg font-semibold mb-4">My notes</h2>
+          )}
+
+          {/* Empty State - No notes found */}
+          {!loading && !isSearching && notes.length === 0 && !isFiltered && !isRateLimited && (
+            <NotesNotFound />
+          )}
+
+          {/* Empty Notebook State */}
+          {!loading && !isSearching && notes.length === 0 && selectedNotebook && selectedTags.length === 0 && !isRateLimited && (
+            <div className="text-center text-base-content/70 py-10">
+              This notebook has no notes yet
+            </div>
+          )}
+
+          {/* Empty Tag Filter State */}
+          {!loading && !isSearching && notes.length === 0 && selectedTags.length > 0 && !isRateLimited && (
+            <div className="text-center text-base-content/70 py-10">
+              No notes tagged with {selectedTags.join(" + ")}
+            </div>
+          )}
+
+          {/* Empty Search State */}
+          {isSearching && searchResults.length === 0 && !isRateLimited && (
+            <div className="text-center text-base-content/70 py-10">
+              No notes match &ldquo;{searchInput.trim()}&rdquo;
+            </div>
+          )}
+
+          {/* Notes Grid - Display all notes or search results */}
+          {visibleNotes.length > 0 && !isRateLimited && (
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {visibleNotes.map((note) => (
+                <NoteCard
+                  key={note._id}
+                  note={note}
+                  setNotes={updateNotes}
+                  onPinnedChange={reloadNotes}
+                  highlightTerms={isSearching ? highlightTerms : undefined}
+                  selectable={selecting}
+                  selected={selecting && selectedIds.includes(note._id)}
+                  onSelect={handleSelect}
+                />
+              ))}
+            </div>
+          )}
+
+          {/* Infinite Scroll Sentinel - search results are not paginated */}
+          {!isSearching && nextCursor && !isRateLimited && (
+            <div ref={sentinelRef} className="flex justify-center py-8">
+              {loadingMore && <span className="loading loading-spinner text-primary" />}
+            </div>
+          )}
+        </div>
       </div>
     </div>
   );
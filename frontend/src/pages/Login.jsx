@@ -2,10 +2,12 @@ import { useState } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { useNavigate, Link } from 'react-router';
 import toast from 'react-hot-toast';
+import FieldError from '../components/FieldError';
 
 const Login = () => {
     const [username, setUsername] = useState('');
     const [password, setPassword] = useState('');
+    const [errors, setErrors] = useState({});
     const { login } = useAuth();
     const navigate = useNavigate();
 
@@ -15,7 +17,10 @@ const Login = () => {
         if (result.success) {
             toast.success('Logged in successfully');
             navigate('/');
+        } else if (Object.keys(result.errors).length > 0) {
+            setErrors(result.errors);
         } else {
+            setErrors({});
             toast.error(result.message);
         }
     };
@@ -33,11 +38,12 @@ const Login = () => {
                             <input
                                 type="text"
                                 placeholder="Type here"
-                                className="input input-bordered w-full max-w-xs"
+                                className={`input input-bordered w-full max-w-xs ${errors.username ? 'input-error' : ''}`}
                                 value={username}
                                 onChange={(e) => setUsername(e.target.value)}
                                 required
                             />
+                            <FieldError message={errors.username} />
                         </div>
                         <div className="form-control w-full max-w-xs mt-4">
                             <label className="label">
@@ -46,11 +52,12 @@ const Login = () => {
                             <input
                                 type="password"
                                 placeholder="Type here"
-                                className="input input-bordered w-full max-w-xs"
+                                className={`input input-bordered w-full max-w-xs ${errors.password ? 'input-error' : ''}`}
                                 value={password}
                                 onChange={(e) => setPassword(e.target.value)}
                                 required
                             />
+                            <FieldError message={errors.password} />
                         </div>
                         <div className="card-actions justify-center mt-6">
                             <button className="btn btn-primary w-full">Login</button>
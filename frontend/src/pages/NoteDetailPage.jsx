@@ -1,22 +1,110 @@
-import { useEffect, useState, useCallback } from "react";
+import { useEffect, useState, useCallback, useMemo, useRef } from "react";
 import { Link, useNavigate, useParams } from "react-router";
 import api from "../lib/axios";
+import { isQueued } from "../lib/offline";
 import toast from "react-hot-toast";
-import { ArrowLeftIcon, LoaderIcon, Trash2Icon } from "lucide-react";
+import {
+  ArrowLeftIcon,
+  EyeIcon,
+  HistoryIcon,
+  ListChecksIcon,
+  LoaderIcon,
+  Share2Icon,
+  TextIcon,
+  Trash2Icon,
+  TriangleAlertIcon,
+} from "lucide-react";
+import AttachmentList from "../components/AttachmentList";
+import ChecklistEditor from "../components/ChecklistEditor";
+import ConflictDialog from "../components/ConflictDialog";
+import FieldError from "../components/FieldError";
+import NoteContentEditor from "../components/NoteContentEditor";
+import NotebookSelect from "../components/NotebookSelect";
+import ReminderPicker from "../components/ReminderPicker";
+import RevisionHistory from "../components/RevisionHistory";
+import SaveStatus from "../components/SaveStatus";
+import ShareDialog from "../components/ShareDialog";
+import TagInput from "../components/TagInput";
+import { useDebounce } from "../hooks/useDebounce";
+import { useLeaveGuard } from "../hooks/useLeaveGuard";
+import { NOTE_EVENTS, useNoteEvents } from "../hooks/useNoteEvents";
+import { useNotebooks } from "../hooks/useNotebooks";
+import { useSyncStatus } from "../hooks/useSyncStatus";
+import { useTags } from "../hooks/useTags";
+import { clearDraft, loadDraft, saveDraft } from "../lib/drafts";
+import { getFieldErrors } from "../lib/utils";
+
+// Edits are saved once typing pauses for this long
+const AUTOSAVE_DELAY_MS = 1500;
+
+// Note fields the editor changes
+// A checklist's content follows its items, which are saved one change at a time
+const EDITABLE_FIELDS = ["title", "content", "tags", "format"];
+
+/**
+ * Editable fields of `note` that differ from `base`
+ *
+ * @param {Object} note - Note being edited
+ * @param {Object} base - Version it is compared to
+ * @returns {Object} Changed fields with their new values
+ */
+const getChangedFields = (note, base) => Object.fromEntries(
+  EDITABLE_FIELDS
+    .filter((field) => JSON.stringify(note[field]) !== JSON.stringify(base[field]))
+    .map((field) => [field, note[field]])
+);
 
 const NoteDetailPage = () => {
   const [note, setNote] = useState(null);
+  const [savedNote, setSavedNote] = useState(null); // Last version confirmed by the server
+  const [autosaving, setAutosaving] = useState(false);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [conflict, setConflict] = useState(null); // { mine, theirs } after a 409
+  const [access, setAccess] = useState("owner"); // "owner" | "editor" | "viewer"
+  const [owner, setOwner] = useState(null);
+  const [collaborators, setCollaborators] = useState([]);
+  const [publicLink, setPublicLink] = useState(null);
+  const [showShare, setShowShare] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [remoteChange, setRemoteChange] = useState(null); // { type, note } from another tab or device
 
   const navigate = useNavigate();
   const { id } = useParams();
+  const { tags: knownTags } = useTags();
+  const tagSuggestions = useMemo(() => knownTags.map(({ tag }) => tag), [knownTags]);
+  const { notebooks } = useNotebooks();
+  const { lastSyncedAt } = useSyncStatus();
 
   useEffect(() => {
     const fetchNote = async () => {
       try {
         const res = await api.get(`/notes/${id}`);
-        setNote(res.data);
+        // Sharing details are kept apart from the editable note fields
+        const { access, owner, collaborators, publicLink, ...fetchedNote } = res.data;
+        setNote(fetchedNote);
+        setSavedNote(fetchedNote);
+        setAccess(access);
+        setOwner(owner);
+        setCollaborators(collaborators);
+        setPublicLink(publicLink);
+
+        // Recover edits that were never saved, e.g. before a reload or crash
+        const draft = loadDraft(id);
+        if (draft && access !== "viewer") {
+          const { __v: draftVersion, ...draftFields } = draft;
+          const draftNote = { ...fetchedNote, ...getChangedFields(draftFields, fetchedNote) };
+
+          if (draftNote.__v !== draftVersion) {
+            // The note was saved elsewhere since; let the user choose what to keep
+            setNote({ ...draftNote, __v: draftVersion });
+            setConflict({ mine: { ...draftNote, __v: draftVersion }, theirs: fetchedNote });
+          } else if (Object.keys(getChangedFields(draftNote, fetchedNote)).length > 0) {
+            setNote(draftNote);
+            toast("Recovered your unsaved changes");
+          }
+        }
       } catch (error) {
         console.log("Error in fetching note", error);
         toast.error("Failed to fetch the note");
@@ -28,12 +116,32 @@ const NoteDetailPage = () => {
     fetchNote();
   }, [id]);
 
-  const handleDelete = useCallback(async () => {
-    if (!window.confirm("Are you sure you want to delete this note?")) return;
+  // Offline edits to this note that conflicted when they were synced are kept
+  // as its draft (see lib/offline); if the note is open, ask what to keep now
+  useEffect(() => {
+    const draft = loadDraft(id);
+    if (!lastSyncedAt || !draft?.offlineConflict) return;
+
+    api.get(`/notes/${id}`)
+      .then((res) => {
+        const latestNote = res.data;
+        const { __v: draftVersion, ...draftFields } = draft;
+        const draftNote = { ...latestNote, ...getChangedFields(draftFields, latestNote), __v: draftVersion };
+
+        setNote(draftNote);
+        setSavedNote(latestNote);
+        setConflict({ mine: draftNote, theirs: latestNote });
+      })
+      .catch((error) => console.log("Error fetching the latest version", error));
+  }, [id, lastSyncedAt]);
 
+  const handleDelete = useCallback(async () => {
     try {
-      await api.delete(`/notes/${id}`);
-      toast.success("Note deleted");
+      const res = await api.delete(`/notes/${id}`);
+      clearDraft(id);
+      toast.success(isQueued(res)
+        ? "Note will move to trash when you're back online"
+        : "Note moved to trash");
       navigate("/");
     } catch (error) {
       console.log("Error deleting the note:", error);
@@ -41,25 +149,72 @@ const NoteDetailPage = () => {
     }
   }, [id, navigate]);
 
-  const handleSave = useCallback(async () => {
-    if (!note.title.trim() || !note.content.trim()) {
-      toast.error("Please add a title or content");
-      return;
-    }
-
+  /**
+   * Save a version of the note, sending the version it was based on
+   * Only the editable fields are sent; the server rejects anything else
+   * A 409 means the note changed on the server; the conflict dialog takes over
+   */
+  const saveNote = useCallback(async (noteToSave) => {
     setSaving(true);
 
     try {
-      await api.put(`/notes/${id}`, note);
-      toast.success("Note updated successfully");
+      const { title, content, tags, format } = noteToSave;
+      const headers = { "If-Match": `"${noteToSave.__v}"` };
+      const res = format === "checklist"
+        ? await api.patch(`/notes/${id}`, { title, tags }, { headers })
+        : await api.put(`/notes/${id}`, { title, content, tags, format }, { headers });
+      setConflict(null);
+      setErrors({});
+      clearDraft(id);
+      toast.success(isQueued(res)
+        ? "Changes saved offline, they will sync when you're back online"
+        : "Note updated successfully");
       navigate("/");
     } catch (error) {
+      if (error.response?.status === 409) {
+        setConflict({ mine: noteToSave, theirs: error.response.data.note });
+        return;
+      }
+      const fieldErrors = getFieldErrors(error);
+      if (Object.keys(fieldErrors).length > 0) {
+        setErrors(fieldErrors);
+        setConflict(null);
+        return;
+      }
       console.log("Error saving the note:", error);
       toast.error("Failed to update note");
     } finally {
       setSaving(false);
     }
-  }, [note, id, navigate]);
+  }, [id, navigate]);
+
+  const handleSave = useCallback(() => {
+    const missing = {};
+    if (!note.title.trim()) missing.title = "Title is required";
+    if (note.format !== "checklist" && !note.content.trim()) missing.content = "Content is required";
+    setErrors(missing);
+    if (Object.keys(missing).length > 0) return;
+
+    saveNote(note);
+  }, [note, saveNote]);
+
+  // Conflict resolution: every choice is rebased on the server's version
+  const handleKeepMine = useCallback(() => {
+    saveNote({ ...conflict.mine, __v: conflict.theirs.__v });
+  }, [conflict, saveNote]);
+
+  const handleTakeTheirs = useCallback(() => {
+    setNote(conflict.theirs);
+    setSavedNote(conflict.theirs);
+    setConflict(null);
+    toast.success("Loaded the latest version");
+  }, [conflict]);
+
+  const handleMerge = useCallback((merged) => {
+    saveNote({ ...conflict.mine, ...merged, __v: conflict.theirs.__v });
+  }, [conflict, saveNote]);
+
+  const handleCancelConflict = useCallback(() => setConflict(null), []);
 
   const handleTitleChange = useCallback((e) => {
     setNote((prev) => ({ ...prev, title: e.target.value }));
@@ -69,6 +224,173 @@ const NoteDetailPage = () => {
     setNote((prev) => ({ ...prev, content: e.target.value }));
   }, []);
 
+  const handleFormatChange = useCallback((format) => {
+    setNote((prev) => ({ ...prev, format }));
+  }, []);
+
+  const handleTagsChange = useCallback((tags) => {
+    setNote((prev) => ({ ...prev, tags }));
+  }, []);
+
+  // Filing a note is not an edit, so it is saved right away rather than with the note
+  const handleMove = useCallback(async (notebook) => {
+    try {
+      await api.put(`/notes/${id}/notebook`, { notebook });
+      setNote((prev) => ({ ...prev, notebook }));
+      toast.success(notebook ? "Note moved" : "Note removed from its notebook");
+    } catch (error) {
+      console.log("Error moving the note:", error);
+      toast.error("Failed to move note");
+    }
+  }, [id]);
+
+  // Reminders are not edits either and are saved by the picker itself
+  const handleReminderChange = useCallback(({ remindAt, remindRepeat }) => {
+    setNote((prev) => ({ ...prev, remindAt, remindRepeat }));
+    toast.success(remindAt ? "Reminder saved" : "Reminder cleared");
+  }, []);
+
+  // Item changes are already saved, so they update the saved copy as well
+  const handleItemsChange = useCallback(({ items, content, updatedAt }) => {
+    setNote((prev) => ({ ...prev, items, content, updatedAt }));
+    setSavedNote((prev) => ({ ...prev, items, content, updatedAt }));
+  }, []);
+
+  /**
+   * Turn the note's lines into checklist items, or the items back into text
+   * Only offered once everything is saved, since it creates a new version
+   *
+   * @param {string} format - "checklist", or the text format to convert to
+   */
+  const handleConvert = useCallback(async (format) => {
+    try {
+      const res = await api.post(`/notes/${id}/convert`, { format }, {
+        headers: { "If-Match": `"${note.__v}"` },
+      });
+      setNote((prev) => ({ ...prev, ...res.data }));
+      setSavedNote((prev) => ({ ...prev, ...res.data }));
+      toast.success(format === "checklist" ? "Converted to a checklist" : "Converted to text");
+    } catch (error) {
+      console.log("Error converting the note:", error);
+      toast.error(error.response?.data?.message || "Failed to convert note");
+    }
+  }, [id, note]);
+
+  const handleRestored = useCallback((restoredNote) => {
+    setNote(restoredNote);
+    setSavedNote(restoredNote);
+  }, []);
+
+  /**
+   * React to this note being changed elsewhere while it is open
+   * Changes that are not edits (pinning, filing) keep the version and are
+   * merged quietly; a newer version or a deletion is shown as a warning so
+   * unsaved changes are never replaced without asking.
+   */
+  const handleNoteEvent = useCallback((event) => {
+    if (event.note._id !== id || !note) return;
+
+    if (event.type === NOTE_EVENTS.updated && event.note.__v <= note.__v) {
+      const { pinned, archived, notebook, remindAt, remindRepeat } = event.note;
+      setNote((prev) => ({ ...prev, pinned, archived, notebook, remindAt, remindRepeat }));
+      // Checklist items change without a new version
+      if (event.note.format === "checklist" && note.format === "checklist") {
+        handleItemsChange(event.note);
+      }
+    } else if (event.type === NOTE_EVENTS.updated && access === "viewer") {
+      setNote((prev) => ({ ...prev, ...event.note }));
+      setSavedNote((prev) => ({ ...prev, ...event.note }));
+      toast("This note was just updated");
+    } else {
+      setRemoteChange(event);
+    }
+  }, [id, note, access, handleItemsChange]);
+
+  useNoteEvents(handleNoteEvent);
+
+  const handleLoadRemote = useCallback(() => {
+    setNote((prev) => ({ ...prev, ...remoteChange.note }));
+    setSavedNote((prev) => ({ ...prev, ...remoteChange.note }));
+    setRemoteChange(null);
+    setErrors({});
+  }, [remoteChange]);
+
+  const handleDismissRemote = useCallback(() => setRemoteChange(null), []);
+
+  const isOwner = access === "owner";
+  const isReadOnly = access === "viewer";
+  const isChecklist = note?.format === "checklist";
+
+  const changes = useMemo(
+    () => (note && savedNote ? getChangedFields(note, savedNote) : {}),
+    [note, savedNote]
+  );
+  const isDirty = Object.keys(changes).length > 0;
+  const saveStatus = autosaving ? "saving" : isDirty ? "unsaved" : "saved";
+
+  useLeaveGuard(!isReadOnly && saveStatus !== "saved");
+
+  // Unsaved edits are kept on this device until the server has them, along
+  // with the version they are based on
+  useEffect(() => {
+    if (!note || isReadOnly) return;
+    if (isDirty) {
+      saveDraft(id, { ...changes, __v: note.__v });
+    } else {
+      clearDraft(id);
+    }
+  }, [id, note, changes, isDirty, isReadOnly]);
+
+  // A version whose autosave failed is not retried until it is edited again
+  const failedAutosaveRef = useRef(null);
+
+  /**
+   * Save the changed fields with PATCH, keeping anything typed meanwhile
+   * A 409 opens the conflict dialog, as with a manual save
+   *
+   * @param {Object} snapshot - Note as it was when the save started
+   * @param {Object} fields - Changed fields to send
+   */
+  const autosave = useCallback(async (snapshot, fields) => {
+    setAutosaving(true);
+
+    try {
+      const res = await api.patch(`/notes/${id}`, fields, {
+        headers: { "If-Match": `"${snapshot.__v}"` },
+      });
+      setSavedNote((prev) => ({ ...prev, ...fields, ...res.data }));
+      setNote((prev) => ({ ...prev, __v: res.data.__v, updatedAt: res.data.updatedAt }));
+      setErrors({});
+    } catch (error) {
+      failedAutosaveRef.current = snapshot;
+
+      if (error.response?.status === 409) {
+        setConflict({ mine: snapshot, theirs: error.response.data.note });
+        return;
+      }
+      const fieldErrors = getFieldErrors(error);
+      if (Object.keys(fieldErrors).length > 0) {
+        setErrors(fieldErrors);
+        return;
+      }
+      console.log("Error autosaving the note:", error);
+      toast.error("Autosave failed, your changes are kept on this device");
+    } finally {
+      setAutosaving(false);
+    }
+  }, [id]);
+
+  // Autosave once typing pauses, unless a save or a conflict is in progress
+  const debouncedNote = useDebounce(note, AUTOSAVE_DELAY_MS);
+  useEffect(() => {
+    if (!isDirty || isReadOnly || debouncedNote !== note || note === failedAutosaveRef.current) return;
+    if (autosaving || saving || conflict || remoteChange) return;
+    // Blank fields would be rejected; wait until they are filled in
+    if (changes.title?.trim() === "" || changes.content?.trim() === "") return;
+
+    autosave(note, changes);
+  }, [debouncedNote, note, changes, isDirty, isReadOnly, autosaving, saving, conflict, remoteChange, autosave]);
+
   if (loading) {
     return (
       <div className="min-h-screen bg-base-200 flex items-center justify-center">
@@ -86,12 +408,62 @@ const NoteDetailPage = () => {
               <ArrowLeftIcon className="h-5 w-5" />
               Back to Notes
             </Link>
-            <button onClick={handleDelete} className="btn btn-error btn-outline">
-              <Trash2Icon className="h-5 w-5" />
-              Delete Note
-            </button>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setShowHistory((prev) => !prev)}
+                className={`btn btn-outline ${showHistory ? "btn-active" : ""}`}
+              >
+                <HistoryIcon className="h-5 w-5" />
+                History
+              </button>
+              {isOwner && (
+                <>
+                  <button onClick={() => setShowShare(true)} className="btn btn-outline">
+                    <Share2Icon className="h-5 w-5" />
+                    Share
+                  </button>
+                  <button onClick={handleDelete} className="btn btn-error btn-outline">
+                    <Trash2Icon className="h-5 w-5" />
+                    Move to Trash
+                  </button>
+                </>
+              )}
+            </div>
           </div>
 
+          {/* Shared Note Banner */}
+          {!isOwner && (
+            <div role="alert" className="alert mb-4">
+              {isReadOnly ? <EyeIcon className="size-5" /> : <Share2Icon className="size-5" />}
+              <span>
+                Shared by <strong>{owner?.username || "another user"}</strong>
+                {isReadOnly ? " — you can view this note" : " — you can edit this note"}
+              </span>
+            </div>
+          )}
+
+          {/* Changed Elsewhere Warning */}
+          {remoteChange?.type === NOTE_EVENTS.updated && (
+            <div role="alert" className="alert alert-warning mb-4">
+              <TriangleAlertIcon className="size-5" />
+              <span>
+                This note was changed in another window. Load the latest version, or keep
+                editing and choose what to keep when you save.
+              </span>
+              <div className="flex gap-2">
+                <button className="btn btn-sm" onClick={handleLoadRemote}>Load latest</button>
+                <button className="btn btn-sm btn-ghost" onClick={handleDismissRemote}>Keep editing</button>
+              </div>
+            </div>
+          )}
+          {remoteChange?.type === NOTE_EVENTS.deleted && (
+            <div role="alert" className="alert alert-warning mb-4">
+              <TriangleAlertIcon className="size-5" />
+              <span>This note was moved to the trash in another window, so changes can no longer be saved.</span>
+              <Link to="/" className="btn btn-sm">Back to Notes</Link>
+            </div>
+          )}
+
           <div className="card bg-base-100">
             <div className="card-body">
               <div className="form-control mb-4">
@@ -101,33 +473,144 @@ const NoteDetailPage = () => {
                 <input
                   type="text"
                   placeholder="Note title"
-                  className="input input-bordered"
+                  className={`input input-bordered ${errors.title ? "input-error" : ""}`}
                   value={note?.title || ''}
                   onChange={handleTitleChange}
+                  readOnly={isReadOnly}
                 />
+                <FieldError message={errors.title} />
               </div>
 
-              <div className="form-control mb-4">
-                <label className="label">
-                  <span className="label-text">Content</span>
-                </label>
-                <textarea
-                  placeholder="Write your note here..."
-                  className="textarea textarea-bordered h-32"
-                  value={note?.content || ''}
-                  onChange={handleContentChange}
+              {isChecklist ? (
+                <ChecklistEditor
+                  noteId={id}
+                  items={note.items || []}
+                  onChange={handleItemsChange}
+                  readOnly={isReadOnly}
                 />
-              </div>
+              ) : (
+                <NoteContentEditor
+                  content={note?.content || ''}
+                  format={note?.format || 'plain'}
+                  onContentChange={handleContentChange}
+                  onFormatChange={handleFormatChange}
+                  initialMode="preview"
+                  readOnly={isReadOnly}
+                  error={errors.content}
+                />
+              )}
 
-              <div className="card-actions justify-end">
-                <button className="btn btn-primary" disabled={saving} onClick={handleSave}>
-                  {saving ? "Saving..." : "Save Changes"}
-                </button>
-              </div>
+              {/* Converting creates a new version, so save pending edits first */}
+              {!isReadOnly && (
+                <div className="mb-4">
+                  <button
+                    className="btn btn-ghost btn-sm"
+                    disabled={saveStatus !== "saved"}
+                    onClick={() => handleConvert(isChecklist ? "markdown" : "checklist")}
+                    title={saveStatus === "saved" ? undefined : "Save your changes first"}
+                  >
+                    {isChecklist ? <TextIcon className="size-4" /> : <ListChecksIcon className="size-4" />}
+                    {isChecklist ? "Convert to text" : "Convert to checklist"}
+                  </button>
+                </div>
+              )}
+
+              <AttachmentList noteId={id} readOnly={isReadOnly} />
+
+              {/* Tags are personal to the owner, so collaborators do not edit them */}
+              {isOwner && (
+                <div className="form-control mb-4">
+                  <label className="label">
+                    <span className="label-text">Tags</span>
+                  </label>
+                  <TagInput
+                    tags={note?.tags || []}
+                    onChange={handleTagsChange}
+                    suggestions={tagSuggestions}
+                  />
+                  <FieldError message={errors.tags} />
+                </div>
+              )}
+
+              {/* Notebooks are personal to the owner as well */}
+              {isOwner && (
+                <div className="form-control mb-4">
+                  <label className="label">
+                    <span className="label-text">Notebook</span>
+                  </label>
+                  <NotebookSelect notebooks={notebooks} value={note?.notebook} onChange={handleMove} />
+                </div>
+              )}
+
+              {/* Reminders go to the owner only */}
+              {isOwner && (
+                <div className="form-control mb-4">
+                  <label className="label">
+                    <span className="label-text">Reminder</span>
+                  </label>
+                  <ReminderPicker
+                    noteId={id}
+                    remindAt={note?.remindAt ?? null}
+                    remindRepeat={note?.remindRepeat}
+                    onChange={handleReminderChange}
+                  />
+                </div>
+              )}
+
+              {!isReadOnly && (
+                <div className="card-actions justify-between items-center">
+                  <SaveStatus status={saveStatus} />
+                  <button className="btn btn-primary" disabled={saving || autosaving} onClick={handleSave}>
+                    {saving ? "Saving..." : "Save Changes"}
+                  </button>
+                </div>
+              )}
             </div>
           </div>
+
+          {/* Revision History Panel */}
+          {showHistory && note && (
+            <div className="card bg-base-100 mt-6">
+              <div className="card-body">
+                <h3 className="card-title text-lg">History</h3>
+                <RevisionHistory
+                  noteId={id}
+                  currentContent={note.content}
+                  updatedAt={note.updatedAt}
+                  version={note.__v}
+                  onRestored={handleRestored}
+                  canRestore={!isReadOnly}
+                />
+              </div>
+            </div>
+          )}
         </div>
       </div>
+
+      {/* Share Dialog */}
+      {showShare && (
+        <ShareDialog
+          noteId={id}
+          collaborators={collaborators}
+          onChange={setCollaborators}
+          publicLink={publicLink}
+          onPublicLinkChange={setPublicLink}
+          onClose={() => setShowShare(false)}
+        />
+      )}
+
+      {/* Save Conflict Dialog */}
+      {conflict && (
+        <ConflictDialog
+          mine={conflict.mine}
+          theirs={conflict.theirs}
+          onKeepMine={handleKeepMine}
+          onTakeTheirs={handleTakeTheirs}
+          onMerge={handleMerge}
+          onCancel={handleCancelConflict}
+          saving={saving}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Public Note Page - Read-only view of a note opened through a public link
+ * @module pages/PublicNotePage
+ */
+
+import { useEffect, useState } from "react";
+import { Link, useParams } from "react-router";
+import { LinkIcon, LoaderIcon } from "lucide-react";
+import api from "../lib/axios";
+import MarkdownView from "../components/MarkdownView";
+import { formatDate } from "../lib/utils";
+
+/**
+ * Public Note Page Component
+ * Rendered outside ProtectedRoute, so it works for visitors without an account
+ *
+ * @component
+ * @returns {JSX.Element} Read-only note page
+ */
+const PublicNotePage = () => {
+  const { token } = useParams();
+  const [note, setNote] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchNote = async () => {
+      try {
+        const res = await api.get(`/public/notes/${token}`);
+        setNote(res.data);
+      } catch (error) {
+        console.log("Error fetching public note", error);
+        setError(error.response?.data?.message || "Failed to load the note");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchNote();
+  }, [token]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-base-200 flex items-center justify-center">
+        <LoaderIcon className="animate-spin size-10" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-base-200">
+      <div className="container mx-auto px-4 py-8">
+        <div className="max-w-2xl mx-auto">
+          <div className="flex items-center justify-between mb-6">
+            <Link to="/" className="text-2xl font-bold text-primary font-mono tracking-tight">
+              ThinkBoard
+            </Link>
+            <span className="badge badge-outline gap-1">
+              <LinkIcon className="size-3" />
+              Shared link
+            </span>
+          </div>
+
+          {error ? (
+            <div className="card bg-base-100">
+              <div className="card-body items-center text-center">
+                <h2 className="card-title">Note unavailable</h2>
+                <p className="text-base-content/70">{error}</p>
+              </div>
+            </div>
+          ) : (
+            <article className="card bg-base-100">
+              <div className="card-body">
+                <h1 className="card-title text-2xl">{note.title}</h1>
+                <p className="text-sm text-base-content/60 mb-4">
+                  {note.owner && <>By {note.owner} &middot; </>}
+                  Updated {formatDate(new Date(note.updatedAt))}
+                </p>
+
+                {note.format === "checklist" ? (
+                  <ul className="space-y-1">
+                    {note.items.map((item) => (
+                      <li key={item._id} className="flex items-center gap-2">
+                        <input type="checkbox" className="checkbox checkbox-sm" checked={item.done} disabled />
+                        <span className={item.done ? "line-through text-base-content/50" : ""}>{item.text}</span>
+                      </li>
+                    ))}
+                  </ul>
+                ) : note.format === "markdown" ? (
+                  <MarkdownView content={note.content} />
+                ) : (
+                  <p className="whitespace-pre-wrap">{note.content}</p>
+                )}
+
+                {note.tags.length > 0 && (
+                  <div className="flex flex-wrap gap-1 mt-4">
+                    {note.tags.map((tag) => (
+                      <span key={tag} className="badge badge-sm badge-outline">{tag}</span>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </article>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PublicNotePage;
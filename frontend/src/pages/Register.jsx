@@ -2,10 +2,12 @@ import { useState } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { useNavigate, Link } from 'react-router';
 import toast from 'react-hot-toast';
+import FieldError from '../components/FieldError';
 
 const Register = () => {
     const [username, setUsername] = useState('');
     const [password, setPassword] = useState('');
+    const [errors, setErrors] = useState({});
     const { register } = useAuth();
     const navigate = useNavigate();
 
@@ -15,7 +17,10 @@ const Register = () => {
         if (result.success) {
             toast.success('Registered successfully. Please login.');
             navigate('/login');
+        } else if (Object.keys(result.errors).length > 0) {
+            setErrors(result.errors);
         } else {
+            setErrors({});
             toast.error(result.message);
         }
     };
@@ -33,12 +38,13 @@ const Register = () => {
                             <input
                                 type="text"
                                 placeholder="Type here"
-                                className="input input-bordered w-full max-w-xs"
+                                className={`input input-bordered w-full max-w-xs ${errors.username ? 'input-error' : ''}`}
                                 value={username}
                                 onChange={(e) => setUsername(e.target.value)}
                                 required
                                 minLength={3}
                             />
+                            <FieldError message={errors.username} />
                         </div>
                         <div className="form-control w-full max-w-xs mt-4">
                             <label className="label">
@@ -47,12 +53,18 @@ const Register = () => {
                             <input
                                 type="password"
                                 placeholder="Type here"
-                                className="input input-bordered w-full max-w-xs"
+                                className={`input input-bordered w-full max-w-xs ${errors.password ? 'input-error' : ''}`}
                                 value={password}
                                 onChange={(e) => setPassword(e.target.value)}
                                 required
-                                minLength={6}
+                                minLength={8}
                             />
+                            <FieldError message={errors.password} />
+                            {!errors.password && (
+                                <div className="label">
+                                    <span className="label-text-alt">At least 8 characters, with a letter and a number or symbol</span>
+                                </div>
+                            )}
                         </div>
                         <div className="card-actions justify-center mt-6">
                             <button className="btn btn-primary w-full">Register</button>
@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Trash Page - Lists trashed notes with restore and permanent delete actions
+ * @module pages/TrashPage
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import { Link } from "react-router";
+import { ArrowLeftIcon, RotateCcwIcon, Trash2Icon, XCircleIcon } from "lucide-react";
+import toast from "react-hot-toast";
+import Navbar from "../components/Navbar";
+import api from "../lib/axios";
+import { markdownToPlainText } from "../lib/markdown";
+import { formatDate } from "../lib/utils";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days left before a trashed note is purged automatically
+ *
+ * @param {string} deletedAt - When the note was trashed
+ * @param {number} retentionDays - Retention period configured on the server
+ * @returns {number} Whole days remaining (at least 0)
+ */
+const daysUntilPurge = (deletedAt, retentionDays) => {
+  const purgeAt = new Date(deletedAt).getTime() + retentionDays * DAY_MS;
+  return Math.max(0, Math.ceil((purgeAt - Date.now()) / DAY_MS));
+};
+
+/**
+ * Trash Page Component
+ * Trashed notes can be restored or deleted forever; they are purged
+ * automatically once the retention period has passed
+ *
+ * @component
+ * @returns {JSX.Element} Trash page
+ */
+const TrashPage = () => {
+  const [notes, setNotes] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(30);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchTrash = async () => {
+      try {
+        const res = await api.get("/notes/trash");
+        setNotes(res.data.notes);
+        setRetentionDays(res.data.retentionDays);
+      } catch (error) {
+        console.log("Error fetching trash", error);
+        toast.error("Failed to load trash");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTrash();
+  }, []);
+
+  const handleRestore = useCallback(async (id) => {
+    try {
+      await api.post(`/notes/${id}/restore`);
+      setNotes((prev) => prev.filter((note) => note._id !== id));
+      toast.success("Note restored");
+    } catch (error) {
+      console.log("Error restoring note", error);
+      toast.error("Failed to restore note");
+    }
+  }, []);
+
+  const handleDeleteForever = useCallback(async (id) => {
+    if (!window.confirm("Delete this note forever? This cannot be undone.")) return;
+
+    try {
+      await api.delete(`/notes/${id}/permanent`);
+      setNotes((prev) => prev.filter((note) => note._id !== id));
+      toast.success("Note deleted forever");
+    } catch (error) {
+      console.log("Error deleting note", error);
+      toast.error("Failed to delete note");
+    }
+  }, []);
+
+  const handleEmptyTrash = useCallback(async () => {
+    if (!window.confirm("Permanently delete all notes in the trash? This cannot be undone.")) return;
+
+    try {
+      await api.delete("/notes/trash");
+      setNotes([]);
+      toast.success("Trash emptied");
+    } catch (error) {
+      console.log("Error emptying trash", error);
+      toast.error("Failed to empty trash");
+    }
+  }, []);
+
+  return (
+    <div className="min-h-screen">
+      <Navbar />
+
+      <div className="max-w-4xl mx-auto p-4 mt-6">
+        <div className="flex items-center justify-between mb-6">
+          <Link to="/" className="btn btn-ghost">
+            <ArrowLeftIcon className="size-5" />
+            Back to Notes
+          </Link>
+          {notes.length > 0 && (
+            <button onClick={handleEmptyTrash} className="btn btn-error btn-outline btn-sm">
+              <XCircleIcon className="size-4" />
+              Empty Trash
+            </button>
+          )}
+        </div>
+
+        <h2 className="text-2xl font-bold mb-1">Trash</h2>
+        <p className="text-sm text-base-content/70 mb-6">
+          Notes in the trash are deleted forever after {retentionDays} days.
+        </p>
+
+        {loading && (
+          <div className="text-center text-primary py-10">Loading trash...</div>
+        )}
+
+        {!loading && notes.length === 0 && (
+          <div className="flex flex-col items-center py-16 text-base-content/70">
+            <Trash2Icon className="size-10 mb-4" />
+            The trash is empty
+          </div>
+        )}
+
+        <ul className="space-y-3">
+          {notes.map((note) => (
+            <li key={note._id} className="card bg-base-100">
+              <div className="card-body p-4 flex-row items-center gap-4">
+                <div className="flex-1 min-w-0">
+                  <h3 className="font-semibold truncate">{note.title}</h3>
+                  <p className="text-sm text-base-content/70 line-clamp-1">
+                    {note.format === "markdown" ? markdownToPlainText(note.content) : note.content}
+                  </p>
+                  <span className="text-xs text-base-content/60">
+                    Deleted {formatDate(new Date(note.deletedAt))} &middot;{" "}
+                    {daysUntilPurge(note.deletedAt, retentionDays)} days left
+                  </span>
+                </div>
+                <button className="btn btn-sm btn-ghost" onClick={() => handleRestore(note._id)}>
+                  <RotateCcwIcon className="size-4" />
+                  Restore
+                </button>
+                <button
+                  className="btn btn-sm btn-ghost text-error"
+                  onClick={() => handleDeleteForever(note._id)}
+                >
+                  <Trash2Icon className="size-4" />
+                  Delete Forever
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default TrashPage;
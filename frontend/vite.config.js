@@ -11,7 +11,8 @@ export default defineConfig({
         // Manual chunk splitting for better caching
         manualChunks: {
           'react-vendor': ['react', 'react-dom', 'react-router'],
-          'ui-vendor': ['lucide-react', 'react-hot-toast']
+          'ui-vendor': ['lucide-react', 'react-hot-toast'],
+          'markdown-vendor': ['marked', 'marked-highlight', 'dompurify']
         }
       }
     },